@@ -44,7 +44,7 @@ function dump(fs) {
                 });
             }
         }
-        fs.closedir(id, dh);
+        fs.closedir(dh);
 
         return out;
     }
@@ -1,14 +1,90 @@
 import * as E from "./errors.js";
+import { FsError } from "./errors.js";
 import { Stat } from "./stat.js";
-
-export async function load(wasmUrl, { onBlockChanged = () => {} } = {}) {
-  const res = await WebAssembly.instantiateStreaming(fetch(wasmUrl), {
+import { Superblock, randomUuid } from "./superblock.js";
+import { BlockCountMultiplier } from "./constants.js";
+
+// Load the WASM module and return a Bridge.
+//
+// source may be any of:
+//   - a URL (string or URL object), fetched with fetch()
+//   - a file path or file: URL (Node only), read from disk
+//   - raw module bytes (ArrayBuffer or typed array)
+//   - a precompiled WebAssembly.Module
+//
+// Other sources raise E.ARG, and failed fetches E.NOTREADY.
+//
+// onBlockChanged is called as onBlockChanged(deviceId, block) whenever a
+// block is written; further listeners can be added with
+// Bridge.onBlockChanged(), and Bridge.onBlockNotReady() listens for reads
+// of blocks missing from a lazy device. Listeners run during the WASM call
+// that triggered them, so must not call back into the Bridge.
+export async function load(source, { onBlockChanged = () => {} } = {}) {
+  const listeners = {
+    blockChanged: new Set([onBlockChanged]),
+    blockNotReady: new Set(),
+  };
+  const dispatch = (set) => (deviceId, block) => {
+    for (const listener of set) listener(deviceId, block);
+  };
+  const instance = await instantiate(source, {
     env: {
-      notifyBlockChanged: onBlockChanged,
+      notifyBlockChanged: dispatch(listeners.blockChanged),
+      notifyBlockNotReady: dispatch(listeners.blockNotReady),
       now: () => { return BigInt(Math.floor(Date.now() / 1000)); }
     }
   });
-  return new Bridge(res.instance);
+  return new Bridge(instance, listeners);
+}
+
+async function instantiate(source, imports) {
+  if (source instanceof WebAssembly.Module) {
+    return WebAssembly.instantiate(source, imports);
+  }
+
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    return (await WebAssembly.instantiate(source, imports)).instance;
+  }
+
+  if (typeof source !== 'string' && !(source instanceof URL)) {
+    throw new FsError(E.ARG, 'load', {source: Object.prototype.toString.call(source)});
+  }
+
+  if (isNode() && isFilePath(source)) {
+    const { readFile } = await import("node:fs/promises");
+    const bytes = await readFile(typeof source === 'string' && /^file:/i.test(source) ? new URL(source) : source);
+    return (await WebAssembly.instantiate(bytes, imports)).instance;
+  }
+
+  const res = await fetch(source);
+  if (!res.ok) {
+    throw new FsError(E.NOTREADY, 'load', {source: String(source), status: res.status});
+  }
+
+  if (typeof WebAssembly.instantiateStreaming === 'function') {
+    try {
+      return (await WebAssembly.instantiateStreaming(res.clone(), imports)).instance;
+    } catch (err) {
+      // streaming compilation rejects responses without an application/wasm
+      // content type; anything else is a genuine failure.
+      if (!(err instanceof TypeError)) throw err;
+    }
+  }
+
+  return (await WebAssembly.instantiate(await res.arrayBuffer(), imports)).instance;
+}
+
+function isNode() {
+  return typeof process !== 'undefined' && !!process.versions?.node;
+}
+
+// In Node, file: URLs and anything without a URL scheme are paths.
+// Single letter schemes are Windows drive letters.
+function isFilePath(source) {
+  if (source instanceof URL) {
+    return source.protocol === 'file:';
+  }
+  return typeof source === 'string' && (/^file:/i.test(source) || !/^[a-z][a-z0-9+.-]+:/i.test(source));
 }
 
 export class Bridge {
@@ -19,9 +95,11 @@ export class Bridge {
   #strPtr = 0;                  // string write pointer
   #strEnc = new TextEncoder();
   #blockDevices = new Map();    // active block devices
+  #listeners;                   // notification listeners, shared with load()
   
-  constructor(instance) {
+  constructor(instance, listeners = { blockChanged: new Set(), blockNotReady: new Set() }) {
     this.#api = instance.exports;
+    this.#listeners = listeners;
     this.#mem = instance.exports.memory;
     this.#shuttle = new MemoryRegion(instance.exports.memory, this.#api.getShuttleBufferPtr(), this.#api.getShuttleBufferSize());
     this.#str = new MemoryRegion(instance.exports.memory, this.#api.getStringBufferPtr(), this.#api.getStringBufferSize());
@@ -34,55 +112,181 @@ export class Bridge {
 
   createBlockDevice(blockSize, blockCount) {
     const id = this.#api.createBlockDevice(blockSize, blockCount);
-    this.#checkStatus(id);
+    this.#checkStatus(id, 'createBlockDevice', {blockSize, blockCount});
     this.#blockDevices.set(id, {size: blockSize, count: blockCount});
     return id;
   }
 
   destroyBlockDevice(deviceId) {
     const status = this.#api.destroyBlockDevice(deviceId);
-    this.#checkStatus(status);
+    this.#checkStatus(status, 'destroyBlockDevice', {deviceId});
     this.#blockDevices.delete(deviceId);
   }
 
+  // Return the geometry of a block device as {blockSize, blockCount}
+  blockDeviceInfo(deviceId) {
+    this.#assertDeviceExists('blockDeviceInfo', deviceId);
+    const { size, count } = this.#blockDevices.get(deviceId);
+    return { blockSize: size, blockCount: count };
+  }
+
+  // Add a listener called as listener(deviceId, block) whenever a block
+  // changes, returning a function that removes it
+  onBlockChanged(listener) {
+    this.#listeners.blockChanged.add(listener);
+    return () => this.#listeners.blockChanged.delete(listener);
+  }
+
+  // As onBlockChanged(), but called when a missing block of a lazy device
+  // is read
+  onBlockNotReady(listener) {
+    this.#listeners.blockNotReady.add(listener);
+    return () => this.#listeners.blockNotReady.delete(listener);
+  }
+
+  // Mark every block of a device as missing; see LazyDevice
+  setBlockDeviceLazy(deviceId) {
+    this.#assertDeviceExists('setBlockDeviceLazy', deviceId);
+    this.#checkStatus(this.#api.setBlockDeviceLazy(deviceId), 'setBlockDeviceLazy', {deviceId});
+  }
+
+  // Mark a block of a lazy device as present, leaving its contents as is
+  markBlockReady(deviceId, block) {
+    this.#checkStatus(this.#api.markBlockReady(deviceId, block), 'markBlockReady', {deviceId, block});
+  }
+
   //
   // Block Device Access
 
   readBlock(dst, deviceId, block) {
-    this.#assertDeviceExists(deviceId, dst.length);
-    this.#checkStatus(this.#api.readBlock(deviceId, block));
+    this.#assertDeviceExists('readBlock', deviceId, dst.length);
+    this.#checkStatus(this.#api.readBlock(deviceId, block), 'readBlock', {deviceId, block});
     this.#shuttle.read(dst);
   }
 
   writeBlock(deviceId, block, src) {
-    this.#assertDeviceExists(deviceId, src.length);
+    this.#assertDeviceExists('writeBlock', deviceId, src.length);
     this.#shuttle.write(src);
-    this.#checkStatus(this.#api.writeBlock(deviceId, block));
+    this.#checkStatus(this.#api.writeBlock(deviceId, block), 'writeBlock', {deviceId, block});
   }
 
   zeroBlock(deviceId, block) {
-    this.#checkStatus(this.#api.zeroBlock(deviceId, block)); 
+    this.#checkStatus(this.#api.zeroBlock(deviceId, block), 'zeroBlock', {deviceId, block});
+  }
+
+  //
+  // Images
+
+  // Copy the entire contents of a block device into a new Uint8Array
+  exportImage(deviceId) {
+    const { blockSize, blockCount } = this.blockDeviceInfo(deviceId);
+    const out = new Uint8Array(blockSize * blockCount);
+    for (let blk = 0; blk < blockCount; blk++) {
+      this.readBlock(out.subarray(blk * blockSize, (blk + 1) * blockSize), deviceId, blk);
+    }
+    return out;
+  }
+
+  // As exportImage(), but returns a ReadableStream so large devices needn't
+  // be copied in one go. Each chunk holds up to blocksPerChunk blocks, and
+  // blocks are only read as the consumer pulls.
+  exportImageStream(deviceId, { blocksPerChunk = 64 } = {}) {
+    const { blockSize, blockCount } = this.blockDeviceInfo(deviceId);
+    let next = 0;
+    return new ReadableStream({
+      pull: (controller) => {
+        if (next >= blockCount) {
+          controller.close();
+          return;
+        }
+        const n = Math.min(blocksPerChunk, blockCount - next);
+        const chunk = new Uint8Array(n * blockSize);
+        for (let i = 0; i < n; i++) {
+          this.readBlock(chunk.subarray(i * blockSize, (i + 1) * blockSize), deviceId, next + i);
+        }
+        next += n;
+        controller.enqueue(chunk);
+      }
+    });
+  }
+
+  // Create a new block device holding a copy of image, returning its id.
+  // The image's length must be a multiple of blockSize. All-zero blocks
+  // are skipped since new devices are zero-filled.
+  importImage(image, blockSize) {
+    if (image.length === 0 || image.length % blockSize !== 0) {
+      throw new FsError(E.ARG, 'importImage', {length: image.length, blockSize});
+    }
+
+    const blockCount = image.length / blockSize;
+    const id = this.createBlockDevice(blockSize, blockCount);
+    try {
+      for (let blk = 0; blk < blockCount; blk++) {
+        const block = image.subarray(blk * blockSize, (blk + 1) * blockSize);
+        if (block.some((b) => b !== 0)) {
+          this.writeBlock(id, blk, block);
+        }
+      }
+    } catch (err) {
+      this.destroyBlockDevice(id);
+      throw err;
+    }
+    return id;
   }
 
   //
   // File System Management
 
   formatFS(deviceId, inodeBlockCount) {
-    this.#assertDeviceExists(deviceId);
-    const id = this.#checkStatus(this.#api.fileSystemFormat(deviceId, inodeBlockCount));
+    this.#assertDeviceExists('formatFS', deviceId);
+    this.#checkStatus(this.#api.fileSystemFormat(deviceId, inodeBlockCount), 'formatFS', {deviceId, inodeBlockCount});
     return this.#shuttle.view.slice(0, 16);
   }
 
   initFS(deviceId, config) {
     if (config.length !== 16) {
-      throw new Error(`FS config must be exactly 16 bytes`);
+      throw new FsError(E.ARG, 'initFS', {deviceId, configLength: config.length});
     }
     this.#shuttle.write(config);
-    return this.#checkStatus(this.#api.fileSystemInit(deviceId));
+    return this.#checkStatus(this.#api.fileSystemInit(deviceId), 'initFS', {deviceId});
+  }
+
+  // Format a device and write a superblock describing it to block 0, so it
+  // can later be mounted with mount() alone. Returns the Superblock.
+  mkfs(deviceId, { inodeBlockCount = 32, label = '', uuid = randomUuid() } = {}) {
+    const { blockSize, blockCount } = this.blockDeviceInfo(deviceId);
+    const sb = Object.assign(new Superblock(), {blockSize, blockCount, inodeBlockCount, label, uuid});
+    sb.encode(); // validate before touching the device
+
+    sb.config = this.formatFS(deviceId, inodeBlockCount);
+    this.writeBlock(deviceId, 0, sb.encode());
+    return sb;
+  }
+
+  // Read and validate the superblock of a device formatted by mkfs()
+  readSuperblock(deviceId) {
+    const { blockSize, blockCount } = this.blockDeviceInfo(deviceId);
+    const block = new Uint8Array(blockSize);
+    this.readBlock(block, deviceId, 0);
+
+    const sb = Superblock.decode(block);
+    if (sb.blockSize !== blockSize || sb.blockCount !== blockCount) {
+      throw new FsError(E.NOFS, 'readSuperblock', {deviceId, blockSize: sb.blockSize, blockCount: sb.blockCount});
+    }
+    if (sb.inodeBlockCount >= blockCount || sb.config[2] !== sb.inodeBlockCount / BlockCountMultiplier - 1) {
+      throw new FsError(E.NOFS, 'readSuperblock', {deviceId, inodeBlockCount: sb.inodeBlockCount});
+    }
+    return sb;
+  }
+
+  // Initialise the file system on a device formatted by mkfs(), returning
+  // its id
+  mount(deviceId) {
+    return this.initFS(deviceId, this.readSuperblock(deviceId).config);
   }
 
   destroyFS(fsId) {
-    return this.#checkStatus(this.#api.fileSystemDestroy(fsId)); 
+    return this.#checkStatus(this.#api.fileSystemDestroy(fsId), 'destroyFS', {fsId});
   }
 
   //
@@ -92,107 +296,131 @@ export class Bridge {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
     const res = this.#api.fsLookup(fsId, inode, ptr, len);
-    return this.#checkStatus(res);
+    return this.#checkStatus(res, 'lookup', {fsId, inode, name});
   }
 
   exists(fsId, inode, name) {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
     const res = this.#api.fsExists(fsId, inode, ptr, len);
-    return this.#checkStatus(res) > 0;
+    return this.#checkStatus(res, 'exists', {fsId, inode, name}) > 0;
   }
 
   stat(fsId, inode) {
-    const len = this.#checkStatus(this.#api.fsStat(fsId, inode));
+    const len = this.#checkStatus(this.#api.fsStat(fsId, inode), 'stat', {fsId, inode});
     return this.#readStat(len);
   }
 
+  setExecutable(fsId, inode, executable) {
+    return this.#checkStatus(this.#api.fsSetExecutable(fsId, inode, executable ? 1 : 0), 'setExecutable', {fsId, inode, executable});
+  }
+
+  setMtime(fsId, inode, mtime) {
+    return this.#checkStatus(this.#api.fsSetMtime(fsId, inode, mtime), 'setMtime', {fsId, inode, mtime});
+  }
+
   open(fsId, inode, flags) {
-    return this.#checkStatus(this.#api.fsOpen(fsId, inode, flags));
+    return this.#checkStatus(this.#api.fsOpen(fsId, inode, flags), 'open', {fsId, inode, flags});
   }
 
   create(fsId, parentDirPtr, name) {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
     const res = this.#api.fsCreate(fsId, parentDirPtr, ptr, len);
-    return this.#checkStatus(res);
+    return this.#checkStatus(res, 'create', {fsId, parentDirPtr, name});
   }
 
   close(fsId, fd) {
-    return this.#checkStatus(this.#api.fsClose(fsId, fd));
+    return this.#checkStatus(this.#api.fsClose(fsId, fd), 'close', {fsId, fd});
   }
 
   unlink(fsId, inode, name) {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
-    return this.#checkStatus(this.#api.fsUnlink(fsId, inode, ptr, len));
+    return this.#checkStatus(this.#api.fsUnlink(fsId, inode, ptr, len), 'unlink', {fsId, inode, name});
+  }
+
+  statFd(fsId, fd) {
+    const len = this.#checkStatus(this.#api.fsStatFd(fsId, fd), 'statFd', {fsId, fd});
+    return this.#readStat(len);
   }
 
   tell(fsId, fd) {
-    return this.#checkStatus(this.#api.fsTell(fsId, fd));
+    return this.#checkStatus(this.#api.fsTell(fsId, fd), 'tell', {fsId, fd});
   }
 
   eof(fsId, fd) {
-    return this.#checkStatus(this.#api.fsEof(fsId, fd)) > 0;
+    return this.#checkStatus(this.#api.fsEof(fsId, fd), 'eof', {fsId, fd}) > 0;
   }
 
   seek(fsId, fd, offset, whence) {
-    return this.#checkStatus(this.#api.fsSeek(fsId, fd, offset, whence));
+    return this.#checkStatus(this.#api.fsSeek(fsId, fd, offset, whence), 'seek', {fsId, fd, offset, whence});
+  }
+
+  truncate(fsId, fd) {
+    return this.#checkStatus(this.#api.fsTruncate(fsId, fd), 'truncate', {fsId, fd});
   }
 
   read(fsId, dst, fd) {
-    if (dst.length > this.#shuttle.length) throw new Error("max size exceeded");
-    const read = this.#checkStatus(this.#api.fsRead(fsId, fd, dst.length));
+    if (dst.length > this.#shuttle.length) throw new FsError(E.ARG, 'read', {fsId, fd, length: dst.length});
+    const read = this.#checkStatus(this.#api.fsRead(fsId, fd, dst.length), 'read', {fsId, fd, length: dst.length});
     this.#shuttle.read(dst.subarray(0, read));
     return read;
   }
 
   write(fsId, fd, src) {
-    if (src.length > this.#shuttle.length) throw new Error("max size exceeded");
+    if (src.length > this.#shuttle.length) throw new FsError(E.ARG, 'write', {fsId, fd, length: src.length});
     this.#shuttle.write(src);
-    return this.#checkStatus(this.#api.fsWrite(fsId, fd, src.length));
+    return this.#checkStatus(this.#api.fsWrite(fsId, fd, src.length), 'write', {fsId, fd, length: src.length});
+  }
+
+  rename(fsId, srcDirPtr, srcName, dstDirPtr, dstName) {
+    this.#resetStringBuffer();
+    const src = this.#writeString(srcName);
+    const dst = this.#writeString(dstName);
+    const res = this.#api.fsRename(fsId, srcDirPtr, src.ptr, src.len, dstDirPtr, dst.ptr, dst.len);
+    return this.#checkStatus(res, 'rename', {fsId, srcDirPtr, srcName, dstDirPtr, dstName});
   }
 
   mkdir(fsId, inode, name) {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
-    return this.#checkStatus(this.#api.fsMkdir(fsId, inode, ptr, len));
+    return this.#checkStatus(this.#api.fsMkdir(fsId, inode, ptr, len), 'mkdir', {fsId, inode, name});
   }
 
   rmdir(fsId, inode, name) {
     this.#resetStringBuffer();
     const {ptr, len} = this.#writeString(name);
-    return this.#checkStatus(this.#api.fsRmdir(fsId, inode, ptr, len));
+    return this.#checkStatus(this.#api.fsRmdir(fsId, inode, ptr, len), 'rmdir', {fsId, inode, name});
   }
 
   opendir(fsId, inode) {
-    return this.#checkStatus(this.#api.fsOpendir(fsId, inode));
+    return this.#checkStatus(this.#api.fsOpendir(fsId, inode), 'opendir', {fsId, inode});
   }
 
   closedir(fsId, fd) {
-    return this.#checkStatus(this.#api.fsClosedir(fsId, fd));
+    return this.#checkStatus(this.#api.fsClosedir(fsId, fd), 'closedir', {fsId, fd});
   }
 
   readdir(fsId, fd) {
-    const len = this.#checkStatus(this.#api.fsReaddir(fsId, fd));
+    const len = this.#checkStatus(this.#api.fsReaddir(fsId, fd), 'readdir', {fsId, fd});
     return (len > 0) ? this.#readStat(len) : false;
   }
 
   //
   // Internals
 
-  #assertDeviceExists(id, expectedBlockSize = null) {
+  #assertDeviceExists(op, id, expectedBlockSize = null) {
     const device = this.#blockDevices.get(id);
-    if (!device) throw new Error(`unknown block device ${id}`);
+    if (!device) throw new FsError(E.NODEV, op, {deviceId: id});
     if (expectedBlockSize !== null && expectedBlockSize !== device.size) {
-      throw new Error(`incorrect block size for device ${id} (expected=${expectedBlockSize}, actual=${device.size})`);
+      throw new FsError(E.ARG, op, {deviceId: id, expectedBlockSize, actualBlockSize: device.size});
     }
   }
 
-  #checkStatus(status) {
+  #checkStatus(status, op, args) {
     if (status < 0) {
-      // TODO: proper error type
-      throw new Error(`fs op failed with status: ${status}`);
+      throw FsError.fromStatus(status, op, args);
     }
     return status;
   }
@@ -0,0 +1,117 @@
+export { crc32, Sha256 };
+
+// CRC-32 (IEEE 802.3), as used by gzip and zip
+const CrcTable = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    CrcTable[n] = c;
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CrcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// Incremental SHA-256. crypto.subtle.digest() needs all of its input up
+// front, which rules it out for hashing a device as it streams past.
+class Sha256 {
+    #h = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ]);
+    #w = new Uint32Array(64);
+    #block = new Uint8Array(64);
+    #blockLen = 0;
+    #length = 0;
+
+    update(bytes) {
+        let i = 0;
+        this.#length += bytes.length;
+        if (this.#blockLen > 0) {
+            const n = Math.min(64 - this.#blockLen, bytes.length);
+            this.#block.set(bytes.subarray(0, n), this.#blockLen);
+            this.#blockLen += n;
+            i = n;
+            if (this.#blockLen < 64) return this;
+            this.#compress(this.#block, 0);
+            this.#blockLen = 0;
+        }
+        for (; i + 64 <= bytes.length; i += 64) {
+            this.#compress(bytes, i);
+        }
+        this.#block.set(bytes.subarray(i));
+        this.#blockLen = bytes.length - i;
+        return this;
+    }
+
+    // Return the digest; the hash can't be updated afterwards
+    digest() {
+        const bits = this.#length * 8;
+        const padLen = (this.#blockLen < 56 ? 56 : 120) - this.#blockLen;
+        const pad = new Uint8Array(padLen + 8);
+        pad[0] = 0x80;
+        const dv = new DataView(pad.buffer);
+        dv.setUint32(padLen, Math.floor(bits / 0x100000000), false);
+        dv.setUint32(padLen + 4, bits >>> 0, false);
+        this.update(pad);
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        this.#h.forEach((v, i) => outView.setUint32(i * 4, v, false));
+        return out;
+    }
+
+    #compress(bytes, offset) {
+        const w = this.#w;
+        const dv = new DataView(bytes.buffer, bytes.byteOffset + offset, 64);
+        for (let i = 0; i < 16; i++) {
+            w[i] = dv.getUint32(i * 4, false);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        const h = this.#h;
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (hh + s1 + ch + K[i] + w[i]) >>> 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) >>> 0;
+            hh = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+        h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+        h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+    }
+}
+
+function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+}
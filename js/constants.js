@@ -13,4 +13,14 @@ export const RelEnd = 2;
 export const File = 1;
 export const Directory = 2;
 
-export const MaxTransferSize = 16384;
\ No newline at end of file
+export const MaxTransferSize = 16384;
+
+// inode block counts must be multiples of this (BLOCK_COUNT_MULTIPLIER in
+// fs.zig)
+export const BlockCountMultiplier = 8;
+
+// longest name, in bytes, that can be stored in a directory entry
+export const MaxFilenameLen = 14;
+
+// mtimes are stored as seconds since this Unix time (2001-01-01T00:00:00Z)
+export const MtimeEpoch = 978307200;
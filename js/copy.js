@@ -0,0 +1,159 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize } from './constants.js';
+import { writeAll } from './file-io.js';
+
+export { copy };
+
+// Copy the file or directory at srcInode in srcFs to the entry called name
+// in dstDirPtr of dstFs. srcFs and dstFs may be the same filesystem, and
+// may be any mix of FileSystem and MockFs.
+//
+// Options:
+//   recursive          - required to copy directories
+//   overwrite          - replace existing files, and merge into existing
+//                        directories; otherwise existing entries raise EEXIST
+//   preserveExecutable - copy the executable flag of files
+//   preserveMtime      - copy the modification time of files and directories
+//   onProgress         - called with {path, inode, size} after each file is
+//                        copied, where path is relative to dstDirPtr
+//
+// File contents are streamed through a single MaxTransferSize buffer.
+// Returns the inode of the new entry.
+function copy(srcFs, srcInode, dstFs, dstDirPtr, name, opts = {}) {
+    const ctx = {
+        srcFs,
+        dstFs,
+        recursive: opts.recursive || false,
+        overwrite: opts.overwrite || false,
+        preserveExecutable: opts.preserveExecutable || false,
+        preserveMtime: opts.preserveMtime || false,
+        onProgress: opts.onProgress || null,
+        buffer: new Uint8Array(MaxTransferSize),
+        op: ['copy', { srcInode, dstDirPtr, name }],
+    };
+
+    const stat = srcFs.stat(srcInode);
+    if (stat.isDir) {
+        if (!ctx.recursive) {
+            raise(E.ISDIR, ctx);
+        } else if (srcFs === dstFs && isInSubtree(srcFs, dstDirPtr, srcInode)) {
+            raise(E.ARG, ctx);
+        }
+    }
+
+    return copyEntry(ctx, stat, dstDirPtr, name, name);
+}
+
+function copyEntry(ctx, stat, dstDirPtr, name, path) {
+    const inode = stat.isDir
+        ? copyDir(ctx, stat.inode, dstDirPtr, name, path)
+        : copyFile(ctx, stat, dstDirPtr, name, path);
+
+    if (ctx.preserveMtime) {
+        ctx.dstFs.setMtime(inode, stat.mtime);
+    }
+
+    return inode;
+}
+
+function copyDir(ctx, srcInode, dstDirPtr, name, path) {
+    const { srcFs, dstFs } = ctx;
+
+    let dstInode;
+    if (dstFs.exists(dstDirPtr, name)) {
+        dstInode = dstFs.lookup(dstDirPtr, name);
+        if (!ctx.overwrite) {
+            raise(E.EXIST, ctx);
+        } else if (!dstFs.stat(dstInode).isDir) {
+            raise(E.NOTDIR, ctx);
+        }
+    } else {
+        dstInode = dstFs.mkdir(dstDirPtr, name);
+    }
+
+    // collect entries first so the source handle isn't held open across
+    // the (possibly deep) copy of each child.
+    const entries = [];
+    const dh = srcFs.opendir(srcInode);
+    try {
+        while (true) {
+            const entry = srcFs.readdir(dh);
+            if (!entry) break;
+            entries.push(entry);
+        }
+    } finally {
+        srcFs.closedir(dh);
+    }
+
+    for (const entry of entries) {
+        copyEntry(ctx, entry, dstInode, entry.name, `${path}/${entry.name}`);
+    }
+
+    return dstInode;
+}
+
+function copyFile(ctx, stat, dstDirPtr, name, path) {
+    const { srcFs, dstFs, buffer } = ctx;
+
+    let dstInode;
+    if (dstFs.exists(dstDirPtr, name)) {
+        dstInode = dstFs.lookup(dstDirPtr, name);
+        if (!ctx.overwrite) {
+            raise(E.EXIST, ctx);
+        } else if (dstFs.stat(dstInode).isDir) {
+            raise(E.ISDIR, ctx);
+        }
+    } else {
+        dstInode = dstFs.create(dstDirPtr, name);
+    }
+
+    const src = srcFs.open(stat.inode, OpenFlags.READ);
+    try {
+        const dst = dstFs.open(dstInode, OpenFlags.WRITE | OpenFlags.TRUNCATE);
+        try {
+            while (true) {
+                const bytesRead = srcFs.read(buffer, src);
+                if (bytesRead === 0) break;
+                writeAll(dstFs, dst, buffer.subarray(0, bytesRead));
+            }
+        } finally {
+            dstFs.close(dst);
+        }
+    } finally {
+        srcFs.close(src);
+    }
+
+    if (ctx.preserveExecutable) {
+        dstFs.setExecutable(dstInode, stat.isExecutable);
+    }
+
+    if (ctx.onProgress) {
+        ctx.onProgress({ path, inode: dstInode, size: stat.size });
+    }
+
+    return dstInode;
+}
+
+// returns true if target is dir, or any directory beneath it
+function isInSubtree(fs, target, dir) {
+    if (target === dir) return true;
+
+    const subdirs = [];
+    const dh = fs.opendir(dir);
+    try {
+        while (true) {
+            const entry = fs.readdir(dh);
+            if (!entry) break;
+            if (entry.isDir) subdirs.push(entry.inode);
+        }
+    } finally {
+        fs.closedir(dh);
+    }
+
+    return subdirs.some((subdir) => isInSubtree(fs, target, subdir));
+}
+
+function raise(code, ctx) {
+    throw new FsError(code, ...ctx.op);
+}
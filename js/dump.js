@@ -1,26 +1,9 @@
-import { MaxTransferSize } from "../js/constants.js";
+import { readFile } from "./file-io.js";
 
 export { dumpFile, dumpFileToString, dumpDir, dumpFS };
 
 function dumpFile(fs, inode) {
-    const size = fs.stat(inode).size;
-    const fh = fs.open(inode, 0);
-
-    try {
-        const out = new Uint8Array(size);
-        let rp = 0;
-        while (rp < size) {
-            const bytesToRead = Math.min(MaxTransferSize, size - rp);
-            const bytesRead = fs.read(out.subarray(rp, rp + bytesToRead), fh);
-            if (bytesToRead !== bytesRead) {
-                throw new Error(`Expected to read ${bytesToRead} bytes, but got ${bytesRead}`);
-            }
-            rp += bytesRead;
-        }
-        return out;
-    } finally {
-        fs.close(fh);
-    }
+    return readFile(fs, inode);
 }
 
 function dumpFileToString(fs, inode) {
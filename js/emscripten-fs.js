@@ -0,0 +1,251 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize, MtimeEpoch, Abs, RelEnd } from './constants.js';
+import { Errno, errnoForCode } from './wasi.js';
+import { writeAll } from './file-io.js';
+
+export { createZigFsBackend };
+
+const RootInode = 0;
+
+const DirMode = 0o40777;
+const FileMode = 0o100666;
+const ExecutableBits = 0o111;
+
+// access modes in stream.flags
+const AccessModeMask = 0o3;
+const WriteOnly = 0o1;
+const ReadWrite = 0o2;
+
+const SeekSet = 0;
+const SeekCur = 1;
+const SeekEnd = 2;
+
+// Create an Emscripten filesystem backend that mounts a FileSystem (or
+// MockFs). FS is the Emscripten module's FS object:
+//
+//   const ZIGFS = createZigFsBackend(Module.FS);
+//   Module.FS.mount(ZIGFS, { fs }, '/data');
+//
+// The mount options may also give the root inode to mount (default 0).
+//
+// Node ids are the filesystem's inode pointers. Emscripten uses the WASI
+// errno values, so FsErrors are mapped as for the WASI adapter.
+// Symlinks aren't supported, and truncation is only possible to zero
+// length.
+function createZigFsBackend(FS) {
+    // Run fn, converting FsErrors to FS.ErrnoError
+    const run = (fn) => {
+        try {
+            return fn();
+        } catch (err) {
+            if (err instanceof FsError) throw new FS.ErrnoError(errnoForCode(err.code));
+            throw err;
+        }
+    };
+
+    const createNode = (parent, name, fs, inode) => {
+        const stat = fs.stat(inode);
+        const mode = stat.isDir ? DirMode : (FileMode | (stat.isExecutable ? ExecutableBits : 0));
+        const node = FS.createNode(parent, name, mode, 0);
+        node.id = inode;
+        node.zigfs = fs;
+        node.node_ops = nodeOps;
+        node.stream_ops = streamOps;
+        return node;
+    };
+
+    const nodeOps = {
+        getattr(node) {
+            return run(() => {
+                const stat = node.zigfs.stat(node.id);
+                const mtime = new Date((stat.mtime + MtimeEpoch) * 1000);
+                return {
+                    dev: 1,
+                    ino: node.id,
+                    mode: node.mode,
+                    nlink: 1,
+                    uid: 0,
+                    gid: 0,
+                    rdev: 0,
+                    size: stat.size,
+                    atime: mtime,
+                    mtime,
+                    ctime: mtime,
+                    blksize: 4096,
+                    blocks: Math.ceil(stat.size / 4096),
+                };
+            });
+        },
+
+        setattr(node, attr) {
+            run(() => {
+                const fs = node.zigfs;
+                if (attr.mode !== undefined && !FS.isDir(node.mode)) {
+                    fs.setExecutable(node.id, (attr.mode & ExecutableBits) !== 0);
+                    node.mode = FileMode | (attr.mode & ExecutableBits ? ExecutableBits : 0);
+                }
+                const mtime = attr.mtime ?? attr.timestamp;
+                if (mtime !== undefined) {
+                    fs.setMtime(node.id, Math.floor(Number(mtime) / 1000) - MtimeEpoch);
+                }
+                if (attr.size !== undefined) {
+                    if (attr.size !== 0) throw new FS.ErrnoError(Errno.NOTSUP);
+                    fs.close(fs.open(node.id, OpenFlags.WRITE | OpenFlags.TRUNCATE));
+                }
+            });
+        },
+
+        lookup(parent, name) {
+            return run(() => {
+                const inode = parent.zigfs.lookup(parent.id, name);
+                return createNode(parent, name, parent.zigfs, inode);
+            });
+        },
+
+        mknod(parent, name, mode, dev) {
+            return run(() => {
+                const fs = parent.zigfs;
+                let inode;
+                if (FS.isDir(mode)) {
+                    inode = fs.mkdir(parent.id, name);
+                } else if (FS.isFile(mode)) {
+                    inode = fs.create(parent.id, name);
+                    if (mode & ExecutableBits) fs.setExecutable(inode, true);
+                } else {
+                    throw new FS.ErrnoError(Errno.NOTSUP);
+                }
+                return createNode(parent, name, fs, inode);
+            });
+        },
+
+        rename(oldNode, newDir, newName) {
+            run(() => {
+                // any node cached for the replaced entry is now stale
+                try {
+                    FS.hashRemoveNode(FS.lookupNode(newDir, newName));
+                } catch (err) {
+                    if (!(err instanceof FS.ErrnoError)) throw err;
+                }
+                oldNode.zigfs.rename(oldNode.parent.id, oldNode.name, newDir.id, newName);
+                oldNode.name = newName;
+                oldNode.parent = newDir;
+            });
+        },
+
+        unlink(parent, name) {
+            run(() => parent.zigfs.unlink(parent.id, name));
+        },
+
+        rmdir(parent, name) {
+            run(() => parent.zigfs.rmdir(parent.id, name));
+        },
+
+        readdir(node) {
+            return run(() => {
+                const names = ['.', '..'];
+                for (const stat of node.zigfs.readdirIter(node.id)) {
+                    names.push(stat.name);
+                }
+                return names;
+            });
+        },
+
+        symlink() {
+            throw new FS.ErrnoError(Errno.NOTSUP);
+        },
+
+        readlink() {
+            throw new FS.ErrnoError(Errno.INVAL);
+        },
+    };
+
+    // Emscripten tracks stream positions itself, so the underlying fd is
+    // seeked to the requested position before each read or write.
+    const streamOps = {
+        open(stream) {
+            run(() => {
+                if (FS.isFile(stream.node.mode)) {
+                    stream.zigfd = stream.node.zigfs.open(stream.node.id, openFlags(stream.flags));
+                }
+            });
+        },
+
+        close(stream) {
+            run(() => {
+                if (stream.zigfd !== undefined) {
+                    stream.node.zigfs.close(stream.zigfd);
+                    stream.zigfd = undefined;
+                }
+            });
+        },
+
+        read(stream, buffer, offset, length, position) {
+            return run(() => {
+                const fs = stream.node.zigfs;
+                if (position >= fs.statFd(stream.zigfd).size) return 0;
+                fs.seek(stream.zigfd, position, Abs);
+
+                const dst = buffer.subarray(offset, offset + length);
+                let total = 0;
+                while (total < dst.length) {
+                    const n = fs.read(dst.subarray(total, total + MaxTransferSize), stream.zigfd);
+                    if (n === 0) break;
+                    total += n;
+                }
+                return total;
+            });
+        },
+
+        // writes past the end of the file fill the gap with zeros
+        write(stream, buffer, offset, length, position) {
+            return run(() => {
+                const fs = stream.node.zigfs;
+                const size = fs.statFd(stream.zigfd).size;
+                if (position > size) {
+                    fs.seek(stream.zigfd, 0, RelEnd);
+                    writeAll(fs, stream.zigfd, new Uint8Array(position - size));
+                } else {
+                    fs.seek(stream.zigfd, position, Abs);
+                }
+                writeAll(fs, stream.zigfd, buffer.subarray(offset, offset + length));
+                return length;
+            });
+        },
+
+        llseek(stream, offset, whence) {
+            let position = offset;
+            if (whence === SeekCur) {
+                position += stream.position;
+            } else if (whence === SeekEnd) {
+                position += run(() => stream.node.zigfs.stat(stream.node.id).size);
+            } else if (whence !== SeekSet) {
+                throw new FS.ErrnoError(Errno.INVAL);
+            }
+            if (position < 0) throw new FS.ErrnoError(Errno.INVAL);
+            return position;
+        },
+    };
+
+    return {
+        mount(mount) {
+            const { fs, root = RootInode } = mount.opts;
+            if (!fs) throw new FS.ErrnoError(Errno.INVAL);
+            return run(() => {
+                if (!fs.stat(root).isDir) throw new FsError(E.NOTDIR);
+                return createNode(null, '/', fs, root);
+            });
+        },
+        node_ops: nodeOps,
+        stream_ops: streamOps,
+    };
+}
+
+// OpenFlags for the access mode in an Emscripten stream's flags
+function openFlags(streamFlags) {
+    switch (streamFlags & AccessModeMask) {
+        case WriteOnly: return OpenFlags.WRITE;
+        case ReadWrite: return OpenFlags.READ | OpenFlags.WRITE;
+        default: return OpenFlags.READ;
+    }
+}
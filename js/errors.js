@@ -6,4 +6,73 @@ export const BADOFFSET = 'EBADOFFSET';
 export const EXIST = 'EEXIST';
 export const BUSY = 'EBUSY';
 export const ACCESS = 'EACCESS';
-export const ARG = 'EARG';
\ No newline at end of file
+export const ARG = 'EARG';
+export const NOSPC = 'ENOSPC';
+export const NAMETOOLONG = 'ENAMETOOLONG';
+export const NODEV = 'ENODEV';
+export const NOFS = 'ENOFS';
+export const NOTREADY = 'ENOTREADY';
+export const INTERNAL = 'EINTERNAL';
+export const NOTEMPTY = 'ENOTEMPTY';
+
+// raised by JS code only; there's no corresponding WASM status
+export const CORRUPT = 'ECORRUPT';
+
+// status codes returned by the WASM module - must be kept in sync with
+// the E_* constants in src/root.zig
+const StatusCodes = new Map([
+    [-1, NODEV],
+    [-2, BUSY],
+    [-3, NOTREADY],
+    [-5, NOFS],
+    [-6, ARG],
+    [-7, NOENT],
+    [-8, NAMETOOLONG],
+    [-9, BADOFFSET],
+    [-10, ISDIR],
+    [-11, NOTDIR],
+    [-12, EXIST],
+    [-13, NOSPC],
+    [-14, ARG],
+    [-15, BUSY],
+    [-16, ACCESS],
+    [-17, ACCESS],
+    [-18, NOSPC],
+    [-19, BADFD],
+    [-20, NOTEMPTY],
+    [-100, INTERNAL],
+]);
+
+export function codeForStatus(status) {
+    return StatusCodes.get(status) || INTERNAL;
+}
+
+// Error raised by all filesystem implementations.
+//
+// code is one of the string constants above, op is the name of the
+// operation that failed, and args holds the arguments it was called with.
+// status is only set when the error originated in the WASM module.
+export class FsError extends Error {
+    static fromStatus(status, op, args) {
+        const err = new FsError(codeForStatus(status), op, args);
+        err.status = status;
+        return err;
+    }
+
+    constructor(code, op = null, args = {}) {
+        super(formatMessage(code, op, args));
+        this.name = 'FsError';
+        this.code = code;
+        this.op = op;
+        this.args = args;
+        this.status = null;
+    }
+}
+
+function formatMessage(code, op, args) {
+    if (!op) return code;
+    const formattedArgs = Object.entries(args)
+        .map(([k, v]) => `${k}=${JSON.stringify(v)}`)
+        .join(', ');
+    return `${code}: ${op}(${formattedArgs})`;
+}
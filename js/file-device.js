@@ -0,0 +1,245 @@
+import * as nodeFs from 'node:fs';
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+
+export { FileDevice };
+
+// Block device backed by an image file on the host (Node only):
+//
+//   const dev = FileDevice.open(bridge, 'home.img', { blockSize: 512 });
+//   const fsId = bridge.mount(dev.deviceId);
+//   ...
+//   bridge.destroyFS(fsId);
+//   dev.close();
+//
+// The device is created with Bridge.createBlockDevice() and loaded from
+// the file, its block count being the file size divided by blockSize. If
+// the file doesn't exist and blockCount is given, an empty (sparse) image
+// is created and created is true.
+//
+// Changed blocks are written back to the file once the WASM call that
+// changed them returns; flush() and close() also fsync the file.
+//
+// Unless readOnly is set, a lock file (path + '.lock', holding the owner's
+// pid) prevents other processes from opening the image; opening a locked
+// image throws E.BUSY. Locks left behind by dead processes are taken over. In
+// read-only mode changes are kept in memory and never written back.
+class FileDevice {
+    static open(bridge, path, { blockSize, blockCount, readOnly = false, onError = console.error } = {}) {
+        if (!blockSize) {
+            throw new FsError(E.ARG, 'openFileDevice', {path, blockSize});
+        }
+
+        const lockPath = readOnly ? null : acquireLock(path);
+        let fd = null;
+        let deviceId = null;
+        let created = false;
+        try {
+            try {
+                fd = nodeFs.openSync(path, readOnly ? 'r' : 'r+');
+            } catch (err) {
+                if (err.code !== 'ENOENT' || readOnly || !blockCount) throw err;
+                fd = nodeFs.openSync(path, 'wx+');
+                created = true;
+                nodeFs.ftruncateSync(fd, blockSize * blockCount);
+            }
+
+            const { size } = nodeFs.fstatSync(fd);
+            if (size === 0 || size % blockSize !== 0) {
+                throw new FsError(E.ARG, 'openFileDevice', {path, size, blockSize});
+            }
+
+            deviceId = bridge.createBlockDevice(blockSize, size / blockSize);
+            loadBlocks(bridge, deviceId, fd, blockSize, size / blockSize);
+
+            return new FileDevice(bridge, deviceId, fd, lockPath, { path, created, readOnly, onError });
+        } catch (err) {
+            if (deviceId !== null) bridge.destroyBlockDevice(deviceId);
+            if (fd !== null) nodeFs.closeSync(fd);
+            // don't leave a half-made image behind
+            if (created) nodeFs.rmSync(path, { force: true });
+            if (lockPath !== null) releaseLock(lockPath);
+            throw err;
+        }
+    }
+
+    #bridge;
+    #fd;
+    #lockPath;
+    #onError;
+    #blockSize;
+    #dirty = new Set();
+    #writeQueued = false;
+    #unsubscribe = () => {};
+    #releaseOnExit;
+
+    constructor(bridge, deviceId, fd, lockPath, { path, created, readOnly, onError }) {
+        this.#bridge = bridge;
+        this.#fd = fd;
+        this.#lockPath = lockPath;
+        this.#onError = onError;
+        this.#blockSize = bridge.blockDeviceInfo(deviceId).blockSize;
+        this.deviceId = deviceId;
+        this.path = path;
+        this.created = created;
+        this.readOnly = readOnly;
+
+        if (!readOnly) {
+            this.#unsubscribe = bridge.onBlockChanged((id, block) => {
+                if (id === deviceId) this.#markDirty(block);
+            });
+        }
+
+        // don't leave the lock behind if the process exits without close()
+        this.#releaseOnExit = () => {
+            if (this.#lockPath !== null) releaseLock(this.#lockPath);
+        };
+        process.on('exit', this.#releaseOnExit);
+    }
+
+    // Write any changed blocks and fsync the file
+    flush() {
+        this.#check('flush');
+        this.#writeDirty();
+        if (!this.readOnly) nodeFs.fsyncSync(this.#fd);
+    }
+
+    // Flush, close the file and release the lock. The block device itself
+    // isn't destroyed.
+    close() {
+        if (this.#fd === null) return;
+        this.#unsubscribe();
+        try {
+            this.flush();
+        } finally {
+            nodeFs.closeSync(this.#fd);
+            this.#fd = null;
+            this.#releaseOnExit();
+            this.#lockPath = null;
+            process.off('exit', this.#releaseOnExit);
+        }
+    }
+
+    [Symbol.dispose ?? Symbol.for('Symbol.dispose')]() {
+        this.close();
+    }
+
+    // Blocks can't be read while the WASM call that changed them is in
+    // progress, so writing is deferred until it has returned
+    #markDirty(block) {
+        this.#dirty.add(block);
+        if (this.#writeQueued) return;
+        this.#writeQueued = true;
+        queueMicrotask(() => {
+            this.#writeQueued = false;
+            if (this.#fd === null) return;
+            try {
+                this.#writeDirty();
+            } catch (err) {
+                this.#onError(err);
+            }
+        });
+    }
+
+    #writeDirty() {
+        const block = new Uint8Array(this.#blockSize);
+        for (const blk of this.#dirty) {
+            this.#bridge.readBlock(block, this.deviceId, blk);
+            nodeFs.writeSync(this.#fd, block, 0, block.length, blk * this.#blockSize);
+            this.#dirty.delete(blk);
+        }
+    }
+
+    #check(op) {
+        if (this.#fd === null) {
+            throw new FsError(E.BADFD, op, {path: this.path});
+        }
+    }
+}
+
+//
+// Internals
+
+// Copy the file's contents to the device, skipping zero blocks since new
+// devices are zero-filled
+function loadBlocks(bridge, deviceId, fd, blockSize, blockCount) {
+    const blocksPerRead = Math.max(1, Math.floor(1048576 / blockSize));
+    const buffer = new Uint8Array(blocksPerRead * blockSize);
+    for (let first = 0; first < blockCount; first += blocksPerRead) {
+        const n = Math.min(blocksPerRead, blockCount - first);
+        const len = nodeFs.readSync(fd, buffer, 0, n * blockSize, first * blockSize);
+        if (len !== n * blockSize) {
+            throw new FsError(E.INTERNAL, 'openFileDevice', {block: first, short: len});
+        }
+        for (let i = 0; i < n; i++) {
+            const block = buffer.subarray(i * blockSize, (i + 1) * blockSize);
+            if (block.some((b) => b !== 0)) {
+                bridge.writeBlock(deviceId, first + i, block);
+            }
+        }
+    }
+}
+
+// Create the lock file for path, returning its path. The lock is written
+// under a temporary name and linked into place, so it's never seen without
+// its pid.
+function acquireLock(path) {
+    const lockPath = `${path}.lock`;
+    const tmpPath = `${lockPath}.${process.pid}`;
+    const stalePath = `${tmpPath}.stale`;
+    nodeFs.writeFileSync(tmpPath, `${process.pid}\n`);
+    try {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                nodeFs.linkSync(tmpPath, lockPath);
+                return lockPath;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+
+            // Move the lock aside before looking at it, so that the lock
+            // removed is the one found stale and not one another process
+            // has just taken over. Only a lock naming a dead process is.
+            try {
+                nodeFs.renameSync(lockPath, stalePath);
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+                throw err;
+            }
+            const owner = nodeFs.readFileSync(stalePath, 'utf8');
+            if (!/^\d+\n$/.test(owner) || isAlive(parseInt(owner, 10))) {
+                restoreLock(stalePath, lockPath);
+                break;
+            }
+            nodeFs.rmSync(stalePath);
+        }
+    } finally {
+        nodeFs.rmSync(tmpPath, { force: true });
+        nodeFs.rmSync(stalePath, { force: true });
+    }
+    throw new FsError(E.BUSY, 'openFileDevice', {path, lockPath});
+}
+
+// put back a lock moved aside that turned out to be held, unless another
+// has appeared in the meantime
+function restoreLock(movedPath, lockPath) {
+    try {
+        nodeFs.linkSync(movedPath, lockPath);
+    } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+    }
+}
+
+function releaseLock(lockPath) {
+    nodeFs.rmSync(lockPath, { force: true });
+}
+
+function isAlive(pid) {
+    if (!Number.isInteger(pid) || pid <= 0) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
@@ -0,0 +1,90 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize } from './constants.js';
+
+export { readFile, readText, writeFile, writeText, writeAll };
+
+// Whole-file helpers, shared by FileSystem and MockFs.
+//
+// All transfers are split into chunks of at most MaxTransferSize bytes so
+// they fit through the WASM shuttle buffer.
+
+// Read the entire contents of the file at inode.
+// The file's size is used as a hint only; reading continues until the
+// underlying read reports no more data.
+function readFile(fs, inode) {
+    let out = new Uint8Array(fs.stat(inode).size);
+    let offset = 0;
+
+    const fd = fs.open(inode, OpenFlags.READ);
+    try {
+        while (true) {
+            if (offset === out.length) {
+                if (fs.eof(fd)) break;
+                out = grow(out);
+            }
+            const bytesToRead = Math.min(MaxTransferSize, out.length - offset);
+            const bytesRead = fs.read(out.subarray(offset, offset + bytesToRead), fd);
+            if (bytesRead === 0) {
+                break;
+            }
+            offset += bytesRead;
+        }
+    } finally {
+        fs.close(fd);
+    }
+
+    return (offset === out.length) ? out : out.slice(0, offset);
+}
+
+function readText(fs, inode) {
+    return new TextDecoder().decode(readFile(fs, inode));
+}
+
+// Write data to the file called name in dirPtr, creating it if necessary.
+// By default any existing contents are replaced; with append, data is
+// written to the end of the file instead. Returns the file's inode.
+function writeFile(fs, dirPtr, name, data, { truncate = true, append = false } = {}) {
+    const inode = fs.exists(dirPtr, name)
+        ? fs.lookup(dirPtr, name)
+        : fs.create(dirPtr, name);
+
+    let flags = OpenFlags.WRITE;
+    if (append) {
+        flags |= OpenFlags.SEEK_END;
+    } else if (truncate) {
+        flags |= OpenFlags.TRUNCATE;
+    }
+
+    const fd = fs.open(inode, flags);
+    try {
+        writeAll(fs, fd, data);
+    } finally {
+        fs.close(fd);
+    }
+
+    return inode;
+}
+
+function writeText(fs, dirPtr, name, text, opts) {
+    return writeFile(fs, dirPtr, name, new TextEncoder().encode(text), opts);
+}
+
+// Write all of bytes to fd at its current position. A write that makes no
+// progress (the device is full) throws E.NOSPC rather than looping forever.
+function writeAll(fs, fd, bytes) {
+    let offset = 0;
+    while (offset < bytes.length) {
+        const n = fs.write(fd, bytes.subarray(offset, offset + MaxTransferSize));
+        if (n === 0) {
+            throw new FsError(E.NOSPC, 'write', {fd, written: offset, length: bytes.length});
+        }
+        offset += n;
+    }
+}
+
+function grow(buffer) {
+    const out = new Uint8Array(Math.max(buffer.length * 2, MaxTransferSize));
+    out.set(buffer);
+    return out;
+}
@@ -1,4 +1,8 @@
 import { Abs, RelCurr, RelEnd } from './constants.js';
+import * as io from './file-io.js';
+import * as streams from './streams.js';
+import { remove } from './remove.js';
+import { FileHandle, DirHandle, readdirIter } from './handles.js';
 
 export class FileSystem {
     #bridge;
@@ -21,6 +25,14 @@ export class FileSystem {
         return this.#bridge.stat(this.#id, ptr);
     }
     
+    setExecutable(ptr, executable) {
+        return this.#bridge.setExecutable(this.#id, ptr, executable);
+    }
+
+    setMtime(ptr, mtime) {
+        return this.#bridge.setMtime(this.#id, ptr, mtime);
+    }
+
     open(filePtr, flags) {
         return this.#bridge.open(this.#id, filePtr, flags);
     }
@@ -53,6 +65,10 @@ export class FileSystem {
         return this.#bridge.seek(this.#id, fd, offset, whence);
     }
 
+    truncate(fd) {
+        return this.#bridge.truncate(this.#id, fd);
+    }
+
     read(dst, fd) {
         return this.#bridge.read(this.#id, dst, fd);
     }
@@ -61,6 +77,10 @@ export class FileSystem {
         return this.#bridge.write(this.#id, fd, src);
     }
 
+    rename(srcDirPtr, srcName, dstDirPtr, dstName) {
+        return this.#bridge.rename(this.#id, srcDirPtr, srcName, dstDirPtr, dstName);
+    }
+
     mkdir(parentDirPtr, name) {
         return this.#bridge.mkdir(this.#id, parentDirPtr, name);
     }
@@ -80,4 +100,58 @@ export class FileSystem {
     readdir(dh) {
         return this.#bridge.readdir(this.#id, dh);
     }
+
+    remove(dirPtr, name, opts) {
+        return remove(this, dirPtr, name, opts);
+    }
+
+    //
+    // Handles
+
+    openFile(inode, flags) {
+        return new FileHandle(this, this.open(inode, flags));
+    }
+
+    openDir(inode) {
+        return new DirHandle(this, this.opendir(inode));
+    }
+
+    // alias of openFile()
+    openHandle(inode, flags) {
+        return this.openFile(inode, flags);
+    }
+
+    readdirIter(inode) {
+        return readdirIter(this, inode);
+    }
+
+    //
+    // Whole-file helpers
+
+    readFile(inode) {
+        return io.readFile(this, inode);
+    }
+
+    readText(inode) {
+        return io.readText(this, inode);
+    }
+
+    writeFile(dirPtr, name, data, opts) {
+        return io.writeFile(this, dirPtr, name, data, opts);
+    }
+
+    writeText(dirPtr, name, text, opts) {
+        return io.writeText(this, dirPtr, name, text, opts);
+    }
+
+    //
+    // Streams
+
+    createReadStream(inode, opts) {
+        return streams.createReadStream(this, inode, opts);
+    }
+
+    createWriteStream(dirPtr, name, opts) {
+        return streams.createWriteStream(this, dirPtr, name, opts);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { MaxFilenameLen } from './constants.js';
+import { FsPromises } from './promises.js';
+import { toNodeError } from './node-fs.js';
+import { splitPath } from './path-fs.js';
+
+export { createGitFs, encodeName };
+
+// Prefix of the directories used to store long names
+const Marker = '\x01';
+
+// Create an fs plugin for isomorphic-git backed by a FileSystem or MockFs:
+//
+//   git.init({ fs: createGitFs(fs), dir: '/repo' });
+//
+// Errors carry Node-style codes (ENOENT, EEXIST, ...), which isomorphic-git
+// relies on. writeFile() honours the executable bits of the mode option.
+// Symlinks aren't supported: lstat() is stat(), and readlink() and
+// symlink() always reject.
+//
+// Git needs names longer than MaxFilenameLen (loose objects are stored as
+// objects/xx/<38 hex digits>). These are stored as a chain of directories
+// holding successive pieces of the name, each piece but the last prefixed
+// with Marker; see encodeName(). The chain is created and removed along
+// with the entry, and readdir() reports the original name.
+function createGitFs(fs) {
+    const p = new FsPromises(fs);
+
+    // create the directory chain for a long final component of path
+    const createChain = async (path) => {
+        const parts = splitPath(path);
+        const chain = encodeName(parts.pop());
+        if (chain.length === 1) return;
+        const parent = encodePath(parts);
+        await p.stat(parent);
+        await p.mkdir(joinPath(parent, chain.slice(0, -1)), { recursive: true });
+    };
+
+    // remove any now-empty directories in the chain for path
+    const removeChain = async (path) => {
+        const parts = splitPath(path);
+        const chain = encodeName(parts.pop());
+        const parent = encodePath(parts);
+        for (let i = chain.length - 1; i > 0; i--) {
+            const dir = joinPath(parent, chain.slice(0, i));
+            if ((await p.readdir(dir)).length > 0) break;
+            await p.rmdir(dir);
+        }
+    };
+
+    const list = async (dir) => {
+        const out = [];
+        for (const name of await p.readdir(dir)) {
+            if (name.startsWith(Marker)) {
+                const prefix = name.slice(Marker.length);
+                for (const rest of await list(`${dir}/${name}`)) {
+                    out.push(prefix + rest);
+                }
+            } else {
+                out.push(name);
+            }
+        }
+        return out;
+    };
+
+    const unsupported = (syscall, path) => {
+        throw toNodeError(new FsError(E.ARG), syscall, path);
+    };
+
+    // all methods are async, so even invalid arguments produce a rejected
+    // promise; isomorphic-git relies on this to detect a promise-based fs.
+    return {
+        promises: {
+            readFile: async (path, options) => withPath(path, () => p.readFile(encode(path), options)),
+            writeFile: async (path, data, options) => withPath(path, async () => {
+                await createChain(path);
+                await p.writeFile(encode(path), data, options);
+                if (typeof options === 'object' && options?.mode !== undefined) {
+                    await p.chmod(encode(path), options.mode);
+                }
+            }),
+            unlink: async (path) => withPath(path, async () => {
+                await p.unlink(encode(path));
+                await removeChain(path);
+            }),
+            readdir: async (path) => withPath(path, () => list(encode(path))),
+            mkdir: async (path, options) => withPath(path, async () => {
+                if (!options?.recursive) await createChain(path);
+                await p.mkdir(encode(path), options);
+            }),
+            rmdir: async (path) => withPath(path, async () => {
+                await p.rmdir(encode(path));
+                await removeChain(path);
+            }),
+            stat: async (path) => withPath(path, () => p.stat(encode(path))),
+            lstat: async (path) => withPath(path, () => p.stat(encode(path))),
+            chmod: async (path, mode) => withPath(path, () => p.chmod(encode(path), mode)),
+            readlink: async (path) => unsupported('readlink', path),
+            symlink: async (target, path) => unsupported('symlink', path),
+        },
+    };
+}
+
+// Split name into the components used to store it. Names that fit are
+// returned as is; longer ones are split on character boundaries into
+// pieces of at most MaxFilenameLen bytes, every piece but the last being
+// a Marker-prefixed directory.
+function encodeName(name) {
+    const encoder = new TextEncoder();
+    const size = (str) => encoder.encode(str).length;
+
+    const out = [];
+    let rest = name;
+    while (size(rest) > MaxFilenameLen) {
+        let piece = '';
+        for (const ch of rest) {
+            if (size(Marker + piece + ch) > MaxFilenameLen) break;
+            piece += ch;
+        }
+        out.push(Marker + piece);
+        rest = rest.slice(piece.length);
+    }
+    out.push(rest);
+    return out;
+}
+
+function encodePath(parts) {
+    return '/' + parts.flatMap(encodeName).join('/');
+}
+
+function encode(path) {
+    return encodePath(splitPath(path));
+}
+
+function joinPath(parent, names) {
+    return [parent === '/' ? '' : parent, ...names].join('/');
+}
+
+// run fn, reporting errors against the caller's path rather than the
+// encoded one
+async function withPath(path, fn) {
+    try {
+        return await fn();
+    } catch (err) {
+        if (err.path !== undefined && err.path !== path) {
+            err.message = err.message.replace(`'${err.path}'`, `'${path}'`);
+            err.path = path;
+        }
+        throw err;
+    }
+}
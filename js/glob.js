@@ -0,0 +1,274 @@
+import * as E from './errors.js';
+import { splitPath } from './path-fs.js';
+
+export { glob };
+
+const RootInode = 0;
+
+// Find all entries matching pattern, returning an array of
+// {path, parentInode, stat} objects (as yielded by walk()), sorted by path.
+//
+// Supported syntax:
+//   *       any run of characters within a path segment
+//   ?       any single character
+//   [abc]   character class; ranges (a-z) and negation ([!a] or [^a])
+//   {a,b}   brace expansion, which may be nested
+//   **      as a whole segment, zero or more directories
+//   \x      literal x
+//
+// Wildcards don't match a leading '.' unless the pattern segment itself
+// starts with '.'.
+//
+// cwd is the directory inode, or path, that the pattern (and the returned
+// paths) are relative to. Patterns starting with '/' are always relative
+// to the root.
+//
+// Only directories that can still match are descended into, and segments
+// without wildcards are resolved with lookup() rather than by listing.
+function glob(fs, pattern, { cwd = RootInode } = {}) {
+    let base = (typeof cwd === 'string') ? resolve(fs, cwd) : cwd;
+    if (pattern.startsWith('/')) {
+        base = RootInode;
+    }
+
+    const results = new Map();
+    for (const expanded of expandBraces(pattern)) {
+        const segments = expanded.split('/')
+            .filter((s) => s !== '' && s !== '.')
+            .map(compileSegment);
+        if (segments.length > 0) {
+            match(fs, base, '', segments, 0, results);
+        }
+    }
+
+    return Array.from(results.values())
+        .sort((a, b) => (a.path < b.path) ? -1 : (a.path > b.path) ? 1 : 0);
+}
+
+function match(fs, dirInode, dirPath, segments, index, results) {
+    const segment = segments[index];
+    const last = (index === segments.length - 1);
+
+    if (segment.literal !== null) {
+        if (!exists(fs, dirInode, segment.literal)) return;
+        const stat = fs.stat(fs.lookup(dirInode, segment.literal));
+        stat.name = segment.literal;
+        visit(fs, dirInode, dirPath, stat, segments, index, last, results);
+        return;
+    }
+
+    if (segment.globstar) {
+        // zero directories
+        if (!last) {
+            match(fs, dirInode, dirPath, segments, index + 1, results);
+        }
+        for (const stat of list(fs, dirInode)) {
+            if (stat.name.startsWith('.')) continue;
+            const path = joinPath(dirPath, stat.name);
+            if (last) {
+                add(results, path, dirInode, stat);
+            }
+            if (stat.isDir) {
+                // one or more directories
+                match(fs, stat.inode, path, segments, index, results);
+            }
+        }
+        return;
+    }
+
+    for (const stat of list(fs, dirInode)) {
+        if (stat.name.startsWith('.') && !segment.dot) continue;
+        if (!segment.regexp.test(stat.name)) continue;
+        visit(fs, dirInode, dirPath, stat, segments, index, last, results);
+    }
+}
+
+function visit(fs, dirInode, dirPath, stat, segments, index, last, results) {
+    const path = joinPath(dirPath, stat.name);
+    if (last) {
+        add(results, path, dirInode, stat);
+    } else if (stat.isDir) {
+        match(fs, stat.inode, path, segments, index + 1, results);
+    }
+}
+
+function add(results, path, parentInode, stat) {
+    if (!results.has(path)) {
+        results.set(path, { path, parentInode, stat });
+    }
+}
+
+// read all entries of a directory; the handle is closed before returning
+// so none are held open while descending.
+function list(fs, dirInode) {
+    const out = [];
+    const dh = fs.opendir(dirInode);
+    try {
+        while (true) {
+            const stat = fs.readdir(dh);
+            if (!stat) break;
+            out.push(stat);
+        }
+    } finally {
+        fs.closedir(dh);
+    }
+    return out;
+}
+
+// names too long to exist on the filesystem simply don't match
+function exists(fs, dirInode, name) {
+    try {
+        return fs.exists(dirInode, name);
+    } catch (err) {
+        if (err.code === E.NAMETOOLONG) return false;
+        throw err;
+    }
+}
+
+function resolve(fs, path) {
+    let inode = RootInode;
+    for (const part of splitPath(path)) {
+        inode = fs.lookup(inode, part);
+    }
+    return inode;
+}
+
+function joinPath(dir, name) {
+    return dir === '' ? name : `${dir}/${name}`;
+}
+
+//
+// Pattern compilation
+
+// Expand the first top-level brace group containing a comma, recursing to
+// handle the remainder. Braces without a comma are left as literals.
+function expandBraces(pattern) {
+    let depth = 0;
+    let start = -1;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '{') {
+            if (depth++ === 0) start = i;
+        } else if (c === '}' && depth > 0) {
+            if (--depth === 0) {
+                const alternatives = splitAlternatives(pattern.slice(start + 1, i));
+                if (alternatives.length > 1) {
+                    const prefix = pattern.slice(0, start);
+                    const suffix = pattern.slice(i + 1);
+                    return alternatives.flatMap((alt) => expandBraces(prefix + alt + suffix));
+                }
+            }
+        }
+    }
+    return [pattern];
+}
+
+// split on commas that aren't nested inside further braces
+function splitAlternatives(str) {
+    const out = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < str.length; i++) {
+        const c = str[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '{') {
+            depth++;
+        } else if (c === '}') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            out.push(str.slice(start, i));
+            start = i + 1;
+        }
+    }
+    out.push(str.slice(start));
+    return out;
+}
+
+// Compile a single path segment into {globstar, literal, regexp, dot}.
+// literal is non-null if the segment contains no wildcards.
+function compileSegment(segment) {
+    if (segment === '**') {
+        return { globstar: true, literal: null, regexp: null, dot: false };
+    }
+
+    let source = '';
+    let literal = '';
+    let isLiteral = true;
+
+    for (let i = 0; i < segment.length; i++) {
+        const c = segment[i];
+        if (c === '\\' && i + 1 < segment.length) {
+            i++;
+            source += escapeRegExp(segment[i]);
+            literal += segment[i];
+        } else if (c === '*') {
+            source += '.*';
+            isLiteral = false;
+        } else if (c === '?') {
+            source += '.';
+            isLiteral = false;
+        } else if (c === '[') {
+            const cls = parseClass(segment, i);
+            if (cls === null) {
+                source += '\\[';
+                literal += '[';
+            } else {
+                source += cls.source;
+                i = cls.end;
+                isLiteral = false;
+            }
+        } else {
+            source += escapeRegExp(c);
+            literal += c;
+        }
+    }
+
+    return {
+        globstar: false,
+        literal: isLiteral ? literal : null,
+        regexp: new RegExp(`^${source}$`),
+        dot: segment.startsWith('.'),
+    };
+}
+
+// Parse a character class starting at segment[start] === '['.
+// Returns the equivalent regexp source and the index of the closing ']',
+// or null if the class is unterminated.
+function parseClass(segment, start) {
+    let i = start + 1;
+    let negate = false;
+    if (segment[i] === '!' || segment[i] === '^') {
+        negate = true;
+        i++;
+    }
+
+    let body = '';
+    let first = true;
+    for (; i < segment.length; i++) {
+        const c = segment[i];
+        if (c === ']' && !first) {
+            return { source: `[${negate ? '^' : ''}${body}]`, end: i };
+        } else if (c === '\\' && i + 1 < segment.length) {
+            i++;
+            body += escapeClassChar(segment[i]);
+        } else if (c === '-' && !first && segment[i + 1] !== ']') {
+            body += '-';
+        } else {
+            body += escapeClassChar(c);
+        }
+        first = false;
+    }
+
+    return null;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function escapeClassChar(c) {
+    return /[\]\[\\^-]/.test(c) ? '\\' + c : c;
+}
@@ -0,0 +1,133 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { Abs } from './constants.js';
+
+export { FileHandle, DirHandle, readdirIter };
+
+// Symbol.dispose isn't available everywhere yet; fall back to the
+// registered symbol used by polyfills.
+const dispose = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+
+// Wraps an open file descriptor. Methods mirror those of the filesystem,
+// minus the fd argument. Once closed, any further use raises EBADFD
+// without reaching the underlying filesystem. Supports `using`.
+class FileHandle {
+    #fs;
+    #fd;
+    #closed = false;
+
+    constructor(fs, fd) {
+        this.#fs = fs;
+        this.#fd = fd;
+    }
+
+    get fd() { return this.#fd; }
+    get closed() { return this.#closed; }
+
+    // Read up to dst.length bytes into dst, returning the number read
+    read(dst) {
+        this.#check('read');
+        return this.#fs.read(dst, this.#fd);
+    }
+
+    write(src) {
+        this.#check('write');
+        return this.#fs.write(this.#fd, src);
+    }
+
+    seek(offset, whence = Abs) {
+        this.#check('seek');
+        return this.#fs.seek(this.#fd, offset, whence);
+    }
+
+    tell() {
+        this.#check('tell');
+        return this.#fs.tell(this.#fd);
+    }
+
+    eof() {
+        this.#check('eof');
+        return this.#fs.eof(this.#fd);
+    }
+
+    stat() {
+        this.#check('stat');
+        return this.#fs.statFd(this.#fd);
+    }
+
+    // Truncate the file to zero length. Fails with EBUSY if the file is
+    // open elsewhere.
+    truncate() {
+        this.#check('truncate');
+        return this.#fs.truncate(this.#fd);
+    }
+
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        this.#fs.close(this.#fd);
+    }
+
+    [dispose]() {
+        this.close();
+    }
+
+    #check(op) {
+        if (this.#closed) throw new FsError(E.BADFD, op, { fd: this.#fd });
+    }
+}
+
+// Wraps an open directory handle. Iterating a DirHandle yields its
+// remaining entries; the handle is closed once they're exhausted, or if
+// iteration stops early.
+class DirHandle {
+    #fs;
+    #dh;
+    #closed = false;
+
+    constructor(fs, dh) {
+        this.#fs = fs;
+        this.#dh = dh;
+    }
+
+    get dh() { return this.#dh; }
+    get closed() { return this.#closed; }
+
+    // Read the next entry, returning false at the end of the directory
+    read() {
+        this.#check('read');
+        return this.#fs.readdir(this.#dh);
+    }
+
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        this.#fs.closedir(this.#dh);
+    }
+
+    *[Symbol.iterator]() {
+        try {
+            while (true) {
+                const entry = this.read();
+                if (!entry) break;
+                yield entry;
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    [dispose]() {
+        this.close();
+    }
+
+    #check(op) {
+        if (this.#closed) throw new FsError(E.BADFD, op, { dh: this.#dh });
+    }
+}
+
+// Iterate the entries of the directory at inode. The directory isn't
+// opened until iteration starts.
+function* readdirIter(fs, inode) {
+    yield* new DirHandle(fs, fs.opendir(inode));
+}
@@ -0,0 +1,103 @@
+export { IndexedDbStorage };
+
+const Version = 1;
+const MetaStore = 'volumes';
+const BlockStore = 'blocks';
+
+// Storage adapter for PersistentDevice (see persistence.js) backed by
+// IndexedDB. Volume geometry lives in one object store, keyed by volume
+// name, and blocks in another, keyed by [volume, block].
+class IndexedDbStorage {
+    static async open(name = 'zigfs') {
+        const req = indexedDB.open(name, Version);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(MetaStore);
+            req.result.createObjectStore(BlockStore);
+        };
+        return new IndexedDbStorage(await request(req));
+    }
+
+    #db;
+
+    constructor(db) {
+        this.#db = db;
+    }
+
+    async getMeta(volume) {
+        const tx = this.#db.transaction(MetaStore, 'readonly');
+        return request(tx.objectStore(MetaStore).get(volume));
+    }
+
+    async putMeta(volume, meta) {
+        const tx = this.#db.transaction(MetaStore, 'readwrite');
+        tx.objectStore(MetaStore).put(meta, volume);
+        await complete(tx);
+    }
+
+    // fn must be synchronous; the transaction would close while waiting
+    async readBlocks(volume, fn) {
+        const tx = this.#db.transaction(BlockStore, 'readonly');
+        const req = tx.objectStore(BlockStore).openCursor(blockRange(volume));
+        let error = null;
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            try {
+                fn(cursor.key[1], new Uint8Array(cursor.value));
+            } catch (err) {
+                error = err;
+                tx.abort();
+                return;
+            }
+            cursor.continue();
+        };
+        try {
+            await complete(tx);
+        } catch (err) {
+            throw error ?? err;
+        }
+    }
+
+    async writeBlocks(volume, entries) {
+        const tx = this.#db.transaction(BlockStore, 'readwrite');
+        const store = tx.objectStore(BlockStore);
+        for (const [block, data] of entries) {
+            if (data === null) {
+                store.delete([volume, block]);
+            } else {
+                store.put(data, [volume, block]);
+            }
+        }
+        await complete(tx);
+    }
+
+    async deleteVolume(volume) {
+        const tx = this.#db.transaction([MetaStore, BlockStore], 'readwrite');
+        tx.objectStore(MetaStore).delete(volume);
+        tx.objectStore(BlockStore).delete(blockRange(volume));
+        await complete(tx);
+    }
+
+    close() {
+        this.#db.close();
+    }
+}
+
+function blockRange(volume) {
+    return IDBKeyRange.bound([volume, 0], [volume, Infinity]);
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function complete(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
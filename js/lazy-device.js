@@ -0,0 +1,241 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { FileSystem } from './fs.js';
+
+export { LazyDevice, LazyFileSystem, HttpRangeSource };
+
+// A block device whose contents are fetched on demand from a source, so
+// large disks can be mounted without loading them in full.
+//
+// The device starts with every block missing, apart from those listed in
+// zeroBlocks, which are known to be zero and never fetched. Reading a
+// missing block fails with E.NOTREADY; the device records which block was
+// wanted, so the caller can await fetchMissing() and try again. retry()
+// and LazyFileSystem do this automatically.
+//
+// A source implements fetchBlocks(start, count), resolving to the contents
+// of count consecutive blocks. Each fetch covers the wanted block plus up
+// to readahead - 1 following blocks that are also missing.
+//
+// Operations that fail with E.NOTREADY must leave the filesystem
+// unchanged for a retry to be safe. The core only guarantees this for
+// mounting and read-only operations, so LazyFileSystem loads the whole
+// device before running anything else.
+class LazyDevice {
+    #bridge;
+    #source;
+    #readahead;
+    #maxRetries;
+    #present;
+    #wanted = new Set();
+    #inflight = new Map();      // block -> promise for the fetch covering it
+    #unsubscribe;
+
+    constructor(bridge, source, { blockSize, blockCount, zeroBlocks = [], readahead = 16, maxRetries = 1000 }) {
+        this.#bridge = bridge;
+        this.#source = source;
+        this.#readahead = readahead;
+        this.#maxRetries = maxRetries;
+        this.#present = new Uint8Array(blockCount);
+        this.blockSize = blockSize;
+        this.blockCount = blockCount;
+
+        this.deviceId = bridge.createBlockDevice(blockSize, blockCount);
+        try {
+            bridge.setBlockDeviceLazy(this.deviceId);
+            for (const block of zeroBlocks) {
+                bridge.markBlockReady(this.deviceId, block);
+                this.#present[block] = 1;
+            }
+        } catch (err) {
+            bridge.destroyBlockDevice(this.deviceId);
+            throw err;
+        }
+
+        const offChanged = bridge.onBlockChanged((id, block) => {
+            if (id === this.deviceId) this.#present[block] = 1;
+        });
+        const offNotReady = bridge.onBlockNotReady((id, block) => {
+            if (id === this.deviceId) this.#wanted.add(block);
+        });
+        this.#unsubscribe = () => {
+            offChanged();
+            offNotReady();
+        };
+    }
+
+    isPresent(block) {
+        return this.#present[block] === 1;
+    }
+
+    // number of blocks not yet loaded
+    get missingCount() {
+        return this.#present.reduce((n, p) => n + (1 - p), 0);
+    }
+
+    // Fetch the blocks that have been wanted since the last call
+    async fetchMissing() {
+        const wanted = [...this.#wanted];
+        this.#wanted.clear();
+        await this.load(wanted);
+    }
+
+    // Ensure the given blocks are present
+    async load(blocks) {
+        const fetches = new Set();
+        for (const block of blocks) {
+            if (this.isPresent(block)) continue;
+            fetches.add(this.#inflight.get(block) ?? this.#fetchFrom(block));
+        }
+        await Promise.all(fetches);
+    }
+
+    // Ensure every block is present
+    async loadAll() {
+        const missing = [];
+        for (let block = 0; block < this.blockCount; block++) {
+            if (!this.isPresent(block)) missing.push(block);
+        }
+        await this.load(missing);
+    }
+
+    // Run fn, fetching missing blocks and running it again for as long as
+    // it fails with E.NOTREADY. fn must leave nothing changed when it fails.
+    async retry(fn) {
+        for (let attempt = 0; ; attempt++) {
+            this.#wanted.clear();
+            try {
+                return fn();
+            } catch (err) {
+                const notReady = (err instanceof FsError && err.code === E.NOTREADY);
+                if (!notReady || this.#wanted.size === 0 || attempt >= this.#maxRetries) throw err;
+            }
+            await this.fetchMissing();
+        }
+    }
+
+    // Mount the filesystem on the device (see Bridge.mount()), returning a
+    // LazyFileSystem. Unmount with Bridge.destroyFS(lazyFs.fsId).
+    async mount() {
+        const fsId = await this.retry(() => this.#bridge.mount(this.deviceId));
+        return new LazyFileSystem(this, new FileSystem(this.#bridge, fsId), fsId);
+    }
+
+    // Stop tracking the device. The device itself isn't destroyed.
+    close() {
+        this.#unsubscribe();
+    }
+
+    #fetchFrom(start) {
+        let count = 1;
+        while (count < this.#readahead && start + count < this.blockCount
+            && !this.isPresent(start + count) && !this.#inflight.has(start + count)) {
+            count++;
+        }
+
+        const promise = (async () => {
+            try {
+                const data = await this.#source.fetchBlocks(start, count);
+                if (data.length !== count * this.blockSize) {
+                    throw new FsError(E.INTERNAL, 'fetchBlocks', {start, count, length: data.length});
+                }
+                for (let i = 0; i < count; i++) {
+                    // blocks written while the fetch was in progress are newer
+                    if (this.isPresent(start + i)) continue;
+                    const block = data.subarray(i * this.blockSize, (i + 1) * this.blockSize);
+                    if (block.some((b) => b !== 0)) {
+                        this.#bridge.writeBlock(this.deviceId, start + i, block);
+                    } else {
+                        this.#bridge.markBlockReady(this.deviceId, start + i);
+                    }
+                    this.#present[start + i] = 1;
+                }
+            } finally {
+                for (let i = 0; i < count; i++) this.#inflight.delete(start + i);
+            }
+        })();
+        for (let i = 0; i < count; i++) this.#inflight.set(start + i, promise);
+        return promise;
+    }
+}
+
+// Async wrapper around a FileSystem on a LazyDevice. Read-only operations
+// are retried as blocks arrive; mutate() loads the whole device first,
+// since the core can't yet abandon a half-finished change.
+//
+// Functions passed to run() and mutate() receive the FileSystem and must
+// close any handles they open, even when they throw.
+class LazyFileSystem {
+    #device;
+
+    constructor(device, fs, fsId) {
+        this.#device = device;
+        this.fs = fs;
+        this.fsId = fsId;
+    }
+
+    get device() { return this.#device; }
+
+    // Run a read-only fn(fs), retrying until the blocks it needs are present
+    run(fn) {
+        return this.#device.retry(() => fn(this.fs));
+    }
+
+    // Run fn(fs) once every block has been loaded
+    async mutate(fn) {
+        await this.#device.loadAll();
+        return fn(this.fs);
+    }
+
+    lookup(dirPtr, name) {
+        return this.run((fs) => fs.lookup(dirPtr, name));
+    }
+
+    exists(dirPtr, name) {
+        return this.run((fs) => fs.exists(dirPtr, name));
+    }
+
+    stat(ptr) {
+        return this.run((fs) => fs.stat(ptr));
+    }
+
+    // Resolves to an array of the directory's entries
+    readdir(dirPtr) {
+        return this.run((fs) => [...fs.readdirIter(dirPtr)]);
+    }
+
+    readFile(inode) {
+        return this.run((fs) => fs.readFile(inode));
+    }
+
+    readText(inode) {
+        return this.run((fs) => fs.readText(inode));
+    }
+}
+
+// Source for LazyDevice that fetches blocks from an image served over HTTP
+// with range requests. Servers that ignore the Range header work too,
+// though every fetch then downloads the whole image.
+class HttpRangeSource {
+    #url;
+    #blockSize;
+    #fetch;
+
+    constructor(url, { blockSize, fetch = globalThis.fetch }) {
+        this.#url = url;
+        this.#blockSize = blockSize;
+        this.#fetch = fetch;
+    }
+
+    async fetchBlocks(start, count) {
+        const first = start * this.#blockSize;
+        const last = (start + count) * this.#blockSize - 1;
+        const res = await this.#fetch(this.#url, { headers: { Range: `bytes=${first}-${last}` } });
+        if (res.status === 206) {
+            return new Uint8Array(await res.arrayBuffer());
+        } else if (res.ok) {
+            return new Uint8Array(await res.arrayBuffer()).slice(first, last + 1);
+        }
+        throw new FsError(E.NOTREADY, 'fetchBlocks', {url: String(this.#url), start, count, status: res.status});
+    }
+}
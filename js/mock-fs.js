@@ -1,6 +1,11 @@
 import * as E from './errors.js';
+import { FsError } from './errors.js';
 import { Stat } from './stat.js';
-import { Abs, RelCurr, RelEnd, OpenFlags } from './constants.js';
+import { Abs, RelCurr, RelEnd, OpenFlags, MtimeEpoch, MaxFilenameLen } from './constants.js';
+import * as io from './file-io.js';
+import * as streams from './streams.js';
+import { remove } from './remove.js';
+import { FileHandle, DirHandle, readdirIter } from './handles.js';
 
 export class MockFs {
     constructor() {
@@ -16,9 +21,11 @@ export class MockFs {
     };
 
     lookup(parentPtr, name) {
-        const dirInode = this.#getDirInode(parentPtr);
+        const op = ['lookup', {parentPtr, name}];
+        this.#checkName(name, op);
+        const dirInode = this.#getDirInode(parentPtr, op);
         const inode = dirInode.entries.get(name);
-        if (typeof inode !== 'number') this.#raise(E.NOENT);
+        if (typeof inode !== 'number') this.#raise(E.NOENT, op);
         return inode;
     }
 
@@ -27,7 +34,7 @@ export class MockFs {
             this.lookup(parentPtr, name);
             return true;
         } catch (err) {
-            if (err.message === E.NOENT) {
+            if (err.code === E.NOENT) {
                 return false;
             }
             throw err; // rethrow other errors
@@ -36,7 +43,7 @@ export class MockFs {
 
     stat(inodePtr) {
         const ent = this.inodes.get(inodePtr);
-        if (!ent) this.#raise(E.NOENT);
+        if (!ent) this.#raise(E.NOENT, ['stat', {inodePtr}]);
 
         const stat = new Stat();
         stat.name = null;
@@ -50,14 +57,29 @@ export class MockFs {
     }
 
     statFd(fd) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['statFd', {fd}]);
         return this.stat(openFile.inode.ptr);
     }
 
+    setExecutable(inodePtr, executable) {
+        const op = ['setExecutable', {inodePtr, executable}];
+        const inode = this.inodes.get(inodePtr);
+        if (!inode) this.#raise(E.NOENT, op);
+        if (inode.type !== 'file') this.#raise(E.ISDIR, op);
+        inode.executable = !!executable;
+    }
+
+    setMtime(inodePtr, mtime) {
+        const inode = this.inodes.get(inodePtr);
+        if (!inode) this.#raise(E.NOENT, ['setMtime', {inodePtr, mtime}]);
+        inode.mtime = mtime;
+    }
+
     open(inodePtr, flags) {
+        const op = ['open', {inodePtr, flags}];
         const inode = this.inodes.get(inodePtr);
-        if (!inode) this.#raise(E.NOENT);
-        if (inode.type !== 'file') this.#raise(E.ISDIR);
+        if (!inode) this.#raise(E.NOENT, op);
+        if (inode.type !== 'file') this.#raise(E.ISDIR, op);
         
         const openFile = {
             fd: this.nextFd++,
@@ -68,7 +90,7 @@ export class MockFs {
 
         if (flags & OpenFlags.TRUNCATE) {
             if (inode.refCount > 0) {
-                this.#raise(E.BUSY);
+                this.#raise(E.BUSY, op);
             }
             inode.data = new Uint8Array(16); // reset data to empty
             inode.size = 0;
@@ -85,11 +107,13 @@ export class MockFs {
     }
 
     create(parentDirPtr, name) {
-        const parentInode = this.#getDirInode(parentDirPtr);
+        const op = ['create', {parentDirPtr, name}];
+        this.#checkName(name, op);
+        const parentInode = this.#getDirInode(parentDirPtr, op);
         if (parentInode.type !== 'directory') {
-            this.#raise(E.NOTDIR);
+            this.#raise(E.NOTDIR, op);
         } else if (parentInode.entries.has(name)) {
-            this.#raise(E.EXIST);
+            this.#raise(E.EXIST, op);
         }
 
         const newInode = this.#makeFileInode();
@@ -100,19 +124,21 @@ export class MockFs {
     }
 
     close(fd) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['close', {fd}]);
         this.openFileFds.delete(fd);
 
         const inode = openFile.inode;
         inode.refCount--;
         if (inode.refCount === 0 && inode.deleted) {
-            this.inodes.delete(inode.inode);
+            this.inodes.delete(inode.ptr);
         }
     }
 
     unlink(inode, name) {
-        const dir = this.#getDirInode(inode);
-        if (!dir.entries.has(name)) this.#raise(E.NOENT);
+        const op = ['unlink', {inode, name}];
+        this.#checkName(name, op);
+        const dir = this.#getDirInode(inode, op);
+        if (!dir.entries.has(name)) this.#raise(E.NOENT, op);
         
         const childPtr = dir.entries.get(name);
         const childInode = this.inodes.get(childPtr);
@@ -120,7 +146,7 @@ export class MockFs {
         if (!childInode) {
             throw new Error("INTERNAL ERROR: Child inode not found");
         } else if (childInode.type !== 'file') {
-            this.#raise(E.ISDIR);
+            this.#raise(E.ISDIR, op);
         }
         
         dir.entries.delete(name);
@@ -134,35 +160,50 @@ export class MockFs {
     }
 
     tell(fd) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['tell', {fd}]);
         return openFile.offset;
     }
     
     eof(fd) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['eof', {fd}]);
         return openFile.offset >= openFile.inode.size;
     }
     
     seek(fd, offset, whence) {
-        const openFile = this.#getOpenFile(fd);
+        const op = ['seek', {fd, offset, whence}];
+        const openFile = this.#getOpenFile(fd, op);
 
         if (whence === RelCurr) {
             offset += openFile.offset;
         } else if (whence === RelEnd) {
             offset += openFile.inode.size;
         } else if (whence !== Abs) {
-            this.#raise(E.ARG);
+            this.#raise(E.ARG, op);
         }
 
         if (offset < 0 || offset > openFile.inode.size) {
-            this.#raise(E.BADOFFSET);
+            this.#raise(E.BADOFFSET, op);
         }
         
         openFile.offset = offset;
     }
 
+    truncate(fd) {
+        const op = ['truncate', {fd}];
+        const openFile = this.#getOpenFile(fd, op);
+        const inode = openFile.inode;
+        if (inode.refCount > 1) {
+            this.#raise(E.BUSY, op);
+        }
+
+        inode.data = new Uint8Array(16);
+        inode.size = 0;
+        inode.mtime = this.#now();
+        openFile.offset = 0;
+    }
+
     read(dst, fd) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['read', {fd, length: dst.length}]);
         const inode = openFile.inode;
         const bytesToRead = Math.min(dst.length, inode.size - openFile.offset);
         dst.set(inode.data.subarray(openFile.offset, openFile.offset + bytesToRead));
@@ -171,7 +212,7 @@ export class MockFs {
     }
 
     write(fd, src) {
-        const openFile = this.#getOpenFile(fd);
+        const openFile = this.#getOpenFile(fd, ['write', {fd, length: src.length}]);
         const inode = openFile.inode;
 
         const end = openFile.offset + src.length;
@@ -187,8 +228,10 @@ export class MockFs {
     }
 
     mkdir(parentPtr, name) {
-        const dirInode = this.#getDirInode(parentPtr);
-        if (dirInode.entries.has(name)) this.#raise(E.EXIST);
+        const op = ['mkdir', {parentPtr, name}];
+        this.#checkName(name, op);
+        const dirInode = this.#getDirInode(parentPtr, op);
+        if (dirInode.entries.has(name)) this.#raise(E.EXIST, op);
         const newInode = this.#makeDirectoryInode();
         this.inodes.set(newInode.ptr, newInode);
         dirInode.entries.set(name, newInode.ptr);
@@ -197,20 +240,23 @@ export class MockFs {
     }
 
     rmdir(parentPtr, name) {
-        const dirInode = this.#getDirInode(parentPtr);
+        const op = ['rmdir', {parentPtr, name}];
+        this.#checkName(name, op);
+        const dirInode = this.#getDirInode(parentPtr, op);
         
         const childInodePtr = dirInode.entries.get(name);
-        if (typeof childInodePtr !== 'number') this.#raise(E.NOENT);
+        if (typeof childInodePtr !== 'number') this.#raise(E.NOENT, op);
         
         const childInode = this.inodes.get(childInodePtr);
         if (!childInode) {
             throw new Error("INTERNAL ERROR: Child inode not found");
         } else if (childInode.type !== 'directory') {
-            this.#raise(E.NOTDIR);
+            this.#raise(E.NOTDIR, op);
+        } else if (childInode.entries.size > 0) {
+            this.#raise(E.NOTEMPTY, op);
         }
 
-        // TOOD: check directory is empty
-        
+
         dirInode.entries.delete(name);
         dirInode.mtime = this.#now();
         
@@ -221,8 +267,51 @@ export class MockFs {
         }
     }
 
+    rename(srcDirPtr, srcName, dstDirPtr, dstName) {
+        const op = ['rename', {srcDirPtr, srcName, dstDirPtr, dstName}];
+        this.#checkName(srcName, op);
+        this.#checkName(dstName, op);
+
+        const srcDir = this.#getDirInode(srcDirPtr, op);
+        const srcPtr = srcDir.entries.get(srcName);
+        if (typeof srcPtr !== 'number') this.#raise(E.NOENT, op);
+        const srcInode = this.inodes.get(srcPtr);
+
+        if (srcInode.type === 'directory' && this.#isInSubtree(dstDirPtr, srcInode)) {
+            this.#raise(E.ARG, op);
+        }
+
+        const dstDir = this.#getDirInode(dstDirPtr, op);
+        const dstPtr = dstDir.entries.get(dstName);
+        if (dstPtr === srcPtr) return;
+
+        let replaced = null;
+        if (typeof dstPtr === 'number') {
+            replaced = this.inodes.get(dstPtr);
+            if (srcInode.type === 'directory' && replaced.type !== 'directory') {
+                this.#raise(E.NOTDIR, op);
+            } else if (srcInode.type !== 'directory' && replaced.type === 'directory') {
+                this.#raise(E.ISDIR, op);
+            } else if (replaced.type === 'directory' && replaced.entries.size > 0) {
+                this.#raise(E.NOTEMPTY, op);
+            }
+        }
+
+        dstDir.entries.set(dstName, srcPtr);
+        srcDir.entries.delete(srcName);
+        srcDir.mtime = dstDir.mtime = this.#now();
+
+        if (replaced) {
+            if (replaced.refCount > 0) {
+                replaced.deleted = true;
+            } else {
+                this.inodes.delete(replaced.ptr);
+            }
+        }
+    }
+
     opendir(dirPtr) {
-        const dirInode = this.#getDirInode(dirPtr);
+        const dirInode = this.#getDirInode(dirPtr, ['opendir', {dirPtr}]);
 
         const openDir = {
             fd: this.nextFd++,
@@ -243,18 +332,18 @@ export class MockFs {
     }
 
     closedir(dh) {
-        const openDir = this.#getOpenDir(dh);
+        const openDir = this.#getOpenDir(dh, ['closedir', {dh}]);
         this.openDirFds.delete(dh);
         
         const dir = openDir.inode
         dir.refCount--;
         if (dir.refCount === 0 && dir.deleted) {
-            this.inodes.delete(dir.inode);
+            this.inodes.delete(dir.ptr);
         }
     }
 
     readdir(dh) {
-        const openDir = this.#getOpenDir(dh);
+        const openDir = this.#getOpenDir(dh, ['readdir', {dh}]);
         
         while (true) {
             if (openDir.offset >= openDir.entries.length) {
@@ -281,31 +370,103 @@ export class MockFs {
         }
     }
 
-    #raise(err) {
-        throw new Error(err);
+    remove(dirPtr, name, opts) {
+        return remove(this, dirPtr, name, opts);
+    }
+
+    //
+    // Handles
+
+    openFile(inode, flags) {
+        return new FileHandle(this, this.open(inode, flags));
     }
 
-    #getDirInode(inode) {
+    openDir(inode) {
+        return new DirHandle(this, this.opendir(inode));
+    }
+
+    // alias of openFile()
+    openHandle(inode, flags) {
+        return this.openFile(inode, flags);
+    }
+
+    readdirIter(inode) {
+        return readdirIter(this, inode);
+    }
+
+    //
+    // Whole-file helpers
+
+    readFile(inode) {
+        return io.readFile(this, inode);
+    }
+
+    readText(inode) {
+        return io.readText(this, inode);
+    }
+
+    writeFile(dirPtr, name, data, opts) {
+        return io.writeFile(this, dirPtr, name, data, opts);
+    }
+
+    writeText(dirPtr, name, text, opts) {
+        return io.writeText(this, dirPtr, name, text, opts);
+    }
+
+    //
+    // Streams
+
+    createReadStream(inode, opts) {
+        return streams.createReadStream(this, inode, opts);
+    }
+
+    createWriteStream(dirPtr, name, opts) {
+        return streams.createWriteStream(this, dirPtr, name, opts);
+    }
+
+    // op is a [name, args] pair identifying the public operation that failed
+    #raise(code, [name, args]) {
+        throw new FsError(code, name, args);
+    }
+
+    #checkName(name, op) {
+        if (new TextEncoder().encode(name).length > MaxFilenameLen) this.#raise(E.NAMETOOLONG, op);
+    }
+
+    #getDirInode(inode, op) {
         const dir = this.inodes.get(inode);
-        if (!dir) this.#raise(E.NOENT);
-        if (dir.type !== 'directory') this.#raise(E.NOTDIR);
+        if (!dir) this.#raise(E.NOENT, op);
+        if (dir.type !== 'directory') this.#raise(E.NOTDIR, op);
         return dir;
     }
     
-    #getOpenDir(fd) {
+    // returns true if inodePtr is dir, or any directory beneath it
+    #isInSubtree(inodePtr, dir) {
+        if (dir.ptr === inodePtr) return true;
+        for (const childPtr of dir.entries.values()) {
+            const child = this.inodes.get(childPtr);
+            if (child.type === 'directory' && this.#isInSubtree(inodePtr, child)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    #getOpenDir(fd, op) {
         const openDir = this.openDirFds.get(fd);
-        if (!openDir) this.#raise(E.BADFD);
+        if (!openDir) this.#raise(E.BADFD, op);
         return openDir;
     }
     
-    #getOpenFile(fd) {
+    #getOpenFile(fd, op) {
         const openFile = this.openFileFds.get(fd);
-        if (!openFile) this.#raise(E.BADFD);
+        if (!openFile) this.#raise(E.BADFD, op);
         return openFile;
     }
 
+    // matches the WASM filesystem: seconds since 2001-01-01T00:00:00Z
     #now() {
-        return Date.now();
+        return Math.floor(Date.now() / 1000) - MtimeEpoch;
     }
 
     #growInodeToMinSize(inode, size) {
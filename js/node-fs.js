@@ -0,0 +1,350 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize, MtimeEpoch, Abs } from './constants.js';
+import { PathFileSystem, splitPath } from './path-fs.js';
+import { writeAll } from './file-io.js';
+
+export { NodeFs, Stats, Dirent, toNodeError };
+
+// Node error codes, errnos and messages for each FsError code. Codes
+// without a direct Node equivalent are reported as the closest match.
+const NodeErrors = new Map([
+    [E.NOENT,       ['ENOENT',       -2,  'no such file or directory']],
+    [E.NOTDIR,      ['ENOTDIR',      -20, 'not a directory']],
+    [E.ISDIR,       ['EISDIR',       -21, 'illegal operation on a directory']],
+    [E.BADFD,       ['EBADF',        -9,  'bad file descriptor']],
+    [E.BADOFFSET,   ['EINVAL',       -22, 'invalid argument']],
+    [E.EXIST,       ['EEXIST',       -17, 'file already exists']],
+    [E.BUSY,        ['EBUSY',        -16, 'resource busy or locked']],
+    [E.ACCESS,      ['EACCES',       -13, 'permission denied']],
+    [E.ARG,         ['EINVAL',       -22, 'invalid argument']],
+    [E.NOSPC,       ['ENOSPC',       -28, 'no space left on device']],
+    [E.NAMETOOLONG, ['ENAMETOOLONG', -36, 'name too long']],
+    [E.NOTEMPTY,    ['ENOTEMPTY',    -39, 'directory not empty']],
+]);
+
+const DefaultNodeError = ['EIO', -5, 'i/o error'];
+
+// Node open flag strings, mapped to OpenFlags plus whether the file must
+// not already exist. Append modes seek to the end on open only.
+const NodeOpenFlags = new Map([
+    ['r',   [OpenFlags.READ, false]],
+    ['r+',  [OpenFlags.READ | OpenFlags.WRITE, false]],
+    ['w',   [OpenFlags.CREATE | OpenFlags.WRITE | OpenFlags.TRUNCATE, false]],
+    ['wx',  [OpenFlags.CREATE | OpenFlags.WRITE | OpenFlags.TRUNCATE, true]],
+    ['w+',  [OpenFlags.CREATE | OpenFlags.READ | OpenFlags.WRITE | OpenFlags.TRUNCATE, false]],
+    ['wx+', [OpenFlags.CREATE | OpenFlags.READ | OpenFlags.WRITE | OpenFlags.TRUNCATE, true]],
+    ['a',   [OpenFlags.CREATE | OpenFlags.WRITE | OpenFlags.SEEK_END, false]],
+    ['ax',  [OpenFlags.CREATE | OpenFlags.WRITE | OpenFlags.SEEK_END, true]],
+    ['a+',  [OpenFlags.CREATE | OpenFlags.READ | OpenFlags.WRITE | OpenFlags.SEEK_END, false]],
+    ['ax+', [OpenFlags.CREATE | OpenFlags.READ | OpenFlags.WRITE | OpenFlags.SEEK_END, true]],
+]);
+
+// Convert an FsError into an Error shaped like those thrown by Node's fs
+// module, with code, errno, syscall and (optionally) path. The original
+// error is kept as cause.
+function toNodeError(err, syscall, path) {
+    const [code, errno, description] = NodeErrors.get(err.code) || DefaultNodeError;
+    const suffix = (path === undefined) ? '' : ` '${path}'`;
+    const out = new Error(`${code}: ${description}, ${syscall}${suffix}`, { cause: err });
+    out.code = code;
+    out.errno = errno;
+    out.syscall = syscall;
+    if (path !== undefined) out.path = path;
+    return out;
+}
+
+// fs.Stats-like view of a Stat
+class Stats {
+    constructor(stat) {
+        const mtimeMs = (stat.mtime + MtimeEpoch) * 1000;
+        this.dev = 0;
+        this.ino = stat.inode;
+        this.mode = stat.isDir ? 0o40755 : (stat.isExecutable ? 0o100755 : 0o100644);
+        this.nlink = 1;
+        this.uid = 0;
+        this.gid = 0;
+        this.rdev = 0;
+        this.size = stat.size;
+        this.atimeMs = this.mtimeMs = this.ctimeMs = this.birthtimeMs = mtimeMs;
+        this.atime = new Date(mtimeMs);
+        this.mtime = new Date(mtimeMs);
+        this.ctime = new Date(mtimeMs);
+        this.birthtime = new Date(mtimeMs);
+    }
+
+    isFile() { return (this.mode & 0o170000) === 0o100000; }
+    isDirectory() { return (this.mode & 0o170000) === 0o40000; }
+    isSymbolicLink() { return false; }
+    isBlockDevice() { return false; }
+    isCharacterDevice() { return false; }
+    isFIFO() { return false; }
+    isSocket() { return false; }
+}
+
+// fs.Dirent-like view of a directory entry
+class Dirent {
+    #isDir;
+
+    constructor(stat, parentPath) {
+        this.name = stat.name;
+        this.parentPath = parentPath;
+        this.#isDir = stat.isDir;
+    }
+
+    isFile() { return !this.#isDir; }
+    isDirectory() { return this.#isDir; }
+    isSymbolicLink() { return false; }
+    isBlockDevice() { return false; }
+    isCharacterDevice() { return false; }
+    isFIFO() { return false; }
+    isSocket() { return false; }
+}
+
+// Subset of Node's synchronous fs API, implemented over a FileSystem or
+// MockFs. Paths are resolved from the filesystem root.
+//
+// File contents are returned as Uint8Array rather than Buffer (unless an
+// encoding is requested), and fds are those of the underlying filesystem.
+class NodeFs {
+    #fs;
+    #paths;
+
+    constructor(fs) {
+        this.#fs = fs;
+        this.#paths = new PathFileSystem(fs);
+    }
+
+    existsSync(path) {
+        try {
+            return this.#paths.exists(path);
+        } catch (err) {
+            if (err instanceof FsError) return false;
+            throw err;
+        }
+    }
+
+    statSync(path, { throwIfNoEntry = true } = {}) {
+        try {
+            return new Stats(this.#paths.stat(path));
+        } catch (err) {
+            if (!(err instanceof FsError)) throw err;
+            if (!throwIfNoEntry && err.code === E.NOENT) return undefined;
+            throw toNodeError(err, 'stat', path);
+        }
+    }
+
+    fstatSync(fd) {
+        return this.#run('fstat', undefined, () => new Stats(this.#fs.statFd(fd)));
+    }
+
+    readFileSync(path, options) {
+        const { encoding = null } = encodingOptions(options);
+        const data = this.#run('open', path, () => this.#fs.readFile(this.#paths.resolve(path)));
+        return encoding ? decode(data, encoding) : data;
+    }
+
+    writeFileSync(path, data, options) {
+        const { encoding = 'utf8', flag = 'w' } = encodingOptions(options);
+        const bytes = toBytes(data, encoding);
+        const fd = this.openSync(path, flag);
+        try {
+            writeAll(this.#fs, fd, bytes);
+        } finally {
+            this.closeSync(fd);
+        }
+    }
+
+    appendFileSync(path, data, options) {
+        const { encoding = 'utf8', flag = 'a' } = encodingOptions(options);
+        return this.writeFileSync(path, data, { encoding, flag });
+    }
+
+    // Return the names of the entries in the directory at path, or Dirent
+    // objects if withFileTypes is set.
+    readdirSync(path, { withFileTypes = false } = {}) {
+        const entries = this.#run('scandir', path, () => this.#paths.readdir(path));
+        return withFileTypes
+            ? entries.map((stat) => new Dirent(stat, path))
+            : entries.map((stat) => stat.name);
+    }
+
+    // As with Node, a recursive mkdir returns the first directory created,
+    // or undefined if they all existed.
+    mkdirSync(path, { recursive = false } = {}) {
+        return this.#run('mkdir', path, () => {
+            if (!recursive) {
+                this.#paths.mkdir(path);
+                return undefined;
+            }
+            const parts = splitPath(path);
+            let firstCreated = undefined;
+            for (let i = 1; i <= parts.length && firstCreated === undefined; i++) {
+                const prefix = '/' + parts.slice(0, i).join('/');
+                if (!this.#paths.exists(prefix)) firstCreated = prefix;
+            }
+            this.#paths.mkdir(path, { recursive: true });
+            return firstCreated;
+        });
+    }
+
+    rmdirSync(path) {
+        this.#run('rmdir', path, () => this.#paths.rmdir(path));
+    }
+
+    unlinkSync(path) {
+        this.#run('unlink', path, () => this.#paths.unlink(path));
+    }
+
+    // Directories require recursive; with force, a missing path is ignored
+    rmSync(path, { recursive = false, force = false } = {}) {
+        this.#run('rm', path, () => {
+            if (!this.#paths.exists(path)) {
+                if (force) return;
+                throw new FsError(E.NOENT);
+            }
+            if (!recursive && this.#paths.stat(path).isDir) {
+                throw new FsError(E.ISDIR);
+            }
+            this.#paths.remove(path, { recursive });
+        });
+    }
+
+    renameSync(oldPath, newPath) {
+        this.#run('rename', oldPath, () => this.#paths.rename(oldPath, newPath));
+    }
+
+    // Only the executable bits of files are stored; other modes are ignored
+    chmodSync(path, mode) {
+        this.#run('chmod', path, () => {
+            const inode = this.#paths.resolve(path);
+            if (this.#fs.stat(inode).isFile) {
+                this.#fs.setExecutable(inode, (mode & 0o111) !== 0);
+            }
+        });
+    }
+
+    openSync(path, flags = 'r') {
+        const entry = NodeOpenFlags.get(flags);
+        if (!entry) throw new TypeError(`invalid open flags: ${flags}`);
+        const [openFlags, exclusive] = entry;
+        return this.#run('open', path, () => {
+            if (exclusive && this.#paths.exists(path)) throw new FsError(E.EXIST);
+            return this.#paths.open(path, openFlags);
+        });
+    }
+
+    // Only truncation to zero length is supported
+    ftruncateSync(fd, len = 0) {
+        this.#run('ftruncate', undefined, () => {
+            if (len !== 0) throw new FsError(E.ARG);
+            this.#fs.truncate(fd);
+        });
+    }
+
+    closeSync(fd) {
+        this.#run('close', undefined, () => this.#fs.close(fd));
+    }
+
+    // readSync(fd, buffer, offset, length, position) or
+    // readSync(fd, buffer, {offset, length, position}).
+    // If position is a number the file position is left unchanged.
+    readSync(fd, buffer, offset = 0, length, position = null) {
+        if (typeof offset === 'object') {
+            ({ offset = 0, length, position = null } = offset);
+        }
+        length ??= buffer.byteLength - offset;
+        const dst = toBytes(buffer).subarray(offset, offset + length);
+
+        return this.#run('read', undefined, () => this.#atPosition(fd, position, () => {
+            let total = 0;
+            while (total < dst.length) {
+                const bytesRead = this.#fs.read(dst.subarray(total, total + MaxTransferSize), fd);
+                if (bytesRead === 0) break;
+                total += bytesRead;
+            }
+            return total;
+        }));
+    }
+
+    // writeSync(fd, buffer, offset, length, position),
+    // writeSync(fd, buffer, {offset, length, position}) or
+    // writeSync(fd, string, position, encoding).
+    // If position is a number the file position is left unchanged.
+    writeSync(fd, data, offset, length, position = null) {
+        let src;
+        if (typeof data === 'string') {
+            position = offset ?? null;
+            src = toBytes(data, length ?? 'utf8');
+        } else {
+            if (offset !== null && typeof offset === 'object') {
+                ({ offset, length, position = null } = offset);
+            }
+            offset ??= 0;
+            length ??= data.byteLength - offset;
+            src = toBytes(data).subarray(offset, offset + length);
+        }
+
+        return this.#run('write', undefined, () => this.#atPosition(fd, position, () => {
+            writeAll(this.#fs, fd, src);
+            return src.length;
+        }));
+    }
+
+    //
+    // Internals
+
+    // Run fn, converting any FsError into a Node-style error
+    #run(syscall, path, fn) {
+        try {
+            return fn();
+        } catch (err) {
+            if (!(err instanceof FsError)) throw err;
+            throw toNodeError(err, syscall, path);
+        }
+    }
+
+    // Run fn with the file position at position, restoring it afterwards.
+    // A null position runs fn at the current position.
+    #atPosition(fd, position, fn) {
+        if (position === null || position === undefined) {
+            return fn();
+        }
+        const saved = this.#fs.tell(fd);
+        this.#fs.seek(fd, Number(position), Abs);
+        try {
+            return fn();
+        } finally {
+            this.#fs.seek(fd, saved, Abs);
+        }
+    }
+}
+
+function encodingOptions(options) {
+    return (typeof options === 'string') ? { encoding: options } : (options || {});
+}
+
+function toBytes(data, encoding = 'utf8') {
+    if (typeof data === 'string') {
+        checkEncoding(encoding);
+        return new TextEncoder().encode(data);
+    } else if (data instanceof Uint8Array) {
+        return data;
+    } else if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    throw new TypeError('data must be a string, ArrayBuffer or ArrayBufferView');
+}
+
+function decode(data, encoding) {
+    checkEncoding(encoding);
+    return new TextDecoder().decode(data);
+}
+
+function checkEncoding(encoding) {
+    if (encoding !== 'utf8' && encoding !== 'utf-8') {
+        throw new TypeError(`unsupported encoding: ${encoding}`);
+    }
+}
@@ -0,0 +1,192 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags } from './constants.js';
+
+const RootInode = 0;
+
+// Split a path into its normalised components.
+// Empty components and '.' are dropped, and '..' removes the preceding
+// component. '..' at the root is the root. Relative paths are treated as
+// relative to the root.
+export function splitPath(path) {
+    const out = [];
+    for (const part of path.split('/')) {
+        if (part === '' || part === '.') {
+            continue;
+        } else if (part === '..') {
+            out.pop();
+        } else {
+            out.push(part);
+        }
+    }
+    return out;
+}
+
+export function normalizePath(path) {
+    return '/' + splitPath(path).join('/');
+}
+
+// Path-based facade over an inode-based filesystem (FileSystem or MockFs).
+//
+// Errors raised by the underlying filesystem are re-raised with the same
+// code, but with the operation name and full (normalised) path of the
+// facade call, rather than the inode/name pair that failed.
+export class PathFileSystem {
+    #fs;
+
+    constructor(fs) {
+        this.#fs = fs;
+    }
+
+    get fs() { return this.#fs; }
+
+    // Resolve path to an inode pointer
+    resolve(path) {
+        return this.#run('resolve', path, (parts) => this.#walk(parts));
+    }
+
+    exists(path) {
+        try {
+            this.resolve(path);
+            return true;
+        } catch (err) {
+            if (err.code === E.NOENT || err.code === E.NOTDIR) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    stat(path) {
+        return this.#run('stat', path, (parts) => {
+            return this.#fs.stat(this.#walk(parts));
+        });
+    }
+
+    // Open the file at path, returning a file descriptor.
+    // If flags includes OpenFlags.CREATE the file is created if missing.
+    open(path, flags = 0) {
+        return this.#run('open', path, (parts) => {
+            const { dir, name } = this.#walkParent(parts);
+            if (name === null) throw new FsError(E.ISDIR);
+            const inode = ((flags & OpenFlags.CREATE) && !this.#fs.exists(dir, name))
+                ? this.#fs.create(dir, name)
+                : this.#fs.lookup(dir, name);
+            return this.#fs.open(inode, flags & ~OpenFlags.CREATE);
+        });
+    }
+
+    // Create a directory, returning its inode pointer.
+    // With recursive, missing parents are created and an existing directory
+    // at path is not an error.
+    mkdir(path, { recursive = false } = {}) {
+        return this.#run('mkdir', path, (parts) => {
+            if (!recursive) {
+                const { dir, name } = this.#walkParent(parts);
+                if (name === null) throw new FsError(E.EXIST);
+                return this.#fs.mkdir(dir, name);
+            }
+
+            let inode = RootInode;
+            for (const part of parts) {
+                if (this.#fs.exists(inode, part)) {
+                    inode = this.#fs.lookup(inode, part);
+                    if (!this.#fs.stat(inode).isDir) throw new FsError(E.NOTDIR);
+                } else {
+                    inode = this.#fs.mkdir(inode, part);
+                }
+            }
+            return inode;
+        });
+    }
+
+    // Return an array of Stat objects, one per entry in the directory at path
+    readdir(path) {
+        return this.#run('readdir', path, (parts) => {
+            const dh = this.#fs.opendir(this.#walk(parts));
+            try {
+                const out = [];
+                while (true) {
+                    const entry = this.#fs.readdir(dh);
+                    if (!entry) break;
+                    out.push(entry);
+                }
+                return out;
+            } finally {
+                this.#fs.closedir(dh);
+            }
+        });
+    }
+
+    unlink(path) {
+        return this.#run('unlink', path, (parts) => {
+            const { dir, name } = this.#walkParent(parts);
+            if (name === null) throw new FsError(E.ISDIR);
+            return this.#fs.unlink(dir, name);
+        });
+    }
+
+    rmdir(path) {
+        return this.#run('rmdir', path, (parts) => {
+            const { dir, name } = this.#walkParent(parts);
+            if (name === null) throw new FsError(E.BUSY);
+            return this.#fs.rmdir(dir, name);
+        });
+    }
+
+    // Move the entry at oldPath to newPath, replacing any existing file
+    rename(oldPath, newPath) {
+        return this.#run('rename', oldPath, (parts) => {
+            const src = this.#walkParent(parts);
+            const dst = this.#walkParent(splitPath(newPath));
+            if (src.name === null || dst.name === null) throw new FsError(E.BUSY);
+            return this.#fs.rename(src.dir, src.name, dst.dir, dst.name);
+        });
+    }
+
+    // Remove the file or directory at path; see remove.js for options
+    remove(path, opts) {
+        return this.#run('remove', path, (parts) => {
+            const { dir, name } = this.#walkParent(parts);
+            if (name === null) throw new FsError(E.BUSY);
+            return this.#fs.remove(dir, name, opts);
+        });
+    }
+
+    //
+    // Internals
+
+    // Run fn with the components of path, re-raising any FsError against
+    // this operation and the full path.
+    #run(op, path, fn) {
+        const parts = splitPath(path);
+        try {
+            return fn(parts);
+        } catch (err) {
+            if (!(err instanceof FsError)) throw err;
+            const out = new FsError(err.code, op, { path: '/' + parts.join('/') });
+            out.status = err.status;
+            throw out;
+        }
+    }
+
+    // Walk the given components from the root, returning the final inode.
+    // Raises ENOTDIR if an intermediate component is not a directory.
+    #walk(parts) {
+        let inode = RootInode;
+        for (const part of parts) {
+            inode = this.#fs.lookup(inode, part);
+        }
+        return inode;
+    }
+
+    // Walk to the parent directory of the given components, returning its
+    // inode along with the final component (null for the root itself).
+    #walkParent(parts) {
+        if (parts.length === 0) {
+            return { dir: RootInode, name: null };
+        }
+        const dir = this.#walk(parts.slice(0, -1));
+        return { dir, name: parts[parts.length - 1] };
+    }
+}
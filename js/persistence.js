@@ -0,0 +1,199 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpQueue } from './promises.js';
+
+export { PersistentDevice, MemoryStorage };
+
+// Keeps a block device in sync with a storage adapter, so its contents
+// survive a reload:
+//
+//   const bridge = await load(...);
+//   const dev = await PersistentDevice.open(bridge, storage, 'home', { blockSize: 512, blockCount: 4096 });
+//   if (dev.created) bridge.mkfs(dev.deviceId);
+//   const fsId = bridge.mount(dev.deviceId);
+//
+// open() rehydrates the device from storage before it's used, then
+// subscribes to block change notifications. Changed blocks are collected
+// and written in a single batch once no change has been seen for delay ms,
+// or at most maxWait ms after the first unsaved change. A batch that fails
+// to be written is retried, backing off up to maxRetryDelay ms.
+//
+// A storage adapter implements the following, all returning promises:
+//
+//   getMeta(volume)              - stored {blockSize, blockCount}, or undefined
+//   putMeta(volume, meta)
+//   readBlocks(volume, fn)       - call fn(block, data) for each stored block
+//   writeBlocks(volume, entries) - store [block, data] pairs atomically; a
+//                                  null data deletes the block
+//   deleteVolume(volume)
+//
+// Only non-zero blocks are stored, since new devices are zero-filled.
+// See MemoryStorage below and IndexedDbStorage in idb-storage.js.
+class PersistentDevice {
+    // Create a device backed by storage under the name volume. If the
+    // volume exists its stored geometry is used and the device rehydrated;
+    // otherwise blockSize and blockCount are required (E.ARG if missing)
+    // and created is true. Nothing is stored until the device is created.
+    static async open(bridge, storage, volume, {
+        blockSize, blockCount, delay = 100, maxWait = 1000, maxRetryDelay = 30000, onError = console.error,
+    } = {}) {
+        let meta = await storage.getMeta(volume);
+        const created = (meta === undefined);
+        if (created) {
+            if (!Number.isSafeInteger(blockSize) || blockSize <= 0 || !Number.isSafeInteger(blockCount) || blockCount <= 0) {
+                throw new FsError(E.ARG, 'open', {volume, blockSize, blockCount});
+            }
+            meta = { blockSize, blockCount };
+        }
+
+        const deviceId = bridge.createBlockDevice(meta.blockSize, meta.blockCount);
+        try {
+            if (created) {
+                await storage.putMeta(volume, meta);
+            } else {
+                await storage.readBlocks(volume, (block, data) => bridge.writeBlock(deviceId, block, data));
+            }
+        } catch (err) {
+            bridge.destroyBlockDevice(deviceId);
+            throw err;
+        }
+        return new PersistentDevice(bridge, storage, volume, deviceId, created, { delay, maxWait, maxRetryDelay, onError });
+    }
+
+    #bridge;
+    #storage;
+    #volume;
+    #delay;
+    #maxWait;
+    #maxRetryDelay;
+    #onError;
+    #unsubscribe;
+    #queue = new OpQueue();
+    #dirty = new Set();
+    #firstDirty = 0;
+    #timer = null;
+    #retryDelay = 0;
+
+    constructor(bridge, storage, volume, deviceId, created, { delay, maxWait, maxRetryDelay, onError }) {
+        this.#bridge = bridge;
+        this.#storage = storage;
+        this.#volume = volume;
+        this.#delay = delay;
+        this.#maxWait = maxWait;
+        this.#maxRetryDelay = maxRetryDelay;
+        this.#onError = onError;
+        this.deviceId = deviceId;
+        this.created = created;
+
+        this.#unsubscribe = bridge.onBlockChanged((id, block) => {
+            if (id === deviceId) this.#markDirty(block);
+        });
+    }
+
+    // true if there are changes that haven't been written to storage
+    get dirty() { return this.#dirty.size > 0; }
+
+    // Write all changed blocks to storage now. Blocks are read from the
+    // device immediately, so the batch reflects the device as of the call.
+    flush() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        if (this.#dirty.size === 0) {
+            return this.#queue.run(() => {});
+        }
+
+        const blocks = [...this.#dirty];
+        this.#dirty.clear();
+        const { blockSize } = this.#bridge.blockDeviceInfo(this.deviceId);
+        const entries = blocks.map((block) => {
+            const data = new Uint8Array(blockSize);
+            this.#bridge.readBlock(data, this.deviceId, block);
+            return [block, data.some((b) => b !== 0) ? data : null];
+        });
+
+        return this.#queue.run(async () => {
+            try {
+                await this.#storage.writeBlocks(this.#volume, entries);
+                if (this.#retryDelay > 0) {
+                    // changes made while backing off weren't scheduled
+                    this.#retryDelay = 0;
+                    if (this.#dirty.size > 0) this.#schedule(this.#delay);
+                }
+            } catch (err) {
+                // blocks changed again since are already queued
+                for (const block of blocks) this.#dirty.add(block);
+                this.#retryDelay = Math.min(this.#maxRetryDelay, Math.max(this.#delay, this.#retryDelay * 2));
+                this.#schedule(this.#retryDelay);
+                throw err;
+            }
+        });
+    }
+
+    // Flush outstanding changes and stop tracking the device. The device
+    // itself isn't destroyed.
+    async close() {
+        this.#unsubscribe();
+        try {
+            await this.flush();
+        } finally {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    #markDirty(block) {
+        if (this.#dirty.size === 0) this.#firstDirty = Date.now();
+        this.#dirty.add(block);
+
+        // while backing off, the retry picks this up
+        if (this.#retryDelay > 0) return;
+        this.#schedule(Math.min(this.#delay, Math.max(0, this.#firstDirty + this.#maxWait - Date.now())));
+    }
+
+    #schedule(wait) {
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => this.flush().catch(this.#onError), wait);
+    }
+}
+
+// Storage adapter holding volumes in memory, for tests
+class MemoryStorage {
+    #meta = new Map();
+    #blocks = new Map();
+
+    async getMeta(volume) {
+        return this.#meta.get(volume);
+    }
+
+    async putMeta(volume, meta) {
+        this.#meta.set(volume, { ...meta });
+    }
+
+    async readBlocks(volume, fn) {
+        for (const [block, data] of this.#blocks.get(volume) ?? []) {
+            fn(block, data.slice());
+        }
+    }
+
+    async writeBlocks(volume, entries) {
+        if (!this.#blocks.has(volume)) this.#blocks.set(volume, new Map());
+        const blocks = this.#blocks.get(volume);
+        for (const [block, data] of entries) {
+            if (data === null) {
+                blocks.delete(block);
+            } else {
+                blocks.set(block, data.slice());
+            }
+        }
+    }
+
+    async deleteVolume(volume) {
+        this.#meta.delete(volume);
+        this.#blocks.delete(volume);
+    }
+
+    // number of blocks stored for a volume
+    blockCount(volume) {
+        return this.#blocks.get(volume)?.size ?? 0;
+    }
+}
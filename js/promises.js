@@ -0,0 +1,170 @@
+import { NodeFs } from './node-fs.js';
+import { MaxTransferSize } from './constants.js';
+
+export { FsPromises, AsyncFileHandle, OpQueue };
+
+// Runs tasks one at a time, in the order they were queued. A failing task
+// doesn't prevent later ones from running.
+class OpQueue {
+    #tail = Promise.resolve();
+
+    // Queue fn, returning a promise for its result
+    run(fn) {
+        const result = this.#tail.then(() => fn());
+        this.#tail = result.catch(() => {});
+        return result;
+    }
+}
+
+// Promise-based API in the shape of Node's fs/promises, implemented over a
+// FileSystem or MockFs. Semantics and errors are those of NodeFs.
+//
+// Every operation, including those on handles returned by open(), is run
+// through a single queue, so concurrent callers never interleave within
+// an operation and positional reads/writes can't disturb one another's
+// file offsets.
+class FsPromises {
+    #nodeFs;
+    #queue = new OpQueue();
+
+    constructor(fs) {
+        this.#nodeFs = new NodeFs(fs);
+    }
+
+    readFile(path, options) {
+        return this.#run((nfs) => nfs.readFileSync(path, options));
+    }
+
+    writeFile(path, data, options) {
+        return this.#run((nfs) => nfs.writeFileSync(path, data, options));
+    }
+
+    appendFile(path, data, options) {
+        return this.#run((nfs) => nfs.appendFileSync(path, data, options));
+    }
+
+    readdir(path, options) {
+        return this.#run((nfs) => nfs.readdirSync(path, options));
+    }
+
+    stat(path) {
+        return this.#run((nfs) => nfs.statSync(path));
+    }
+
+    // Resolves if path exists; unlike Node, permissions aren't checked
+    access(path) {
+        return this.#run((nfs) => { nfs.statSync(path); });
+    }
+
+    mkdir(path, options) {
+        return this.#run((nfs) => nfs.mkdirSync(path, options));
+    }
+
+    rm(path, options) {
+        return this.#run((nfs) => nfs.rmSync(path, options));
+    }
+
+    rmdir(path) {
+        return this.#run((nfs) => nfs.rmdirSync(path));
+    }
+
+    unlink(path) {
+        return this.#run((nfs) => nfs.unlinkSync(path));
+    }
+
+    rename(oldPath, newPath) {
+        return this.#run((nfs) => nfs.renameSync(oldPath, newPath));
+    }
+
+    chmod(path, mode) {
+        return this.#run((nfs) => nfs.chmodSync(path, mode));
+    }
+
+    async open(path, flags = 'r') {
+        const fd = await this.#run((nfs) => nfs.openSync(path, flags));
+        return new AsyncFileHandle(fd, (fn) => this.#run(fn));
+    }
+
+    #run(fn) {
+        return this.#queue.run(() => fn(this.#nodeFs));
+    }
+}
+
+// Promise-based file handle returned by FsPromises.open(). read() and
+// write() resolve to {bytesRead, buffer} and {bytesWritten, buffer}
+// respectively. Supports `await using`.
+class AsyncFileHandle {
+    #fd;
+    #run;
+
+    constructor(fd, run) {
+        this.#fd = fd;
+        this.#run = run;
+    }
+
+    get fd() { return this.#fd; }
+
+    read(buffer, offset, length, position) {
+        return this.#run((nfs) => {
+            const bytesRead = nfs.readSync(this.#fd, buffer, offset, length, position);
+            return { bytesRead, buffer };
+        });
+    }
+
+    write(buffer, offset, length, position) {
+        return this.#run((nfs) => {
+            const bytesWritten = nfs.writeSync(this.#fd, buffer, offset, length, position);
+            return { bytesWritten, buffer };
+        });
+    }
+
+    // Read from the current position to the end of the file
+    readFile(options) {
+        return this.#run((nfs) => {
+            const encoding = (typeof options === 'string') ? options : options?.encoding;
+            const chunks = [];
+            let total = 0;
+            while (true) {
+                const chunk = new Uint8Array(MaxTransferSize);
+                const bytesRead = nfs.readSync(this.#fd, chunk);
+                if (bytesRead === 0) break;
+                chunks.push(chunk.subarray(0, bytesRead));
+                total += bytesRead;
+            }
+            const out = new Uint8Array(total);
+            let offset = 0;
+            for (const chunk of chunks) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return encoding ? new TextDecoder().decode(out) : out;
+        });
+    }
+
+    writeFile(data, options) {
+        return this.#run((nfs) => {
+            if (typeof data === 'string') {
+                const encoding = (typeof options === 'string') ? options : options?.encoding;
+                nfs.writeSync(this.#fd, data, null, encoding);
+            } else {
+                nfs.writeSync(this.#fd, data);
+            }
+        });
+    }
+
+    stat() {
+        return this.#run((nfs) => nfs.fstatSync(this.#fd));
+    }
+
+    truncate(len = 0) {
+        return this.#run((nfs) => nfs.ftruncateSync(this.#fd, len));
+    }
+
+    close() {
+        return this.#run((nfs) => nfs.closeSync(this.#fd));
+    }
+
+    [Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose')]() {
+        return this.close();
+    }
+}
@@ -0,0 +1,42 @@
+export { remove };
+
+// Remove the entry called name from the directory dirPtr.
+//
+// Files are unlinked. Directories are removed with rmdir, which raises
+// ENOTEMPTY unless recursive is set, in which case the directory's
+// contents are removed first, depth first.
+//
+// Entries that are still open (files with open fds, or directories with
+// open handles) disappear from the tree immediately but, as with unlink
+// and rmdir, their contents are only released once the last handle is
+// closed.
+function remove(fs, dirPtr, name, { recursive = false } = {}) {
+    const inode = fs.lookup(dirPtr, name);
+    if (!fs.stat(inode).isDir) {
+        fs.unlink(dirPtr, name);
+        return;
+    }
+
+    if (recursive) {
+        // entries are collected up front so we're not modifying the
+        // directory while reading it, and the handle is closed before
+        // recursing so it doesn't hold the directory open.
+        const dh = fs.opendir(inode);
+        const children = [];
+        try {
+            while (true) {
+                const entry = fs.readdir(dh);
+                if (!entry) break;
+                children.push(entry.name);
+            }
+        } finally {
+            fs.closedir(dh);
+        }
+
+        for (const child of children) {
+            remove(fs, inode, child, { recursive });
+        }
+    }
+
+    fs.rmdir(dirPtr, name);
+}
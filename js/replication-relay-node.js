@@ -0,0 +1,263 @@
+import * as http from 'node:http';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { FrameType } from './replication.js';
+
+export { listen };
+
+// WebSocket relay for replication.js (Node only). Clients connect to
+//
+//   ws://host:port/replicate/:channel?role=writer   - one ReplicationSource
+//   ws://host:port/replicate/:channel               - any number of Replicas
+//
+// Frames from the writer are forwarded to every replica on the channel, and
+// frames from replicas to the writer; the relay only looks at their type. A
+// second writer is refused with close code 4000. Blocks frames for a
+// replica with more than maxBuffered bytes still waiting to be sent are
+// dropped, and the replica resyncs when it notices the gap. Snapshots are
+// always sent, since they're what a resyncing replica is waiting for.
+function listen({ port = 8091, host = '127.0.0.1', maxFrameSize = 64 * 1024 * 1024, maxBuffered = 16 * 1024 * 1024 } = {}) {
+    const channels = new Map();
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('websocket connections only\n');
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://relay');
+        const route = url.pathname.match(Route);
+        const key = req.headers['sec-websocket-key'];
+        if (!route || !ChannelName.test(route[1]) || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${createHash('sha1').update(key + WebSocketGuid).digest('base64')}`,
+            '', '',
+        ].join('\r\n'));
+
+        const name = route[1];
+        if (!channels.has(name)) channels.set(name, { writer: null, replicas: new Set() });
+        const channel = channels.get(name);
+        const conn = new Connection(socket, head, maxFrameSize);
+
+        if (url.searchParams.get('role') === 'writer') {
+            if (channel.writer !== null) {
+                conn.close(4000, 'channel already has a writer');
+                return;
+            }
+            channel.writer = conn;
+            conn.onMessage = (data) => {
+                const snapshot = (data[0] === FrameType.Snapshot);
+                for (const replica of channel.replicas) {
+                    if (snapshot || replica.buffered <= maxBuffered) replica.send(data);
+                }
+            };
+            conn.onClose = () => {
+                channel.writer = null;
+                if (channel.replicas.size === 0) channels.delete(name);
+            };
+        } else {
+            channel.replicas.add(conn);
+            conn.onMessage = (data) => channel.writer?.send(data);
+            conn.onClose = () => {
+                channel.replicas.delete(conn);
+                if (channel.writer === null && channel.replicas.size === 0) channels.delete(name);
+            };
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+//
+// Internals
+
+const Route = /^\/replicate\/([^/]+)$/;
+const ChannelName = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const WebSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// frame header, with a 64-bit length
+const MaxHeaderLen = 10;
+
+const Opcode = {
+    Continuation: 0x0,
+    Text: 0x1,
+    Binary: 0x2,
+    Close: 0x8,
+    Ping: 0x9,
+    Pong: 0xa,
+};
+
+// Server side of a WebSocket connection (RFC 6455), handling binary
+// messages only
+class Connection {
+    #socket;
+    #maxFrameSize;
+    #chunks = [];               // received data not yet parsed
+    #received = 0;              // total length of #chunks
+    #fragments = [];
+    #fragmentBytes = 0;         // total length of #fragments
+    #closed = false;
+
+    // head holds any data that arrived along with the upgrade request
+    constructor(socket, head, maxFrameSize) {
+        this.#socket = socket;
+        this.#maxFrameSize = maxFrameSize;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.#receive(chunk));
+        // upgraded sockets are half-open, so end ours when the client does
+        socket.on('end', () => socket.end());
+        socket.on('close', () => this.#finish());
+        socket.on('error', () => socket.destroy());
+        // after the handlers are set by the caller
+        if (head.length > 0) queueMicrotask(() => this.#receive(head));
+    }
+
+    // bytes waiting to be sent
+    get buffered() {
+        return this.#socket.writableLength;
+    }
+
+    send(data) {
+        this.#write(Opcode.Binary, data);
+    }
+
+    close(code, reason) {
+        if (this.#closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.#write(Opcode.Close, payload);
+        this.#socket.end();
+        this.#finish();
+    }
+
+    #finish() {
+        if (this.#closed) return;
+        this.#closed = true;
+        this.onClose();
+    }
+
+    #write(opcode, data) {
+        if (this.#closed) return;
+        const len = data.length;
+        let header;
+        if (len < 126) {
+            header = Buffer.from([0x80 | opcode, len]);
+        } else if (len < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(len, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(len), 2);
+        }
+        this.#socket.write(header);
+        this.#socket.write(data);
+    }
+
+    #receive(chunk) {
+        if (chunk.length === 0) return;
+        this.#chunks.push(chunk);
+        this.#received += chunk.length;
+        this.#parse();
+    }
+
+    // Chunks are only joined once a whole frame has arrived (or to read a
+    // header split across chunks), so large frames are copied once
+    #parse() {
+        while (!this.#closed && this.#received >= 2) {
+            const input = this.#peek(Math.min(MaxHeaderLen, this.#received));
+            const fin = (input[0] & 0x80) !== 0;
+            const opcode = input[0] & 0x0f;
+            const masked = (input[1] & 0x80) !== 0;
+            let len = input[1] & 0x7f;
+            let offset = 2;
+            if (len === 126) {
+                if (this.#received < 4) return;
+                len = input.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (this.#received < 10) return;
+                len = Number(input.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // clients must mask their frames
+            if (!masked) return this.close(1002, 'unmasked frame');
+            if (len > this.#maxFrameSize) return this.close(1009, 'frame too large');
+            const frameLen = offset + 4 + len;
+            if (this.#received < frameLen) return;
+
+            const frame = this.#peek(frameLen);
+            const mask = frame.subarray(offset, offset + 4);
+            const payload = Buffer.from(frame.subarray(offset + 4, frameLen));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.#consume(frameLen);
+
+            this.#frame(fin, opcode, payload);
+        }
+    }
+
+    // first chunk, holding at least len bytes
+    #peek(len) {
+        if (this.#chunks[0].length < len) {
+            this.#chunks = [Buffer.concat(this.#chunks, this.#received)];
+        }
+        return this.#chunks[0];
+    }
+
+    #consume(len) {
+        const rest = this.#chunks[0].subarray(len);
+        if (rest.length > 0) {
+            this.#chunks[0] = rest;
+        } else {
+            this.#chunks.shift();
+        }
+        this.#received -= len;
+    }
+
+    #frame(fin, opcode, payload) {
+        if (opcode === Opcode.Binary || opcode === Opcode.Continuation) {
+            if ((opcode === Opcode.Binary) === (this.#fragments.length > 0)) {
+                return this.close(1002, 'unexpected frame');
+            }
+            this.#fragmentBytes += payload.length;
+            if (this.#fragmentBytes > this.#maxFrameSize) return this.close(1009, 'message too large');
+            this.#fragments.push(payload);
+            if (!fin) return;
+            const message = Buffer.concat(this.#fragments, this.#fragmentBytes);
+            this.#fragments = [];
+            this.#fragmentBytes = 0;
+            this.onMessage(message);
+        } else if (opcode === Opcode.Ping) {
+            this.#write(Opcode.Pong, payload);
+        } else if (opcode === Opcode.Close) {
+            this.close(1000, '');
+        } else if (opcode !== Opcode.Pong) {
+            this.close(1003, 'binary messages only');
+        }
+    }
+}
+
+// node js/replication-relay-node.js [port]
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const [port = '8091'] = process.argv.slice(2);
+    const server = await listen({ port: Number(port) });
+    const { address, port: actualPort } = server.address();
+    console.log(`replication relay listening on ws://${address}:${actualPort}/replicate/:channel`);
+}
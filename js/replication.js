@@ -0,0 +1,441 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { FileSystem } from './fs.js';
+import { OpenFlags } from './constants.js';
+
+export { ReplicationSource, Replica, encodeFrame, decodeFrame, FrameType, FrameHeaderLen };
+
+// Live replication of a block device over a WebSocket, usually through the
+// relay in replication-relay-node.js: one ReplicationSource (the writer)
+// streams its changes to any number of Replicas.
+//
+// Frames are binary messages starting with a 16 byte header: u8 type, three
+// reserved bytes, then big-endian u32 seq, blockSize and blockCount. The
+// rest is records of a u32 block index followed by the block contents.
+//
+//   Snapshot  writer -> replicas   every non-zero block, as of seq
+//   Blocks    writer -> replicas   the blocks changed since seq - 1
+//   Resync    replica -> writer    asks for a Snapshot (no records)
+//
+// The writer numbers its Blocks frames consecutively, each one covering the
+// changes made by a run of synchronous calls, so the filesystem is
+// consistent after every frame. A replica that sees a gap in the numbering
+// (the relay drops frames for replicas that fall behind) ignores further
+// Blocks frames and asks for a Snapshot, asking again if none has arrived
+// after resyncTimeout ms. Snapshots always replace the replica's contents,
+// so a restarted writer can begin again at zero.
+
+const FrameType = Object.freeze({
+    Snapshot: 1,
+    Blocks: 2,
+    Resync: 3,
+});
+
+const FrameHeaderLen = 16;
+const RecordHeaderLen = 4;
+
+// Encode a frame. blocks is an array of [index, data].
+function encodeFrame(type, { seq = 0, blockSize = 0, blockCount = 0, blocks = [] } = {}) {
+    const out = new Uint8Array(FrameHeaderLen + blocks.length * (RecordHeaderLen + blockSize));
+    const dv = new DataView(out.buffer);
+    dv.setUint8(0, type);
+    dv.setUint32(4, seq, false);
+    dv.setUint32(8, blockSize, false);
+    dv.setUint32(12, blockCount, false);
+    blocks.forEach(([index, data], i) => {
+        const offset = FrameHeaderLen + i * (RecordHeaderLen + blockSize);
+        dv.setUint32(offset, index, false);
+        out.set(data, offset + RecordHeaderLen);
+    });
+    return out;
+}
+
+// Decode a frame into {type, seq, blockSize, blockCount, blocks}
+function decodeFrame(bytes) {
+    if (bytes.length < FrameHeaderLen) {
+        throw new FsError(E.CORRUPT, 'decodeFrame', {length: bytes.length});
+    }
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const type = dv.getUint8(0);
+    const seq = dv.getUint32(4, false);
+    const blockSize = dv.getUint32(8, false);
+    const blockCount = dv.getUint32(12, false);
+
+    const body = bytes.length - FrameHeaderLen;
+    const recordLen = RecordHeaderLen + blockSize;
+    if (!Object.values(FrameType).includes(type) || (body > 0 && (blockSize === 0 || body % recordLen !== 0))) {
+        throw new FsError(E.CORRUPT, 'decodeFrame', {type, length: bytes.length, blockSize});
+    }
+    const blocks = [];
+    for (let offset = FrameHeaderLen; offset < bytes.length; offset += recordLen) {
+        const index = dv.getUint32(offset, false);
+        if (index >= blockCount) {
+            throw new FsError(E.CORRUPT, 'decodeFrame', {index, blockCount});
+        }
+        blocks.push([index, bytes.subarray(offset + RecordHeaderLen, offset + recordLen)]);
+    }
+    return { type, seq, blockSize, blockCount, blocks };
+}
+
+// Streams a block device's changes to replicas over socket, a WebSocket or
+// anything with the same send()/addEventListener() interface:
+//
+//   const source = new ReplicationSource(bridge, deviceId, new WebSocket('wss://example.com/replicate/home?role=writer'));
+//
+// A Snapshot is sent once the socket is open and whenever a replica asks
+// for one. Changes are sent once the WASM calls making them have returned.
+class ReplicationSource {
+    #bridge;
+    #socket;
+    #onError;
+    #dirty = new Set();
+    #sendQueued = false;
+    #unsubscribe;
+
+    constructor(bridge, deviceId, socket, { onError = console.error } = {}) {
+        this.#bridge = bridge;
+        this.#socket = socket;
+        this.#onError = onError;
+        this.deviceId = deviceId;
+        this.seq = 0;
+
+        socket.binaryType = 'arraybuffer';
+        const onOpen = () => this.#sendSnapshot();
+        const onMessage = (event) => {
+            try {
+                const frame = decodeFrame(messageBytes(event.data));
+                if (frame.type === FrameType.Resync) this.#sendSnapshot();
+            } catch (err) {
+                this.#onError(err);
+            }
+        };
+        socket.addEventListener('open', onOpen);
+        socket.addEventListener('message', onMessage);
+        const offChanged = bridge.onBlockChanged((id, block) => {
+            if (id === deviceId) this.#markDirty(block);
+        });
+        this.#unsubscribe = () => {
+            offChanged();
+            socket.removeEventListener('open', onOpen);
+            socket.removeEventListener('message', onMessage);
+        };
+
+        if (socket.readyState === OPEN) this.#sendSnapshot();
+    }
+
+    // Send pending changes now rather than once the current task ends
+    flush() {
+        if (this.#dirty.size === 0 || this.#socket.readyState !== OPEN) {
+            // changes made before the socket opened are in its first snapshot
+            this.#dirty.clear();
+            return;
+        }
+        const blocks = this.#readBlocks([...this.#dirty]);
+        this.#dirty.clear();
+        this.seq++;
+        this.#send(FrameType.Blocks, blocks);
+    }
+
+    // Send pending changes and stop streaming. Neither the socket nor the
+    // device is closed.
+    close() {
+        this.flush();
+        this.#unsubscribe();
+    }
+
+    // Blocks can't be read while the WASM call that changed them is in
+    // progress, so sending is deferred until it has returned
+    #markDirty(block) {
+        this.#dirty.add(block);
+        if (this.#sendQueued) return;
+        this.#sendQueued = true;
+        queueMicrotask(() => {
+            this.#sendQueued = false;
+            try {
+                this.flush();
+            } catch (err) {
+                this.#onError(err);
+            }
+        });
+    }
+
+    #sendSnapshot() {
+        // a snapshot supersedes pending changes, but they're numbered
+        // anyway so replicas that missed it see a gap
+        if (this.#dirty.size > 0) {
+            this.#dirty.clear();
+            this.seq++;
+        }
+        const { blockCount } = this.#bridge.blockDeviceInfo(this.deviceId);
+        const all = Array.from({ length: blockCount }, (_, i) => i);
+        const blocks = this.#readBlocks(all).filter(([, data]) => data.some((b) => b !== 0));
+        this.#send(FrameType.Snapshot, blocks);
+    }
+
+    #readBlocks(indexes) {
+        const { blockSize } = this.#bridge.blockDeviceInfo(this.deviceId);
+        return indexes.sort((a, b) => a - b).map((index) => {
+            const data = new Uint8Array(blockSize);
+            this.#bridge.readBlock(data, this.deviceId, index);
+            return [index, data];
+        });
+    }
+
+    #send(type, blocks) {
+        const { blockSize, blockCount } = this.#bridge.blockDeviceInfo(this.deviceId);
+        this.#socket.send(encodeFrame(type, { seq: this.seq, blockSize, blockCount, blocks }));
+    }
+}
+
+// Read-only mirror of a ReplicationSource's device, received over socket:
+//
+//   const replica = new Replica(bridge, new WebSocket('wss://example.com/replicate/home'));
+//   replica.onChange = () => render(replica.readdir(0));
+//
+// The device is created from the first Snapshot. After each frame the
+// filesystem is re-mounted, so fsId changes and handles must not be kept
+// across tasks: use run() or the helpers below, which throw E.NOTREADY
+// until a formatted device has arrived.
+//
+// The filesystem is read-only: run() passes a FileSystem whose mutating
+// calls throw E.ACCESS. Changes made to the device by other means are
+// reported to onError and undone by resyncing.
+class Replica {
+    #bridge;
+    #socket;
+    #onError;
+    #resyncTimeout;
+    #fs = null;
+    #applying = false;
+    #resyncing = false;
+    #resyncTimer = null;
+    #unsubscribe;
+    #offChanged = () => {};
+
+    constructor(bridge, socket, { onError = console.error, onChange = () => {}, resyncTimeout = 5000 } = {}) {
+        this.#bridge = bridge;
+        this.#socket = socket;
+        this.#onError = onError;
+        this.#resyncTimeout = resyncTimeout;
+        this.onChange = onChange;
+        this.deviceId = null;
+        this.fsId = null;
+        this.seq = 0;
+
+        socket.binaryType = 'arraybuffer';
+        const onOpen = () => this.#resync();
+        const onMessage = (event) => {
+            try {
+                this.#receive(decodeFrame(messageBytes(event.data)));
+            } catch (err) {
+                this.#onError(err);
+            }
+        };
+        socket.addEventListener('open', onOpen);
+        socket.addEventListener('message', onMessage);
+        this.#unsubscribe = () => {
+            socket.removeEventListener('open', onOpen);
+            socket.removeEventListener('message', onMessage);
+        };
+
+        if (socket.readyState === OPEN) this.#resync();
+    }
+
+    // true once a snapshot has arrived and no gap has been seen since
+    get synced() { return this.deviceId !== null && !this.#resyncing; }
+
+    // Run fn(fs) against the current contents
+    run(fn) {
+        if (this.#fs === null) {
+            throw new FsError(E.NOTREADY, 'replica', {seq: this.seq});
+        }
+        return fn(this.#fs);
+    }
+
+    lookup(dirPtr, name) {
+        return this.run((fs) => fs.lookup(dirPtr, name));
+    }
+
+    exists(dirPtr, name) {
+        return this.run((fs) => fs.exists(dirPtr, name));
+    }
+
+    stat(ptr) {
+        return this.run((fs) => fs.stat(ptr));
+    }
+
+    // Returns an array of the directory's entries
+    readdir(dirPtr) {
+        return this.run((fs) => [...fs.readdirIter(dirPtr)]);
+    }
+
+    readFile(inode) {
+        return this.run((fs) => fs.readFile(inode));
+    }
+
+    readText(inode) {
+        return this.run((fs) => fs.readText(inode));
+    }
+
+    // Stop replicating and destroy the filesystem and device. The socket
+    // isn't closed.
+    close() {
+        this.#unsubscribe();
+        clearTimeout(this.#resyncTimer);
+        this.#resyncTimer = null;
+        this.#resyncing = false;
+        this.#destroyDevice();
+    }
+
+    #receive(frame) {
+        if (frame.type === FrameType.Snapshot) {
+            this.#applySnapshot(frame);
+        } else if (frame.type === FrameType.Blocks) {
+            if (this.#resyncing || this.deviceId === null || frame.seq <= this.seq) return;
+            // after a gap, or from a writer whose device has a different
+            // geometry, only a snapshot will do
+            const { blockSize, blockCount } = this.#bridge.blockDeviceInfo(this.deviceId);
+            if (frame.seq !== this.seq + 1 || frame.blockSize !== blockSize || frame.blockCount !== blockCount) {
+                this.#resync();
+                return;
+            }
+            this.#apply(frame.blocks);
+            this.seq = frame.seq;
+        } else {
+            return;
+        }
+        this.#mount();
+        this.onChange(this.seq);
+    }
+
+    #applySnapshot({ seq, blockSize, blockCount, blocks }) {
+        this.#unmount();
+        if (this.deviceId !== null) {
+            const info = this.#bridge.blockDeviceInfo(this.deviceId);
+            if (info.blockSize !== blockSize || info.blockCount !== blockCount) {
+                this.#destroyDevice();
+            }
+        }
+        if (this.deviceId === null) {
+            const deviceId = this.#bridge.createBlockDevice(blockSize, blockCount);
+            this.deviceId = deviceId;
+            this.#offChanged = this.#bridge.onBlockChanged((id, block) => {
+                if (id === deviceId && !this.#applying) this.#changedLocally(block);
+            });
+        }
+
+        const present = new Uint8Array(blockCount);
+        for (const [index] of blocks) present[index] = 1;
+        this.#applying = true;
+        try {
+            for (let block = 0; block < blockCount; block++) {
+                if (!present[block]) this.#bridge.zeroBlock(this.deviceId, block);
+            }
+        } finally {
+            this.#applying = false;
+        }
+        this.#apply(blocks);
+        this.seq = seq;
+        this.#resyncing = false;
+        clearTimeout(this.#resyncTimer);
+        this.#resyncTimer = null;
+    }
+
+    #apply(blocks) {
+        this.#unmount();
+        this.#applying = true;
+        try {
+            for (const [index, data] of blocks) {
+                this.#bridge.writeBlock(this.deviceId, index, data);
+            }
+        } finally {
+            this.#applying = false;
+        }
+    }
+
+    #mount() {
+        this.#unmount();
+        try {
+            this.fsId = this.#bridge.mount(this.deviceId);
+            this.#fs = new ReadOnlyFileSystem(this.#bridge, this.fsId);
+        } catch (err) {
+            // the writer's device hasn't been formatted yet
+            if (err.code !== E.NOFS) throw err;
+        }
+    }
+
+    #unmount() {
+        if (this.fsId === null) return;
+        this.#bridge.destroyFS(this.fsId);
+        this.fsId = null;
+        this.#fs = null;
+    }
+
+    #destroyDevice() {
+        this.#unmount();
+        if (this.deviceId === null) return;
+        this.#offChanged();
+        this.#offChanged = () => {};
+        this.#bridge.destroyBlockDevice(this.deviceId);
+        this.deviceId = null;
+    }
+
+    #changedLocally(block) {
+        this.#onError(new FsError(E.ACCESS, 'replica', {deviceId: this.deviceId, block}));
+        this.#resync();
+    }
+
+    #resync() {
+        if (this.#resyncing || this.#socket.readyState !== OPEN) return;
+        this.#resyncing = true;
+        this.#socket.send(encodeFrame(FrameType.Resync, { seq: this.seq }));
+
+        // the request or the snapshot may have been lost
+        this.#resyncTimer = setTimeout(() => {
+            this.#resyncTimer = null;
+            this.#resyncing = false;
+            this.#resync();
+        }, this.#resyncTimeout);
+    }
+}
+
+// FileSystem passed to Replica.run(), refusing changes before they reach
+// the device
+class ReadOnlyFileSystem extends FileSystem {
+    open(filePtr, flags) {
+        if (flags & WriteFlags) denied('open', {filePtr, flags});
+        return super.open(filePtr, flags);
+    }
+
+    setExecutable(ptr) { denied('setExecutable', {ptr}); }
+    setMtime(ptr) { denied('setMtime', {ptr}); }
+    create(parentDirPtr, name) { denied('create', {parentDirPtr, name}); }
+    unlink(parentDirPtr, name) { denied('unlink', {parentDirPtr, name}); }
+    truncate(fd) { denied('truncate', {fd}); }
+    write(fd) { denied('write', {fd}); }
+    rename(srcDirPtr, srcName) { denied('rename', {srcDirPtr, srcName}); }
+    mkdir(parentDirPtr, name) { denied('mkdir', {parentDirPtr, name}); }
+    rmdir(parentDirPtr, name) { denied('rmdir', {parentDirPtr, name}); }
+    remove(dirPtr, name) { denied('remove', {dirPtr, name}); }
+    writeFile(dirPtr, name) { denied('writeFile', {dirPtr, name}); }
+    writeText(dirPtr, name) { denied('writeText', {dirPtr, name}); }
+    createWriteStream(dirPtr, name) { denied('createWriteStream', {dirPtr, name}); }
+}
+
+//
+// Internals
+
+// WebSocket.OPEN
+const OPEN = 1;
+
+const WriteFlags = OpenFlags.CREATE | OpenFlags.TRUNCATE | OpenFlags.WRITE;
+
+function denied(op, args) {
+    throw new FsError(E.ACCESS, op, args);
+}
+
+function messageBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    throw new FsError(E.CORRUPT, 'replication', {message: typeof data});
+}
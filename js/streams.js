@@ -0,0 +1,102 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize, Abs } from './constants.js';
+import { writeAll } from './file-io.js';
+
+export { createReadStream, createWriteStream };
+
+// WHATWG stream adapters, shared by FileSystem and MockFs.
+//
+// The file is opened when the stream is created, so errors such as ENOENT
+// are thrown immediately; it is closed once the stream finishes, errors,
+// or is cancelled/aborted. Chunks are at most MaxTransferSize bytes so
+// each one makes a single trip through the WASM shuttle buffer.
+
+// Return a ReadableStream of Uint8Array chunks from the file at inode.
+//
+// Options:
+//   start         - offset of the first byte to read (default 0)
+//   end           - offset of the last byte to read, inclusive (default EOF);
+//                   start - 1 gives an empty stream
+//   highWaterMark - bytes to buffer ahead of the consumer
+function createReadStream(fs, inode, { start = 0, end = Infinity, highWaterMark = MaxTransferSize } = {}) {
+    if (!Number.isSafeInteger(start) || start < 0
+        || !(end === Infinity || Number.isSafeInteger(end)) || end < start - 1) {
+        throw new FsError(E.ARG, 'createReadStream', {inode, start, end});
+    }
+    const fd = fs.open(inode, OpenFlags.READ);
+    let remaining = end - start + 1;
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        fs.close(fd);
+    };
+
+    try {
+        fs.seek(fd, Math.min(start, fs.statFd(fd).size), Abs);
+    } catch (err) {
+        close();
+        throw err;
+    }
+
+    return new ReadableStream({
+        pull(controller) {
+            try {
+                const chunk = new Uint8Array(Math.min(MaxTransferSize, remaining));
+                const bytesRead = (chunk.length > 0) ? fs.read(chunk, fd) : 0;
+                if (bytesRead === 0) {
+                    close();
+                    controller.close();
+                    return;
+                }
+                remaining -= bytesRead;
+                controller.enqueue(chunk.subarray(0, bytesRead));
+            } catch (err) {
+                close();
+                throw err;
+            }
+        },
+        cancel() {
+            close();
+        },
+    }, new ByteLengthQueuingStrategy({ highWaterMark }));
+}
+
+// Return a WritableStream that writes Uint8Array chunks to the file called
+// name in dirPtr.
+//
+// flags are OpenFlags; the default creates the file if necessary and
+// replaces any existing contents. Use SEEK_END instead of TRUNCATE to
+// append.
+function createWriteStream(fs, dirPtr, name, { flags = OpenFlags.CREATE | OpenFlags.WRITE | OpenFlags.TRUNCATE } = {}) {
+    const inode = ((flags & OpenFlags.CREATE) && !fs.exists(dirPtr, name))
+        ? fs.create(dirPtr, name)
+        : fs.lookup(dirPtr, name);
+    const fd = fs.open(inode, flags & ~OpenFlags.CREATE);
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        fs.close(fd);
+    };
+
+    return new WritableStream({
+        write(chunk) {
+            try {
+                writeAll(fs, fd, chunk);
+            } catch (err) {
+                close();
+                throw err;
+            }
+        },
+        close() {
+            close();
+        },
+        abort() {
+            close();
+        },
+    }, new ByteLengthQueuingStrategy({ highWaterMark: MaxTransferSize }));
+}
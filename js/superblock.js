@@ -0,0 +1,115 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+
+export { Superblock, SuperblockMagic, SuperblockVersion, MaxLabelLen, randomUuid };
+
+// "ZGFS"
+const SuperblockMagic = 0x5a474653;
+const SuperblockVersion = 1;
+
+// longest label, in bytes
+const MaxLabelLen = 32;
+
+const ConfigLen = 16;
+const HeaderLen = 68;
+
+// Superblock stored in block 0 of a formatted device. All integers are
+// big-endian:
+//
+//    0  magic (u32)
+//    4  version (u16)
+//    6  reserved (u16)
+//    8  block size (u32)
+//   12  block count (u32)
+//   16  inode block count (u32)
+//   20  UUID (16 bytes)
+//   36  label (32 bytes, UTF-8, zero padded)
+//
+// The final 16 bytes of the block hold the config produced by formatFS(),
+// which is what initFS() expects. The rest of the block is zero.
+class Superblock {
+    // Decode a superblock from the contents of block 0, throwing
+    // E.NOFS if the block doesn't hold one
+    static decode(block) {
+        if (block.length < HeaderLen + ConfigLen) {
+            throw new FsError(E.NOFS, 'decodeSuperblock', {length: block.length});
+        }
+
+        const dv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const magic = dv.getUint32(0, false);
+        if (magic !== SuperblockMagic) {
+            throw new FsError(E.NOFS, 'decodeSuperblock', {magic});
+        }
+        const version = dv.getUint16(4, false);
+        if (version !== SuperblockVersion) {
+            throw new FsError(E.NOFS, 'decodeSuperblock', {version});
+        }
+
+        const label = block.subarray(36, 36 + MaxLabelLen);
+        const labelEnd = label.indexOf(0);
+
+        const out = new Superblock();
+        out.version = version;
+        out.blockSize = dv.getUint32(8, false);
+        out.blockCount = dv.getUint32(12, false);
+        out.inodeBlockCount = dv.getUint32(16, false);
+        out.uuid = formatUuid(block.subarray(20, 36));
+        out.label = new TextDecoder().decode(labelEnd < 0 ? label : label.subarray(0, labelEnd));
+        out.config = block.slice(block.length - ConfigLen);
+        return out;
+    }
+
+    version = SuperblockVersion;
+    blockSize = null;
+    blockCount = null;
+    inodeBlockCount = null;
+    uuid = null;
+    label = '';
+    config = new Uint8Array(ConfigLen);
+
+    // Encode into a new block of blockSize bytes
+    encode() {
+        if (this.blockSize < HeaderLen + ConfigLen) {
+            throw new FsError(E.ARG, 'encodeSuperblock', {blockSize: this.blockSize});
+        }
+        const label = new TextEncoder().encode(this.label);
+        if (label.length > MaxLabelLen) {
+            throw new FsError(E.NAMETOOLONG, 'encodeSuperblock', {label: this.label});
+        }
+
+        const out = new Uint8Array(this.blockSize);
+        const dv = new DataView(out.buffer);
+        dv.setUint32(0, SuperblockMagic, false);
+        dv.setUint16(4, this.version, false);
+        dv.setUint32(8, this.blockSize, false);
+        dv.setUint32(12, this.blockCount, false);
+        dv.setUint32(16, this.inodeBlockCount, false);
+        out.set(parseUuid(this.uuid), 20);
+        out.set(label, 36);
+        out.set(this.config, this.blockSize - ConfigLen);
+        return out;
+    }
+}
+
+// Random (version 4) UUID. crypto.randomUUID() is missing outside secure
+// contexts, e.g. pages served over plain HTTP.
+function randomUuid() {
+    if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    return formatUuid(bytes);
+}
+
+function formatUuid(bytes) {
+    const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function parseUuid(uuid) {
+    const hex = uuid.replace(/-/g, '');
+    if (!/^[0-9a-f]{32}$/i.test(hex)) {
+        throw new FsError(E.ARG, 'encodeSuperblock', {uuid});
+    }
+    return Uint8Array.from(hex.match(/../g), (h) => parseInt(h, 16));
+}
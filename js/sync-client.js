@@ -0,0 +1,276 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpQueue } from './promises.js';
+import { encodeRecords, decodeRecords, BinaryType } from './sync-protocol.js';
+
+export { SyncClient };
+
+// Keeps a block device in sync with a volume on a sync server (see
+// sync-protocol.js):
+//
+//   const client = new SyncClient(bridge, deviceId, 'https://example.com/volumes/home');
+//   await client.connect();
+//   const fsId = bridge.mount(deviceId);
+//
+// connect() creates the volume if need be and pulls the remote changes.
+// After that, changed blocks are pushed in batches once no change has been
+// seen for delay ms, and pull() fetches changes made by other clients.
+//
+// Pushes that fail because the server can't be reached are kept queued
+// and retried, backing off up to maxRetryDelay ms, and straight away when
+// the browser comes back online. state is a JSON-compatible snapshot of
+// what has been synced and what is still queued; pass it back as the state
+// option (with the device restored, e.g. by PersistentDevice) to resume.
+//
+// Other failures, such as the server rejecting a request, aren't retried:
+// the blocks stay queued until the next change or push(), and scheduled
+// pushes report the error through onError.
+//
+// A block changed both locally and remotely is a conflict, settled by
+// conflicts: 'remote' replaces the local change, 'local' overwrites the
+// remote one. A block changed again while its push was in flight is left
+// alone, and settled by the push that follows.
+//
+// Remote changes are written straight to the device, underneath any
+// filesystem mounted on it, so pull while the filesystem is idle.
+class SyncClient {
+    #bridge;
+    #url;
+    #fetch;
+    #delay;
+    #batchSize;
+    #maxRetryDelay;
+    #conflicts;
+    #onError;
+    #queue = new OpQueue();
+    #since = 0;
+    #versions = new Map();     // block -> remote version last seen
+    #dirty = new Set();
+    #applying = false;
+    #timer = null;
+    #retryDelay = 0;
+    #unsubscribe;
+
+    constructor(bridge, deviceId, url, {
+        fetch = globalThis.fetch, delay = 100, batchSize = 64, maxRetryDelay = 30000,
+        conflicts = 'remote', onError = console.error, state,
+    } = {}) {
+        if (conflicts !== 'remote' && conflicts !== 'local') {
+            throw new FsError(E.ARG, 'SyncClient', {conflicts});
+        }
+        this.#bridge = bridge;
+        this.#url = String(url).replace(/\/+$/, '');
+        this.#fetch = fetch;
+        this.#delay = delay;
+        this.#batchSize = batchSize;
+        this.#maxRetryDelay = maxRetryDelay;
+        this.#conflicts = conflicts;
+        this.#onError = onError;
+        this.deviceId = deviceId;
+
+        if (state) {
+            this.#since = state.since;
+            this.#versions = new Map(state.versions);
+            this.#dirty = new Set(state.dirty);
+        }
+
+        const offChanged = bridge.onBlockChanged((id, block) => {
+            if (id === deviceId && !this.#applying) this.#markDirty(block);
+        });
+        const online = () => {
+            if (this.#dirty.size > 0) this.#schedule(0);
+        };
+        globalThis.addEventListener?.('online', online);
+        this.#unsubscribe = () => {
+            offChanged();
+            globalThis.removeEventListener?.('online', online);
+        };
+
+        if (this.#dirty.size > 0) this.#schedule(this.#delay);
+    }
+
+    // number of changed blocks not yet pushed
+    get pending() { return this.#dirty.size; }
+
+    // true if the last push failed to reach the server
+    get offline() { return this.#retryDelay > 0; }
+
+    get state() {
+        return {
+            since: this.#since,
+            versions: [...this.#versions],
+            dirty: [...this.#dirty],
+        };
+    }
+
+    // Create the volume with the device's geometry if it doesn't exist,
+    // then pull. Fails with E.EXIST if it exists with a different geometry.
+    async connect() {
+        const { blockSize, blockCount } = this.#bridge.blockDeviceInfo(this.deviceId);
+        const res = await this.#request('connect', '', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ blockSize, blockCount }),
+        }, [409]);
+        if (res.status === 409) {
+            throw new FsError(E.EXIST, 'connect', {url: this.#url, blockSize, blockCount});
+        }
+        await this.pull();
+    }
+
+    // Apply the blocks changed remotely since the last pull. Blocks with
+    // local changes are left to push() to settle.
+    pull() {
+        return this.#queue.run(async () => {
+            const res = await this.#request('pull', `?since=${this.#since}`);
+            const manifest = await res.json();
+            const { blockSize, blockCount } = this.#bridge.blockDeviceInfo(this.deviceId);
+            if (manifest.blockSize !== blockSize || manifest.blockCount !== blockCount) {
+                throw new FsError(E.EXIST, 'pull', {url: this.#url, blockSize, blockCount});
+            }
+
+            const changed = manifest.blocks
+                .filter(([block, version]) => version > (this.#versions.get(block) ?? 0) && !this.#dirty.has(block))
+                .map(([block]) => block);
+            await this.#fetchBlocks(changed);
+            this.#since = Math.max(this.#since, manifest.version);
+        });
+    }
+
+    // Push all changed blocks now. Blocks are read from the device
+    // immediately, so the push reflects the device as of the call.
+    push() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        const blocks = [...this.#dirty];
+        this.#dirty.clear();
+
+        const { blockSize } = this.#bridge.blockDeviceInfo(this.deviceId);
+        const records = blocks.map((index) => {
+            const data = new Uint8Array(blockSize);
+            this.#bridge.readBlock(data, this.deviceId, index);
+            return { index, version: this.#versions.get(index) ?? 0, data };
+        });
+
+        return this.#queue.run(async () => {
+            let done = 0;
+            try {
+                const conflicts = [];
+                for (; done < records.length; done += this.#batchSize) {
+                    const batch = records.slice(done, done + this.#batchSize);
+                    const res = await this.#request('push', '/write', {
+                        method: 'POST',
+                        headers: { 'Content-Type': BinaryType },
+                        body: encodeRecords(batch, blockSize),
+                    });
+                    const result = await res.json();
+                    for (const [block, version] of result.applied) this.#versions.set(block, version);
+                    conflicts.push(...result.conflicts);
+                }
+                this.#retryDelay = 0;
+                await this.#resolve(conflicts);
+            } catch (err) {
+                // blocks changed again since are already queued
+                for (const { index } of records.slice(done)) this.#dirty.add(index);
+                if (err.code === E.NOTREADY) {
+                    this.#backOff();
+                } else {
+                    // left for the next change or push() to retry
+                    this.#retryDelay = 0;
+                }
+                throw err;
+            }
+        });
+    }
+
+    // Push outstanding changes and stop tracking the device. The device
+    // itself isn't destroyed. If the push fails, state still holds the
+    // queued blocks.
+    async close() {
+        this.#unsubscribe();
+        try {
+            await this.push();
+        } finally {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+        }
+    }
+
+    #markDirty(block) {
+        this.#dirty.add(block);
+        if (this.#retryDelay === 0) this.#schedule(this.#delay);
+    }
+
+    #schedule(wait) {
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            this.push().catch(this.#onError);
+        }, wait);
+    }
+
+    #backOff() {
+        this.#retryDelay = Math.min(this.#maxRetryDelay, Math.max(this.#delay, this.#retryDelay * 2));
+        this.#schedule(this.#retryDelay);
+    }
+
+    async #resolve(conflicts) {
+        if (conflicts.length === 0) return;
+        if (this.#conflicts === 'remote') {
+            const blocks = conflicts.map(([block]) => block);
+            try {
+                await this.#fetchBlocks(blocks);
+            } catch (err) {
+                // conflicting again on the next push retries this
+                for (const block of blocks) this.#dirty.add(block);
+                throw err;
+            }
+        } else {
+            for (const [block, version] of conflicts) {
+                this.#versions.set(block, version);
+                this.#markDirty(block);
+            }
+        }
+    }
+
+    // Fetch blocks and write them to the device, skipping blocks changed
+    // locally in the meantime.
+    async #fetchBlocks(blocks) {
+        const { blockSize } = this.#bridge.blockDeviceInfo(this.deviceId);
+        for (let i = 0; i < blocks.length; i += this.#batchSize) {
+            const res = await this.#request('pull', '/read', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ blocks: blocks.slice(i, i + this.#batchSize) }),
+            });
+            const records = decodeRecords(new Uint8Array(await res.arrayBuffer()), blockSize);
+            for (const { index, version, data } of records) {
+                if (this.#dirty.has(index)) continue;
+                this.#dirty.delete(index);
+                this.#applying = true;
+                try {
+                    this.#bridge.writeBlock(this.deviceId, index, data);
+                } finally {
+                    this.#applying = false;
+                }
+                this.#versions.set(index, version);
+            }
+        }
+    }
+
+    // fetch() relative to the volume URL. Failing to reach the server, and
+    // server errors, are E.NOTREADY; other unexpected statuses E.INTERNAL.
+    async #request(op, path, init, allowed = []) {
+        let res;
+        try {
+            res = await this.#fetch(this.#url + path, init);
+        } catch (err) {
+            throw new FsError(E.NOTREADY, op, {url: this.#url, error: String(err)});
+        }
+        if (!res.ok && !allowed.includes(res.status)) {
+            const code = (res.status >= 500 || res.status === 429) ? E.NOTREADY : E.INTERNAL;
+            throw new FsError(code, op, {url: this.#url, status: res.status});
+        }
+        return res;
+    }
+}
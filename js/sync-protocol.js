@@ -0,0 +1,78 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+
+export { encodeRecords, decodeRecords, RecordHeaderLen, VersionHeader, BaseVersionHeader, BinaryType };
+
+// Block sync protocol, spoken by SyncClient (sync-client.js) and the
+// reference server (sync-server.js).
+//
+// A volume is a named remote copy of a block device. The server keeps a
+// counter per volume, incremented by every block write, and each block's
+// version is the value of the counter when it was last written (0 if it
+// never has been). Versions therefore also order changes across blocks.
+//
+//   GET  /volumes/:volume[?since=N]
+//     Manifest: {blockSize, blockCount, version, blocks: [[index, version], ...]}
+//     listing the blocks with a version greater than N (default 0).
+//
+//   PUT  /volumes/:volume
+//     Create the volume from a JSON body of {blockSize, blockCount}. 201 if
+//     created, 200 if it already exists with the same geometry, 409 if not.
+//
+//   GET  /volumes/:volume/blocks/:index
+//     Block contents, with the version in the X-Block-Version header.
+//
+//   PUT  /volumes/:volume/blocks/:index
+//     Write a block. X-Base-Version must give the version the writer last
+//     saw; if the block has changed since, nothing is written and the
+//     response is 409 with the current version in X-Block-Version.
+//     Otherwise the new version is returned in X-Block-Version.
+//
+//   POST /volumes/:volume/read
+//     Batch read. The JSON body is {blocks: [index, ...]}; the response is
+//     a record (see below) per block, version being the block's version.
+//
+//   POST /volumes/:volume/write
+//     Batch write. The body is a record per block, version being the base
+//     version. Each record is checked and applied as for a single PUT; the
+//     response is {applied: [[index, version], ...], conflicts: [[index, version], ...]}.
+//
+// Records are a big-endian u32 block index, a u32 version and the block
+// contents, concatenated without padding. Binary bodies use BinaryType.
+
+const VersionHeader = 'X-Block-Version';
+const BaseVersionHeader = 'X-Base-Version';
+const BinaryType = 'application/octet-stream';
+
+const RecordHeaderLen = 8;
+
+// Encode [{index, version, data}] as records
+function encodeRecords(records, blockSize) {
+    const out = new Uint8Array(records.length * (RecordHeaderLen + blockSize));
+    const dv = new DataView(out.buffer);
+    records.forEach(({ index, version, data }, i) => {
+        const offset = i * (RecordHeaderLen + blockSize);
+        dv.setUint32(offset, index, false);
+        dv.setUint32(offset + 4, version, false);
+        out.set(data, offset + RecordHeaderLen);
+    });
+    return out;
+}
+
+// Decode records into [{index, version, data}]
+function decodeRecords(bytes, blockSize) {
+    const recordLen = RecordHeaderLen + blockSize;
+    if (bytes.length % recordLen !== 0) {
+        throw new FsError(E.ARG, 'decodeRecords', {length: bytes.length, blockSize});
+    }
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const out = [];
+    for (let offset = 0; offset < bytes.length; offset += recordLen) {
+        out.push({
+            index: dv.getUint32(offset, false),
+            version: dv.getUint32(offset + 4, false),
+            data: bytes.subarray(offset + RecordHeaderLen, offset + recordLen),
+        });
+    }
+    return out;
+}
@@ -0,0 +1,125 @@
+import * as http from 'node:http';
+import * as fsp from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createSyncHandler } from './sync-server.js';
+import { VersionHeader, BaseVersionHeader } from './sync-protocol.js';
+
+export { DiskBlockStore, listen };
+
+// Volume store for the sync server keeping each volume in a directory
+// under root: meta.json holds the metadata, and blocks.img the blocks at
+// their natural offsets (as a sparse file).
+class DiskBlockStore {
+    #root;
+
+    constructor(root) {
+        this.#root = root;
+    }
+
+    async getMeta(volume) {
+        try {
+            return JSON.parse(await fsp.readFile(this.#path(volume, 'meta.json'), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return undefined;
+            throw err;
+        }
+    }
+
+    // written to a temporary file and renamed, so meta.json is never
+    // left half written
+    async putMeta(volume, meta) {
+        await fsp.mkdir(this.#path(volume), { recursive: true });
+        const tmp = this.#path(volume, 'meta.json.tmp');
+        await fsp.writeFile(tmp, JSON.stringify(meta));
+        await fsp.rename(tmp, this.#path(volume, 'meta.json'));
+    }
+
+    async readBlock(volume, index, blockSize) {
+        let file;
+        try {
+            file = await fsp.open(this.#path(volume, 'blocks.img'), 'r');
+        } catch (err) {
+            if (err.code === 'ENOENT') return undefined;
+            throw err;
+        }
+        try {
+            const data = new Uint8Array(blockSize);
+            const { bytesRead } = await file.read(data, 0, blockSize, index * blockSize);
+            return (bytesRead === 0) ? undefined : data;
+        } finally {
+            await file.close();
+        }
+    }
+
+    async writeBlock(volume, index, data) {
+        let file;
+        try {
+            file = await fsp.open(this.#path(volume, 'blocks.img'), 'r+');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            file = await fsp.open(this.#path(volume, 'blocks.img'), 'w+');
+        }
+        try {
+            await file.write(data, 0, data.length, index * data.length);
+            await file.sync();
+        } finally {
+            await file.close();
+        }
+    }
+
+    #path(volume, ...names) {
+        return join(this.#root, volume, ...names);
+    }
+}
+
+// allow browser clients on any origin
+const CorsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, POST',
+    'Access-Control-Allow-Headers': `Content-Type, ${BaseVersionHeader}`,
+    'Access-Control-Expose-Headers': VersionHeader,
+};
+
+// Serve the sync protocol over HTTP, storing volumes in dir. Resolves to
+// the http.Server once it's listening.
+function listen({ dir, port = 8090, host = '127.0.0.1' }) {
+    const handler = createSyncHandler(new DiskBlockStore(dir));
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CorsHeaders);
+            res.end();
+            return;
+        }
+        try {
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            const body = (req.method === 'GET' || req.method === 'HEAD') ? undefined : Buffer.concat(chunks);
+            const request = new Request(new URL(req.url, `http://${req.headers.host ?? host}`), {
+                method: req.method,
+                headers: req.headers,
+                body,
+            });
+
+            const response = await handler(request);
+            res.writeHead(response.status, { ...Object.fromEntries(response.headers), ...CorsHeaders });
+            res.end(Buffer.from(await response.arrayBuffer()));
+        } catch (err) {
+            console.error(err);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'internal error' }));
+        }
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+// node js/sync-server-node.js [dir] [port]
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const [dir = 'volumes', port = '8090'] = process.argv.slice(2);
+    const server = await listen({ dir, port: Number(port) });
+    const { address, port: actualPort } = server.address();
+    console.log(`sync server listening on http://${address}:${actualPort}, storing volumes in ${dir}`);
+}
@@ -0,0 +1,196 @@
+import { OpQueue } from './promises.js';
+import { encodeRecords, decodeRecords, VersionHeader, BaseVersionHeader, BinaryType } from './sync-protocol.js';
+
+export { createSyncHandler, MemoryBlockStore };
+
+const VolumeName = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+const Route = /\/volumes\/([^/]+)(?:\/(read|write|blocks\/(\d+)))?$/;
+
+// Create a handler for the sync protocol (see sync-protocol.js), taking a
+// fetch API Request and resolving to a Response. It can be used directly
+// as a fetch() stand-in, or served with listen() from sync-server-node.js.
+//
+// store holds the volumes, and implements (all returning promises):
+//
+//   getMeta(volume)                     - {blockSize, blockCount, version, versions},
+//                                         or undefined if there's no such volume
+//   putMeta(volume, meta)
+//   readBlock(volume, index, blockSize) - contents, or undefined if never written
+//   writeBlock(volume, index, data)
+//
+// versions maps block indexes to versions, omitting blocks never written.
+// Requests are handled one at a time per volume, so the store needn't
+// worry about concurrent access.
+//
+// Writes save the meta before the blocks. If they're interrupted, clients
+// see the new versions with the old contents, which conflicts with the
+// writer's retry; the other way round, the new contents would carry old
+// versions and never be pulled.
+function createSyncHandler(store) {
+    const queues = new Map();      // volume -> {queue, pending}
+
+    // run fn after the volume's queued requests, dropping the queue once
+    // nothing is left in it
+    const withVolume = (volume, fn) => {
+        let entry = queues.get(volume);
+        if (!entry) {
+            entry = { queue: new OpQueue(), pending: 0 };
+            queues.set(volume, entry);
+        }
+        entry.pending++;
+        return entry.queue.run(fn).finally(() => {
+            if (--entry.pending === 0) queues.delete(volume);
+        });
+    };
+
+    return async (request) => {
+        const url = new URL(request.url);
+        const route = url.pathname.match(Route);
+        if (!route || !VolumeName.test(route[1])) {
+            return error(404, 'not found');
+        }
+        const [, volume, action, index] = route;
+
+        return withVolume(volume, async () => {
+            if (action === undefined && request.method === 'PUT') {
+                return createVolume(store, volume, await readJson(request));
+            }
+
+            const meta = await store.getMeta(volume);
+            if (!meta) return error(404, 'no such volume');
+
+            if (action === undefined && request.method === 'GET') {
+                const since = Number(url.searchParams.get('since') ?? 0);
+                const blocks = Object.entries(meta.versions)
+                    .map(([blk, version]) => [Number(blk), version])
+                    .filter(([, version]) => version > since)
+                    .sort((a, b) => a[0] - b[0]);
+                const { blockSize, blockCount, version } = meta;
+                return Response.json({ blockSize, blockCount, version, blocks });
+            } else if (action === 'read' && request.method === 'POST') {
+                const { blocks } = await readJson(request);
+                if (!Array.isArray(blocks) || !blocks.every((blk) => validIndex(meta, blk))) {
+                    return error(400, 'invalid block list');
+                }
+                const records = [];
+                for (const blk of blocks) {
+                    records.push(await readRecord(store, volume, meta, blk));
+                }
+                return binary(encodeRecords(records, meta.blockSize));
+            } else if (action === 'write' && request.method === 'POST') {
+                let records;
+                try {
+                    records = decodeRecords(new Uint8Array(await request.arrayBuffer()), meta.blockSize);
+                } catch (err) {
+                    return error(400, 'invalid records');
+                }
+                if (!records.every(({ index }) => validIndex(meta, index))) {
+                    return error(400, 'invalid block index');
+                }
+                const applied = [];
+                const conflicts = [];
+                const writes = [];
+                for (const { index, version, data } of records) {
+                    const current = meta.versions[index] ?? 0;
+                    if (current !== version) {
+                        conflicts.push([index, current]);
+                    } else {
+                        meta.versions[index] = ++meta.version;
+                        applied.push([index, meta.version]);
+                        writes.push([index, data.slice()]);
+                    }
+                }
+                if (writes.length > 0) await store.putMeta(volume, meta);
+                for (const [blk, data] of writes) await store.writeBlock(volume, blk, data);
+                return Response.json({ applied, conflicts });
+            } else if (index !== undefined) {
+                const blk = Number(index);
+                if (!validIndex(meta, blk)) return error(400, 'invalid block index');
+
+                if (request.method === 'GET') {
+                    const { version, data } = await readRecord(store, volume, meta, blk);
+                    return binary(data, { [VersionHeader]: String(version) });
+                } else if (request.method === 'PUT') {
+                    const data = new Uint8Array(await request.arrayBuffer());
+                    if (data.length !== meta.blockSize) return error(400, 'invalid block size');
+                    const current = meta.versions[blk] ?? 0;
+                    if (Number(request.headers.get(BaseVersionHeader) ?? 0) !== current) {
+                        return error(409, 'conflict', { [VersionHeader]: String(current) });
+                    }
+                    meta.versions[blk] = ++meta.version;
+                    await store.putMeta(volume, meta);
+                    await store.writeBlock(volume, blk, data);
+                    return new Response(null, { status: 204, headers: { [VersionHeader]: String(meta.version) } });
+                }
+            }
+            return error(405, 'method not allowed');
+        });
+    };
+}
+
+// Volume store holding everything in memory, for tests
+class MemoryBlockStore {
+    #meta = new Map();
+    #blocks = new Map();
+
+    async getMeta(volume) {
+        return this.#meta.has(volume) ? structuredClone(this.#meta.get(volume)) : undefined;
+    }
+
+    async putMeta(volume, meta) {
+        this.#meta.set(volume, structuredClone(meta));
+    }
+
+    async readBlock(volume, index, blockSize) {
+        return this.#blocks.get(volume)?.get(index)?.slice();
+    }
+
+    async writeBlock(volume, index, data) {
+        if (!this.#blocks.has(volume)) this.#blocks.set(volume, new Map());
+        this.#blocks.get(volume).set(index, data.slice());
+    }
+}
+
+//
+// Internals
+
+async function createVolume(store, volume, { blockSize, blockCount }) {
+    if (!Number.isInteger(blockSize) || blockSize <= 0 || !Number.isInteger(blockCount) || blockCount <= 0) {
+        return error(400, 'invalid geometry');
+    }
+    const meta = await store.getMeta(volume);
+    if (meta) {
+        return (meta.blockSize === blockSize && meta.blockCount === blockCount)
+            ? Response.json({ created: false })
+            : error(409, 'volume exists with different geometry');
+    }
+    await store.putMeta(volume, { blockSize, blockCount, version: 0, versions: {} });
+    return Response.json({ created: true }, { status: 201 });
+}
+
+async function readRecord(store, volume, meta, index) {
+    const data = await store.readBlock(volume, index, meta.blockSize) ?? new Uint8Array(meta.blockSize);
+    return { index, version: meta.versions[index] ?? 0, data };
+}
+
+// invalid bodies are treated as empty objects
+async function readJson(request) {
+    try {
+        const body = await request.json();
+        return (body !== null && typeof body === 'object') ? body : {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function validIndex(meta, index) {
+    return Number.isInteger(index) && index >= 0 && index < meta.blockCount;
+}
+
+function binary(bytes, headers = {}) {
+    return new Response(bytes, { headers: { 'Content-Type': BinaryType, ...headers } });
+}
+
+function error(status, message, headers = {}) {
+    return Response.json({ error: message }, { status, headers });
+}
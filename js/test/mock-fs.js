@@ -2,6 +2,26 @@ import { MockFs } from "../mock-fs.js";
 import { dumpFile, dumpFileToString, dumpFS } from "../dump.js";
 import * as fs from "../bridge.js";
 import { FileSystem } from "../fs.js";
+import * as E from "../errors.js";
+import { FsError } from "../errors.js";
+import { PathFileSystem, normalizePath } from "../path-fs.js";
+import { OpenFlags, MaxTransferSize } from "../constants.js";
+import { copy } from "../copy.js";
+import { walk } from "../walk.js";
+import { glob } from "../glob.js";
+import { FileHandle, DirHandle, readdirIter } from "../handles.js";
+import { NodeFs } from "../node-fs.js";
+import { FsPromises } from "../promises.js";
+import { Wasi, Errno } from "../wasi.js";
+import { createZigFsBackend } from "../emscripten-fs.js";
+import { createGitFs, encodeName } from "../git-fs.js";
+import { writeVolumeImage, readVolumeImage } from "../volume-image.js";
+import { PersistentDevice, MemoryStorage } from "../persistence.js";
+import { IndexedDbStorage } from "../idb-storage.js";
+import { LazyDevice, HttpRangeSource } from "../lazy-device.js";
+import { SyncClient } from "../sync-client.js";
+import { createSyncHandler, MemoryBlockStore } from "../sync-server.js";
+import { ReplicationSource, Replica, encodeFrame, FrameType } from "../replication.js";
 
 function stringBytes(str) {
     return new TextEncoder().encode(str);
@@ -20,6 +40,63 @@ console.log("IndirectThreshold", IndirectThreshold);
 console.log("MaxFileSize", MaxFileSize);
 console.log("DiskSize", DiskSize);
 
+// files in fixtures/git-repo and their modes
+const GitFixture = {
+    'README.md': 0o644,
+    'src/main.lua': 0o644,
+    'src/run.sh': 0o755,
+};
+
+// wrap fs so that calls to opendir/closedir are counted
+function countDirHandles(fs) {
+    const counts = { opened: 0, closed: 0 };
+    const wrapped = new Proxy(fs, {
+        get(target, prop) {
+            if (prop === 'opendir') return (...args) => { counts.opened++; return target.opendir(...args); };
+            if (prop === 'closedir') return (...args) => { counts.closed++; return target.closedir(...args); };
+            const value = target[prop];
+            return (typeof value === 'function') ? value.bind(target) : value;
+        }
+    });
+    return { fs: wrapped, counts };
+}
+
+const TestDbName = 'zigfs-test';
+
+function deleteTestDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(TestDbName);
+        req.onsuccess = () => resolve();
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// pair of connected stand-ins for WebSockets, delivering messages in order
+// on later tasks. messages sent while drop is set are lost.
+function socketPair() {
+    const create = () => {
+        const messageListeners = new Set();
+        return {
+            readyState: 1,
+            drop: false,
+            peer: null,
+            messageListeners,
+            addEventListener(type, fn) { if (type === 'message') messageListeners.add(fn); },
+            removeEventListener(type, fn) { messageListeners.delete(fn); },
+            send(data) {
+                if (this.drop) return;
+                const copy = data.slice().buffer;
+                setTimeout(() => this.peer.messageListeners.forEach((fn) => fn({ data: copy })));
+            },
+        };
+    };
+    const a = create();
+    const b = create();
+    a.peer = b;
+    b.peer = a;
+    return [a, b];
+}
+
 // convert the given Stat into a structure that's suitable for comparison
 // across different filesystem implementations. in particular, we ignore
 // the inode pointer (since this is an internal implementation detail),
@@ -43,9 +120,10 @@ fs.load("../../build/fs.wasm").then((bridge) => {
         mock: false,
         create: function () {
             this.blockDeviceId = bridge.createBlockDevice(BlockSize, BlockCount);
-            const config = bridge.formatFS(this.blockDeviceId, 32);
-            this.fileSystemId = bridge.initFS(this.blockDeviceId, config);
+            this.config = bridge.formatFS(this.blockDeviceId, 32);
+            this.fileSystemId = bridge.initFS(this.blockDeviceId, this.config);
             this.fs = new FileSystem(bridge, this.fileSystemId);
+            this.bridge = bridge;
         },
         destroy: function () {
             bridge.destroyFS(this.fileSystemId);
@@ -53,6 +131,8 @@ fs.load("../../build/fs.wasm").then((bridge) => {
             delete this.fs;
             delete this.fileSystemId;
             delete this.blockDeviceId;
+            delete this.config;
+            delete this.bridge;
         }
     });
 
@@ -66,9 +146,74 @@ fs.load("../../build/fs.wasm").then((bridge) => {
         }
     });
 
+    testStorage("MemoryStorage", {
+        open: async () => new MemoryStorage(),
+        destroy: async () => {},
+    });
+    if (globalThis.indexedDB) {
+        testStorage("IndexedDbStorage", {
+            open: () => IndexedDbStorage.open(TestDbName),
+            destroy: deleteTestDb,
+        });
+    }
+
     QUnit.start();
 });
 
+// storage adapters for PersistentDevice
+function testStorage(moduleName, { open, destroy }) {
+    QUnit.module(moduleName, function (hooks) {
+        hooks.beforeEach(async function () {
+            this.storage = await open();
+        });
+
+        hooks.afterEach(async function () {
+            this.storage.close?.();
+            delete this.storage;
+            await destroy();
+        });
+
+        QUnit.test("round trip", async function (assert) {
+            const storage = this.storage;
+            assert.strictEqual(await storage.getMeta('vol'), undefined);
+            await storage.putMeta('vol', { blockSize: 4, blockCount: 8 });
+            assert.deepEqual(await storage.getMeta('vol'), { blockSize: 4, blockCount: 8 });
+
+            await storage.writeBlocks('vol', [[5, new Uint8Array([1, 2, 3, 4])], [1, new Uint8Array([5, 6, 7, 8])]]);
+            await storage.writeBlocks('vol', [[5, new Uint8Array([9, 9, 9, 9])], [1, null]]);
+
+            const blocks = [];
+            await storage.readBlocks('vol', (block, data) => blocks.push([block, Array.from(data)]));
+            assert.deepEqual(blocks, [[5, [9, 9, 9, 9]]], "later writes replace blocks, and null deletes them");
+        });
+
+        QUnit.test("delete volume", async function (assert) {
+            const storage = this.storage;
+            for (const volume of ['a', 'b']) {
+                await storage.putMeta(volume, { blockSize: 4, blockCount: 8 });
+                await storage.writeBlocks(volume, [[0, new Uint8Array([1, 1, 1, 1])], [7, new Uint8Array([2, 2, 2, 2])]]);
+            }
+            await storage.deleteVolume('a');
+
+            const count = async (volume) => {
+                let n = 0;
+                await storage.readBlocks(volume, () => n++);
+                return n;
+            };
+            assert.strictEqual(await storage.getMeta('a'), undefined);
+            assert.strictEqual(await count('a'), 0);
+            assert.deepEqual(await storage.getMeta('b'), { blockSize: 4, blockCount: 8 }, "other volumes are kept");
+            assert.strictEqual(await count('b'), 2);
+        });
+
+        QUnit.test("readBlocks errors", async function (assert) {
+            const storage = this.storage;
+            await storage.writeBlocks('vol', [[0, new Uint8Array([1])], [1, new Uint8Array([2])]]);
+            await assert.rejects(storage.readBlocks('vol', () => { throw new Error("stop"); }), /stop/);
+        });
+    });
+}
+
 function testFS(moduleName, { create, destroy, mock }) {
     QUnit.module(moduleName, function (hooks) {
         hooks.beforeEach(function () {
@@ -108,6 +253,39 @@ function runTests() {
         assert.strictEqual(this.fs.lookup(0, 'file'), inode, "lookup returns inode of existing file");
     });
 
+    //
+    // Errors
+
+    QUnit.test("errors (codes)", function (assert) {
+        const fs = this.fs;
+        const dirInode = fs.mkdir(0, 'dir');
+        const fileInode = fs.create(0, 'file');
+
+        const expectCode = (code, op, fn) => {
+            assert.throws(fn, (err) => err instanceof FsError && err.code === code && err.op === op, `${op} raises ${code}`);
+        };
+
+        expectCode(E.NOENT, 'lookup', () => fs.lookup(0, 'missing'));
+        expectCode(E.EXIST, 'mkdir', () => fs.mkdir(0, 'dir'));
+        expectCode(E.EXIST, 'create', () => fs.create(0, 'file'));
+        expectCode(E.ISDIR, 'unlink', () => fs.unlink(0, 'dir'));
+        expectCode(E.ISDIR, 'open', () => fs.open(dirInode, 0));
+        expectCode(E.NOTDIR, 'opendir', () => fs.opendir(fileInode));
+        expectCode(E.BADFD, 'close', () => fs.close(12345));
+        expectCode(E.NAMETOOLONG, 'create', () => fs.create(0, 'a-very-long-filename'));
+    });
+
+    QUnit.test("errors (arguments)", function (assert) {
+        try {
+            this.fs.lookup(0, 'missing');
+            assert.ok(false, "lookup should throw");
+        } catch (err) {
+            assert.strictEqual(err.name, 'FsError');
+            assert.strictEqual(err.args.name, 'missing');
+            assert.ok(err.message.startsWith(E.NOENT), "message starts with error code");
+        }
+    });
+
     //
     // Exists
 
@@ -233,6 +411,41 @@ function runTests() {
         });
     });
 
+    QUnit.test('readFile/writeFile', function (assert) {
+        const fs = this.fs;
+
+        // larger than the shuttle buffer so transfers are chunked
+        const data = new Uint8Array(40000);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = (i * 7) % 256;
+        }
+
+        const inode = fs.writeFile(0, 'big', data);
+        assert.strictEqual(fs.lookup(0, 'big'), inode);
+        assert.strictEqual(fs.stat(inode).size, data.length);
+        assert.deepEqual(fs.readFile(inode), data);
+
+        // fds must have been closed, otherwise truncating open would fail
+        fs.close(fs.open(inode, OpenFlags.TRUNCATE));
+        assert.deepEqual(fs.readFile(inode), new Uint8Array(0));
+    });
+
+    QUnit.test('writeText (truncate/append)', function (assert) {
+        const fs = this.fs;
+
+        const inode = fs.writeText(0, 'text', "Hello, World!");
+        assert.strictEqual(fs.readText(inode), "Hello, World!");
+
+        fs.writeText(0, 'text', " Goodbye.", { append: true });
+        assert.strictEqual(fs.readText(inode), "Hello, World! Goodbye.");
+
+        fs.writeText(0, 'text', "HELLO", { truncate: false });
+        assert.strictEqual(fs.readText(inode), "HELLO, World! Goodbye.");
+
+        fs.writeText(0, 'text', "Bye");
+        assert.strictEqual(fs.readText(inode), "Bye");
+    });
+
     // perform a fuzz test with 10 simultaneous writers, 255 passes, 100-5000 ops per pass
     QUnit.test('read/write fuzz', function (assert) {
         let totalBytesWritten = 0;
@@ -384,6 +597,59 @@ function runTests() {
             assert.deepEqual(dumpFS(fs), {});
         });
 
+        QUnit.test("rmdir - non-empty directory", function (assert) {
+            const fs = this.fs;
+
+            const dir = fs.mkdir(0, 'test-dir');
+            fs.create(dir, 'file');
+            fs.create(0, 'file');
+
+            assert.throws(() => fs.rmdir(0, 'test-dir'), (err) => err.code === E.NOTEMPTY, "rmdir raises ENOTEMPTY");
+            assert.throws(() => fs.rmdir(0, 'file'), (err) => err.code === E.NOTDIR, "rmdir of file raises ENOTDIR");
+            assert.ok(fs.exists(0, 'test-dir'));
+
+            fs.unlink(dir, 'file');
+            fs.rmdir(0, 'test-dir');
+            assert.notOk(fs.exists(0, 'test-dir'));
+        });
+
+        QUnit.test("remove - recursive", function (assert) {
+            const fs = this.fs;
+
+            const a = fs.mkdir(0, 'a');
+            const b = fs.mkdir(a, 'b');
+            fs.mkdir(b, 'c');
+            fs.writeText(a, 'file-1', "one");
+            fs.writeText(b, 'file-2', "two");
+            fs.writeText(0, 'keep', "keep");
+
+            assert.throws(() => fs.remove(0, 'a'), (err) => err.code === E.NOTEMPTY, "non-recursive remove raises ENOTEMPTY");
+
+            fs.remove(0, 'a', { recursive: true });
+            assert.deepEqual(dumpFS(fs), {
+                "keep": { type: 'file', contents: stringBytes("keep"), executable: false }
+            });
+
+            fs.remove(0, 'keep');
+            assert.deepEqual(dumpFS(fs), {});
+        });
+
+        QUnit.test("remove - open entries are deferred", function (assert) {
+            const fs = this.fs;
+
+            const dir = fs.mkdir(0, 'dir');
+            const inode = fs.writeText(dir, 'file', "still here");
+            const fd = fs.open(inode, 0);
+
+            fs.remove(0, 'dir', { recursive: true });
+            assert.notOk(fs.exists(0, 'dir'));
+
+            const buf = new Uint8Array(10);
+            assert.strictEqual(fs.read(buf, fd), 10, "open fd remains readable");
+            assert.strictEqual(new TextDecoder().decode(buf), "still here");
+            fs.close(fd);
+        });
+
         QUnit.test("read directory entries", function (assert) {
             const fs = this.fs;
 
@@ -415,6 +681,989 @@ function runTests() {
             });
         });
     });
+
+    QUnit.module("rename", function () {
+        QUnit.test("rename within directory", function (assert) {
+            const fs = this.fs;
+            const inode = fs.writeText(0, 'old', "contents");
+
+            fs.rename(0, 'old', 0, 'new');
+            assert.notOk(fs.exists(0, 'old'));
+            assert.strictEqual(fs.lookup(0, 'new'), inode, "inode is preserved");
+            assert.strictEqual(fs.readText(inode), "contents");
+        });
+
+        QUnit.test("move between directories keeps open fds valid", function (assert) {
+            const fs = this.fs;
+            const a = fs.mkdir(0, 'a');
+            const b = fs.mkdir(0, 'b');
+            const inode = fs.create(a, 'file');
+
+            const fd = fs.open(inode, 0);
+            fs.write(fd, stringBytes("hello"));
+            fs.rename(a, 'file', b, 'moved');
+            fs.write(fd, stringBytes(" world"));
+            fs.close(fd);
+
+            assert.notOk(fs.exists(a, 'file'));
+            assert.strictEqual(fs.lookup(b, 'moved'), inode);
+            assert.strictEqual(fs.readText(inode), "hello world");
+        });
+
+        QUnit.test("rename replaces existing target", function (assert) {
+            const fs = this.fs;
+            const src = fs.writeText(0, 'src', "new");
+            fs.writeText(0, 'dst', "old");
+
+            fs.rename(0, 'src', 0, 'dst');
+            assert.strictEqual(fs.lookup(0, 'dst'), src);
+            assert.strictEqual(fs.readText(fs.lookup(0, 'dst')), "new");
+            assert.deepEqual(dumpFS(fs), {
+                "dst": { type: 'file', contents: stringBytes("new"), executable: false }
+            });
+        });
+
+        QUnit.test("rename directory", function (assert) {
+            const fs = this.fs;
+            const dir = fs.mkdir(0, 'dir');
+            fs.writeText(dir, 'file', "x");
+            fs.mkdir(0, 'empty');
+
+            fs.rename(0, 'dir', 0, 'empty');
+            assert.strictEqual(fs.lookup(0, 'empty'), dir);
+            assert.notOk(fs.exists(0, 'dir'));
+            assert.ok(fs.exists(dir, 'file'));
+        });
+
+        QUnit.test("rename errors", function (assert) {
+            const fs = this.fs;
+            const a = fs.mkdir(0, 'a');
+            const b = fs.mkdir(a, 'b');
+            fs.mkdir(0, 'full');
+            fs.create(fs.lookup(0, 'full'), 'x');
+            fs.create(0, 'file');
+
+            const expectCode = (code, fn) => {
+                assert.throws(fn, (err) => err.code === code && err.op === 'rename', `rename raises ${code}`);
+            };
+
+            expectCode(E.NOENT, () => fs.rename(0, 'missing', 0, 'x'));
+            expectCode(E.ARG, () => fs.rename(0, 'a', a, 'a2'));
+            expectCode(E.ARG, () => fs.rename(0, 'a', b, 'a2'));
+            expectCode(E.ISDIR, () => fs.rename(0, 'file', 0, 'a'));
+            expectCode(E.NOTDIR, () => fs.rename(0, 'a', 0, 'file'));
+            expectCode(E.NOTEMPTY, () => fs.rename(0, 'a', 0, 'full'));
+
+            assert.ok(fs.exists(0, 'a'), "failed renames leave source in place");
+        });
+    });
+
+    QUnit.module("copy", function () {
+        QUnit.test("copy file", function (assert) {
+            const fs = this.fs;
+            const data = new Uint8Array(40000).map((_, i) => i % 251);
+            const src = fs.writeFile(0, 'src', data);
+
+            const progress = [];
+            const dst = copy(fs, src, fs, 0, 'dst', { onProgress: (p) => progress.push(p) });
+
+            assert.notStrictEqual(dst, src);
+            assert.deepEqual(fs.readFile(dst), data);
+            assert.deepEqual(progress, [{ path: 'dst', inode: dst, size: data.length }]);
+        });
+
+        QUnit.test("copy with short writes", function (assert) {
+            const data = new Uint8Array(40000).map((_, i) => i % 251);
+            const src = this.fs.writeFile(0, 'src', data);
+
+            // destination accepting at most 1000 bytes per write
+            const target = new MockFs();
+            const dstFs = new Proxy(target, {
+                get(target, prop) {
+                    if (prop === 'write') return (fd, buf) => target.write(fd, buf.subarray(0, 1000));
+                    const value = target[prop];
+                    return (typeof value === 'function') ? value.bind(target) : value;
+                }
+            });
+
+            const dst = copy(this.fs, src, dstFs, 0, 'dst');
+            assert.deepEqual(target.readFile(dst), data);
+        });
+
+        QUnit.test("writes to a full destination", function (assert) {
+            const src = this.fs.writeFile(0, 'src', new Uint8Array(5000).fill(1));
+
+            // destination whose writes stop making progress after 1000 bytes
+            const target = new MockFs();
+            let room = 1000;
+            const dstFs = new Proxy(target, {
+                get(target, prop) {
+                    if (prop === 'write') return (fd, buf) => {
+                        const n = target.write(fd, buf.subarray(0, room));
+                        room -= n;
+                        return n;
+                    };
+                    const value = target[prop];
+                    return (typeof value === 'function') ? value.bind(target) : value;
+                }
+            });
+
+            const isNoSpc = (err) => err.code === E.NOSPC;
+            assert.throws(() => copy(this.fs, src, dstFs, 0, 'dst'), isNoSpc);
+            assert.throws(() => new NodeFs(dstFs).writeFileSync('/f', new Uint8Array(100)), isNoSpc);
+        });
+
+        QUnit.test("copy tree from another filesystem", function (assert) {
+            const fixture = new MockFs();
+            const dir = fixture.mkdir(0, 'tree');
+            const sub = fixture.mkdir(dir, 'sub');
+            const script = fixture.writeText(dir, 'run.sh', "#!/bin/sh");
+            fixture.setExecutable(script, true);
+            fixture.writeText(sub, 'data.txt', "data");
+            fixture.setMtime(sub, 12345);
+
+            const paths = [];
+            const inode = copy(fixture, dir, this.fs, 0, 'copied', {
+                recursive: true,
+                preserveExecutable: true,
+                preserveMtime: true,
+                onProgress: ({ path }) => paths.push(path),
+            });
+
+            assert.deepEqual(paths.sort(), ['copied/run.sh', 'copied/sub/data.txt']);
+            assert.deepEqual(dumpFS(this.fs), {
+                "copied": {
+                    type: 'dir',
+                    entries: {
+                        "run.sh": { type: 'file', contents: stringBytes("#!/bin/sh"), executable: true },
+                        "sub": {
+                            type: 'dir',
+                            entries: {
+                                "data.txt": { type: 'file', contents: stringBytes("data"), executable: false }
+                            }
+                        }
+                    }
+                }
+            });
+            assert.strictEqual(this.fs.stat(this.fs.lookup(inode, 'sub')).mtime, 12345, "mtime is preserved");
+        });
+
+        QUnit.test("copy overwrite", function (assert) {
+            const fs = this.fs;
+            const src = fs.writeText(0, 'src', "new contents");
+            const dst = fs.writeText(0, 'dst', "old");
+
+            assert.throws(() => copy(fs, src, fs, 0, 'dst'), (err) => err.code === E.EXIST);
+            assert.strictEqual(copy(fs, src, fs, 0, 'dst', { overwrite: true }), dst);
+            assert.strictEqual(fs.readText(dst), "new contents");
+        });
+
+        QUnit.test("copy errors", function (assert) {
+            const fs = this.fs;
+            const a = fs.mkdir(0, 'a');
+            const b = fs.mkdir(a, 'b');
+
+            assert.throws(() => copy(fs, a, fs, 0, 'c'), (err) => err.code === E.ISDIR, "directories require recursive");
+            assert.throws(() => copy(fs, a, fs, b, 'c', { recursive: true }), (err) => err.code === E.ARG, "can't copy into own subtree");
+        });
+    });
+
+    QUnit.module("walk", function (hooks) {
+        hooks.beforeEach(function () {
+            const a = this.fs.mkdir(0, 'a');
+            const b = this.fs.mkdir(a, 'b');
+            this.fs.writeText(a, 'a1', "a1");
+            this.fs.writeText(b, 'b1', "b1");
+            this.fs.writeText(0, 'f', "f");
+        });
+
+        QUnit.test("depth first", function (assert) {
+            const paths = Array.from(walk(this.fs, 0), (e) => e.path);
+            assert.deepEqual(paths.slice().sort(), ['a', 'a/a1', 'a/b', 'a/b/b1', 'f']);
+            assert.ok(paths.indexOf('a/b/b1') === paths.indexOf('a/b') + 1, "directory contents follow the directory");
+        });
+
+        QUnit.test("breadth first", function (assert) {
+            const entries = Array.from(walk(this.fs, 0, { depthFirst: false }));
+            const depths = entries.map((e) => e.path.split('/').length);
+            assert.deepEqual(depths, depths.slice().sort(), "shallower entries come first");
+            assert.strictEqual(entries.length, 5);
+
+            const b1 = entries.find((e) => e.path === 'a/b/b1');
+            assert.strictEqual(b1.parentInode, this.fs.lookup(this.fs.lookup(0, 'a'), 'b'));
+            assert.ok(b1.stat.isFile);
+            assert.strictEqual(b1.stat.size, 2);
+        });
+
+        QUnit.test("filter and maxDepth", function (assert) {
+            const noB = Array.from(walk(this.fs, 0, { filter: (e) => e.stat.name !== 'b' }), (e) => e.path);
+            assert.deepEqual(noB.sort(), ['a', 'a/a1', 'f'], "filtered directories are not descended");
+
+            for (const depthFirst of [true, false]) {
+                const shallow = Array.from(walk(this.fs, 0, { depthFirst, maxDepth: 1 }), (e) => e.path);
+                assert.deepEqual(shallow.sort(), ['a', 'f']);
+            }
+        });
+
+        QUnit.test("handles closed on early exit", function (assert) {
+            for (const depthFirst of [true, false]) {
+                const { fs, counts } = countDirHandles(this.fs);
+                for (const entry of walk(fs, 0, { depthFirst })) {
+                    if (entry.path === 'a/b/b1') break;
+                }
+                assert.ok(counts.opened > 0);
+                assert.strictEqual(counts.closed, counts.opened, "every opened directory was closed");
+            }
+        });
+    });
+
+    QUnit.module("glob", function (hooks) {
+        hooks.beforeEach(function () {
+            const fs = this.fs;
+            const src = fs.mkdir(0, 'src');
+            const lib = fs.mkdir(src, 'lib');
+            const assets = fs.mkdir(0, 'assets');
+            fs.writeText(src, 'main.lua', "");
+            fs.writeText(src, '.hidden.lua', "");
+            fs.writeText(lib, 'util.lua', "");
+            fs.writeText(lib, 'notes.txt', "");
+            for (const name of ['a.png', 'b.wav', 'c.gif', 'd1.png']) {
+                fs.writeText(assets, name, "");
+            }
+        });
+
+        const paths = (results) => results.map((r) => r.path);
+
+        QUnit.test("wildcards", function (assert) {
+            assert.deepEqual(paths(glob(this.fs, "src/**/*.lua")), ['src/lib/util.lua', 'src/main.lua']);
+            assert.deepEqual(paths(glob(this.fs, "assets/*.{png,wav}")), ['assets/a.png', 'assets/b.wav', 'assets/d1.png']);
+            assert.deepEqual(paths(glob(this.fs, "assets/?.png")), ['assets/a.png']);
+            assert.deepEqual(paths(glob(this.fs, "assets/[a-c].*")), ['assets/a.png', 'assets/b.wav', 'assets/c.gif']);
+            assert.deepEqual(paths(glob(this.fs, "assets/[!a-c]*")), ['assets/d1.png']);
+            assert.deepEqual(paths(glob(this.fs, "{src/lib,assets}/*.{txt,gif}")), ['assets/c.gif', 'src/lib/notes.txt']);
+            assert.deepEqual(paths(glob(this.fs, "**/lib")), ['src/lib']);
+            assert.deepEqual(paths(glob(this.fs, "src/.*")), ['src/.hidden.lua'], "dotfiles match explicit dot patterns only");
+            assert.deepEqual(paths(glob(this.fs, "nope/**")), []);
+        });
+
+        QUnit.test("cwd", function (assert) {
+            const lib = this.fs.lookup(this.fs.lookup(0, 'src'), 'lib');
+            assert.deepEqual(paths(glob(this.fs, "*.lua", { cwd: lib })), ['util.lua']);
+            assert.deepEqual(paths(glob(this.fs, "*.lua", { cwd: "/src" })), ['main.lua']);
+            assert.deepEqual(paths(glob(this.fs, "/src/*.lua", { cwd: lib })), ['src/main.lua']);
+        });
+
+        QUnit.test("prunes non-matching directories", function (assert) {
+            const { fs, counts } = countDirHandles(this.fs);
+            const results = glob(fs, "assets/*.png");
+            assert.deepEqual(paths(results), ['assets/a.png', 'assets/d1.png']);
+            assert.ok(results.every((r) => r.stat.isFile));
+            assert.strictEqual(counts.opened, 1, "only the assets directory is listed");
+        });
+    });
+
+    QUnit.module("handles", function (hooks) {
+        const dispose = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+
+        hooks.beforeEach(function () {
+            for (const name of ['a', 'b', 'c']) {
+                this.fs.writeText(0, name, name);
+            }
+        });
+
+        QUnit.test("readdirIter", function (assert) {
+            const names = [];
+            for (const stat of this.fs.readdirIter(0)) {
+                names.push(stat.name);
+            }
+            assert.deepEqual(names.sort(), ['a', 'b', 'c']);
+        });
+
+        QUnit.test("readdirIter closes on early exit", function (assert) {
+            const { fs, counts } = countDirHandles(this.fs);
+            const iter = readdirIter(fs, 0);
+            assert.strictEqual(counts.opened, 0, "not opened until iterated");
+            for (const stat of iter) {
+                break;
+            }
+            assert.strictEqual(counts.opened, 1);
+            assert.strictEqual(counts.closed, 1);
+        });
+
+        QUnit.test("dir handle", function (assert) {
+            const dir = this.fs.openDir(0);
+            assert.ok(dir.read());
+            assert.strictEqual(Array.from(dir).length, 2, "iteration continues from the current entry");
+            assert.ok(dir.closed);
+            dir.close();
+            dir[dispose]();
+        });
+
+        QUnit.test("file handle", function (assert) {
+            const inode = this.fs.lookup(0, 'a');
+            const fh = this.fs.openFile(inode, OpenFlags.READ);
+            assert.throws(() => this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE), (err) => err.code === E.BUSY);
+            fh[dispose]();
+            assert.ok(fh.closed);
+            fh.close();
+
+            const fd = this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE);
+            this.fs.close(fd);
+        });
+
+        QUnit.test("file handle methods", function (assert) {
+            const inode = this.fs.lookup(0, 'a');
+            const fh = this.fs.openHandle(inode, OpenFlags.READ | OpenFlags.WRITE);
+
+            assert.strictEqual(fh.write(new TextEncoder().encode("hello")), 5);
+            assert.strictEqual(fh.tell(), 5);
+            assert.ok(fh.eof());
+            assert.strictEqual(fh.stat().size, 5);
+
+            fh.seek(1);
+            const buf = new Uint8Array(3);
+            assert.strictEqual(fh.read(buf), 3);
+            assert.strictEqual(new TextDecoder().decode(buf), "ell");
+
+            fh.truncate();
+            assert.strictEqual(fh.tell(), 0);
+            assert.strictEqual(fh.stat().size, 0);
+
+            const other = this.fs.open(inode, OpenFlags.READ);
+            assert.throws(() => fh.truncate(), (err) => err.code === E.BUSY, "can't truncate while open elsewhere");
+            this.fs.close(other);
+
+            fh.close();
+        });
+
+        QUnit.test("file handle use after close", function (assert) {
+            const calls = [];
+            const fs = new Proxy(this.fs, {
+                get(target, prop) {
+                    const value = target[prop];
+                    if (typeof value !== 'function') return value;
+                    return (...args) => { calls.push(prop); return value.apply(target, args); };
+                }
+            });
+
+            const fh = new FileHandle(fs, fs.open(this.fs.lookup(0, 'a'), OpenFlags.READ));
+            fh.close();
+            assert.deepEqual(calls, ['open', 'close']);
+            calls.length = 0;
+
+            const buf = new Uint8Array(1);
+            for (const fn of [() => fh.read(buf), () => fh.write(buf), () => fh.seek(0), () => fh.tell(),
+                              () => fh.eof(), () => fh.stat(), () => fh.truncate()]) {
+                assert.throws(fn, (err) => err instanceof FsError && err.code === E.BADFD);
+            }
+            assert.deepEqual(calls, [], "closed handle doesn't reach the filesystem");
+        });
+
+        QUnit.test("dir handle use after close", function (assert) {
+            const calls = [];
+            const fs = new Proxy(this.fs, {
+                get(target, prop) {
+                    const value = target[prop];
+                    if (typeof value !== 'function') return value;
+                    return (...args) => { calls.push(prop); return value.apply(target, args); };
+                }
+            });
+
+            const dh = new DirHandle(fs, fs.opendir(0));
+            dh.close();
+            calls.length = 0;
+            assert.throws(() => dh.read(), (err) => err instanceof FsError && err.code === E.BADFD);
+            assert.deepEqual(calls, [], "closed handle doesn't reach the filesystem");
+        });
+    });
+
+    QUnit.module("streams", function () {
+        const data = new Uint8Array(40000).map((_, i) => i * 7);
+
+        async function collect(stream) {
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                out.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return { out, chunks };
+        }
+
+        QUnit.test("read stream", async function (assert) {
+            const inode = this.fs.writeFile(0, 'data', data);
+
+            const { out, chunks } = await collect(this.fs.createReadStream(inode));
+            assert.deepEqual(out, data);
+            assert.ok(chunks.length > 1, "read in multiple chunks");
+            assert.ok(chunks.every((c) => c.length <= MaxTransferSize));
+
+            const range = await collect(this.fs.createReadStream(inode, { start: 100, end: 199 }));
+            assert.deepEqual(range.out, data.slice(100, 200), "end is inclusive");
+
+            // file was closed, so truncating open succeeds
+            this.fs.close(this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE));
+        });
+
+        QUnit.test("read stream ranges", async function (assert) {
+            const inode = this.fs.writeFile(0, 'data', data);
+
+            const empty = await collect(this.fs.createReadStream(inode, { start: 100, end: 99 }));
+            assert.strictEqual(empty.out.length, 0);
+
+            for (const range of [{ start: 100, end: 50 }, { start: -1 }, { start: 1.5 }, { end: NaN }]) {
+                assert.throws(() => this.fs.createReadStream(inode, range), (err) => err.code === E.ARG, JSON.stringify(range));
+            }
+
+            // nothing was left open
+            this.fs.close(this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE));
+        });
+
+        QUnit.test("read stream cancel closes file", async function (assert) {
+            const inode = this.fs.writeFile(0, 'data', data);
+            const reader = this.fs.createReadStream(inode).getReader();
+            const { value } = await reader.read();
+            assert.ok(value.length > 0);
+            await reader.cancel();
+
+            this.fs.close(this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE));
+            assert.strictEqual(this.fs.stat(inode).size, 0);
+        });
+
+        QUnit.test("write stream", async function (assert) {
+            const stream = this.fs.createWriteStream(0, 'out');
+            const writer = stream.getWriter();
+            await writer.write(data.subarray(0, 30000));
+            await writer.write(data.subarray(30000));
+            await writer.close();
+            assert.deepEqual(this.fs.readFile(this.fs.lookup(0, 'out')), data);
+
+            const appender = this.fs.createWriteStream(0, 'out', { flags: OpenFlags.WRITE | OpenFlags.SEEK_END }).getWriter();
+            await appender.write(new Uint8Array([1, 2, 3]));
+            await appender.close();
+            assert.strictEqual(this.fs.stat(this.fs.lookup(0, 'out')).size, data.length + 3);
+
+            await this.fs.createReadStream(this.fs.lookup(0, 'out'))
+                .pipeTo(this.fs.createWriteStream(0, 'copy'));
+            assert.deepEqual(this.fs.readFile(this.fs.lookup(0, 'copy')), this.fs.readFile(this.fs.lookup(0, 'out')));
+        });
+
+        QUnit.test("write stream abort closes file", async function (assert) {
+            const writer = this.fs.createWriteStream(0, 'out').getWriter();
+            await writer.write(data.subarray(0, 10));
+            await writer.abort();
+
+            const inode = this.fs.lookup(0, 'out');
+            this.fs.close(this.fs.open(inode, OpenFlags.WRITE | OpenFlags.TRUNCATE));
+            assert.throws(() => this.fs.createWriteStream(0, 'missing', { flags: OpenFlags.WRITE }), (err) => err.code === E.NOENT);
+        });
+    });
+
+    QUnit.module("node fs adapter", function (hooks) {
+        hooks.beforeEach(function () {
+            this.nodeFs = new NodeFs(this.fs);
+        });
+
+        QUnit.test("files", function (assert) {
+            const nfs = this.nodeFs;
+            nfs.mkdirSync('/a/b', { recursive: true });
+            nfs.writeFileSync('/a/b/f.txt', "hello");
+            nfs.appendFileSync('/a/b/f.txt', new Uint8Array([33]));
+            assert.ok(nfs.existsSync('/a/b/f.txt'));
+            assert.notOk(nfs.existsSync('/a/nope'));
+            assert.strictEqual(nfs.readFileSync('/a/b/f.txt', 'utf8'), "hello!");
+            assert.deepEqual(nfs.readFileSync('/a/b/f.txt'), new TextEncoder().encode("hello!"));
+
+            const stats = nfs.statSync('/a/b/f.txt');
+            assert.ok(stats.isFile());
+            assert.notOk(stats.isDirectory());
+            assert.strictEqual(stats.size, 6);
+            assert.ok(Math.abs(stats.mtimeMs - Date.now()) < 60000, "mtime is converted to the Unix epoch");
+            assert.ok(nfs.statSync('/a').isDirectory());
+            assert.strictEqual(nfs.statSync('/nope', { throwIfNoEntry: false }), undefined);
+
+            nfs.renameSync('/a/b/f.txt', '/a/g.txt');
+            assert.deepEqual(nfs.readdirSync('/a').sort(), ['b', 'g.txt']);
+            const dirents = nfs.readdirSync('/a', { withFileTypes: true });
+            assert.ok(dirents.find((d) => d.name === 'b').isDirectory());
+            assert.ok(dirents.find((d) => d.name === 'g.txt').isFile());
+        });
+
+        QUnit.test("mkdir and rm", function (assert) {
+            const nfs = this.nodeFs;
+            assert.strictEqual(nfs.mkdirSync('/a'), undefined);
+            assert.strictEqual(nfs.mkdirSync('/a/b/c', { recursive: true }), '/a/b');
+            assert.strictEqual(nfs.mkdirSync('/a/b/c', { recursive: true }), undefined);
+            nfs.writeFileSync('/a/b/c/f', "x");
+
+            assert.throws(() => nfs.rmSync('/a'), (err) => err.code === 'EISDIR');
+            nfs.rmSync('/nope', { force: true });
+            nfs.rmSync('/a', { recursive: true });
+            assert.notOk(nfs.existsSync('/a'));
+        });
+
+        QUnit.test("fds", function (assert) {
+            const nfs = this.nodeFs;
+            const fd = nfs.openSync('/f', 'w+');
+            assert.strictEqual(nfs.writeSync(fd, "hello world"), 11);
+            assert.strictEqual(nfs.writeSync(fd, new TextEncoder().encode("HELLO"), 0, 5, 0), 5);
+
+            const buf = new Uint8Array(20);
+            assert.strictEqual(nfs.readSync(fd, buf, 0, 20, 0), 11);
+            assert.strictEqual(new TextDecoder().decode(buf.subarray(0, 11)), "HELLO world");
+            assert.strictEqual(nfs.readSync(fd, buf, { position: 6, length: 5 }), 5);
+            assert.strictEqual(nfs.fstatSync(fd).size, 11);
+            nfs.closeSync(fd);
+
+            assert.throws(() => nfs.openSync('/f', 'wx'), (err) => err.code === 'EEXIST');
+            assert.throws(() => nfs.closeSync(fd), (err) => err.code === 'EBADF' && err.syscall === 'close');
+        });
+
+        QUnit.test("errors", function (assert) {
+            const nfs = this.nodeFs;
+            assert.throws(() => nfs.readFileSync('/a/nope'), (err) => {
+                return err.code === 'ENOENT'
+                    && err.syscall === 'open'
+                    && err.path === '/a/nope'
+                    && err.errno === -2
+                    && err.message === "ENOENT: no such file or directory, open '/a/nope'"
+                    && err.cause instanceof FsError;
+            });
+            nfs.mkdirSync('/d');
+            nfs.writeFileSync('/d/f', "");
+            assert.throws(() => nfs.mkdirSync('/d'), (err) => err.code === 'EEXIST' && err.syscall === 'mkdir');
+            assert.throws(() => nfs.readdirSync('/d/f'), (err) => err.code === 'ENOTDIR' && err.syscall === 'scandir');
+            assert.throws(() => nfs.rmdirSync('/d'), (err) => err.code === 'ENOTEMPTY');
+        });
+    });
+
+    QUnit.module("promises", function (hooks) {
+        hooks.beforeEach(function () {
+            this.promises = new FsPromises(this.fs);
+        });
+
+        QUnit.test("paths", async function (assert) {
+            const p = this.promises;
+            assert.strictEqual(await p.mkdir('/a/b', { recursive: true }), '/a');
+            await p.writeFile('/a/b/f', "hello");
+            assert.strictEqual(await p.readFile('/a/b/f', 'utf8'), "hello");
+            assert.strictEqual((await p.stat('/a/b/f')).size, 5);
+            await p.rename('/a/b/f', '/a/g');
+            assert.deepEqual((await p.readdir('/a')).sort(), ['b', 'g']);
+            await p.rm('/a', { recursive: true });
+            await assert.rejects(p.stat('/a'), (err) => err.code === 'ENOENT' && err.syscall === 'stat');
+        });
+
+        QUnit.test("file handle", async function (assert) {
+            const fh = await this.promises.open('/f', 'w+');
+            assert.strictEqual((await fh.write(new TextEncoder().encode("hello world"))).bytesWritten, 11);
+            await fh.write("HELLO", 0);
+
+            const { bytesRead, buffer } = await fh.read(new Uint8Array(5), 0, 5, 6);
+            assert.strictEqual(bytesRead, 5);
+            assert.strictEqual(new TextDecoder().decode(buffer), "world");
+            assert.strictEqual((await fh.stat()).size, 11);
+
+            await fh.truncate();
+            await fh.writeFile("bye");
+            assert.strictEqual((await fh.stat()).size, 3);
+            await fh.close();
+            await assert.rejects(fh.close(), (err) => err.code === 'EBADF');
+        });
+
+        QUnit.test("concurrent callers are serialised", async function (assert) {
+            const p = this.promises;
+            await p.writeFile('/f', "0123456789");
+            const fh = await p.open('/f', 'r');
+
+            // positional reads issued together don't disturb each other or
+            // the handle's own position
+            const reads = await Promise.all([0, 2, 4, 6, 8].map((position) => {
+                return fh.read(new Uint8Array(2), 0, 2, position);
+            }));
+            assert.deepEqual(reads.map((r) => new TextDecoder().decode(r.buffer)), ['01', '23', '45', '67', '89']);
+            assert.strictEqual(await fh.readFile('utf8'), "0123456789");
+
+            // a failed operation doesn't stall the queue
+            const results = await Promise.allSettled([p.stat('/nope'), p.readFile('/f', 'utf8')]);
+            assert.strictEqual(results[0].status, 'rejected');
+            assert.strictEqual(results[1].value, "0123456789");
+            await fh.close();
+        });
+    });
+
+    QUnit.module("wasi", function (hooks) {
+        hooks.beforeEach(function () {
+            const memory = new WebAssembly.Memory({ initial: 1 });
+            const stdout = [];
+            this.wasi = new Wasi(this.fs, { args: ['prog', 'x'], env: { A: '1' }, stdout: (bytes) => stdout.push(...bytes) });
+            this.api = this.wasi.imports.wasi_snapshot_preview1;
+            this.stdout = stdout;
+            this.view = new DataView(memory.buffer);
+            this.bytes = new Uint8Array(memory.buffer);
+            this.wasi.initialize({ exports: { memory } });
+
+            // write str at ptr, returning [ptr, len]
+            this.str = (ptr, str) => {
+                const bytes = new TextEncoder().encode(str);
+                this.bytes.set(bytes, ptr);
+                return [ptr, bytes.length];
+            };
+            // write iovec for [bufPtr, len] at ptr
+            this.iov = (ptr, bufPtr, len) => {
+                this.view.setUint32(ptr, bufPtr, true);
+                this.view.setUint32(ptr + 4, len, true);
+                return ptr;
+            };
+        });
+
+        const PreopenFd = 3;
+        const Rights = (1n << 1n) | (1n << 6n);
+
+        QUnit.test("files", function (assert) {
+            const { api, view } = this;
+
+            assert.strictEqual(api.fd_prestat_get(PreopenFd, 0), 0);
+            assert.strictEqual(view.getUint32(4, true), 1, "preopen name length");
+            assert.strictEqual(api.fd_prestat_get(4, 0), Errno.BADF);
+
+            assert.strictEqual(api.path_create_directory(PreopenFd, ...this.str(100, "dir")), 0);
+            assert.strictEqual(api.path_open(PreopenFd, 0, ...this.str(100, "dir/f.txt"), 1, Rights, 0n, 0, 200), 0);
+            const fd = view.getUint32(200, true);
+
+            this.str(300, "hello world");
+            assert.strictEqual(api.fd_write(fd, this.iov(400, 300, 11), 1, 204), 0);
+            assert.strictEqual(view.getUint32(204, true), 11);
+
+            assert.strictEqual(api.fd_seek(fd, 6n, 0, 208), 0);
+            assert.strictEqual(view.getBigUint64(208, true), 6n);
+            assert.strictEqual(api.fd_read(fd, this.iov(400, 500, 64), 1, 204), 0);
+            assert.strictEqual(view.getUint32(204, true), 5);
+            assert.strictEqual(new TextDecoder().decode(this.bytes.subarray(500, 505)), "world");
+
+            assert.strictEqual(api.fd_pread(fd, this.iov(400, 500, 5), 1, 0n, 204), 0);
+            assert.strictEqual(new TextDecoder().decode(this.bytes.subarray(500, 505)), "hello");
+            assert.strictEqual(api.fd_tell(fd, 208), 0);
+            assert.strictEqual(view.getBigUint64(208, true), 11n, "pread doesn't move the file position");
+
+            assert.strictEqual(api.fd_filestat_get(fd, 600), 0);
+            assert.strictEqual(view.getUint8(616), 4, "regular file");
+            assert.strictEqual(view.getBigUint64(632, true), 11n);
+
+            // writing past the end fills the gap with zeros
+            this.str(300, "!");
+            assert.strictEqual(api.fd_pwrite(fd, this.iov(400, 300, 1), 1, 13n, 204), 0);
+            assert.strictEqual(view.getUint32(204, true), 1);
+            assert.strictEqual(api.fd_tell(fd, 208), 0);
+            assert.strictEqual(view.getBigUint64(208, true), 11n, "pwrite doesn't move the file position");
+
+            assert.strictEqual(api.fd_close(fd), 0);
+            assert.strictEqual(api.fd_close(fd), Errno.BADF);
+            assert.strictEqual(this.fs.readText(this.fs.lookup(this.fs.lookup(0, 'dir'), 'f.txt')), "hello world\0\0!");
+        });
+
+        QUnit.test("renumber", function (assert) {
+            const { api, view } = this;
+            this.fs.writeText(0, 'a', "a");
+            this.fs.writeText(0, 'b', "b");
+            const open = (name) => {
+                assert.strictEqual(api.path_open(PreopenFd, 0, ...this.str(100, name), 0, Rights, 0n, 0, 200), 0);
+                return view.getUint32(200, true);
+            };
+            const read = (fd) => {
+                assert.strictEqual(api.fd_pread(fd, this.iov(400, 500, 1), 1, 0n, 204), 0);
+                return String.fromCharCode(this.bytes[500]);
+            };
+
+            const a = open('a');
+            const b = open('b');
+            assert.strictEqual(api.fd_renumber(a, a), 0);
+            assert.strictEqual(read(a), "a", "renumbering to itself keeps the fd open");
+
+            assert.strictEqual(api.fd_renumber(a, b), 0);
+            assert.strictEqual(read(b), "a");
+            assert.strictEqual(api.fd_close(a), Errno.BADF);
+            assert.strictEqual(api.fd_renumber(b, 99), Errno.BADF);
+            assert.strictEqual(api.fd_close(b), 0);
+        });
+
+        QUnit.test("directories", function (assert) {
+            const { api, view } = this;
+            this.fs.mkdir(0, 'a');
+            this.fs.writeText(0, 'b', "");
+
+            assert.strictEqual(api.fd_readdir(PreopenFd, 1000, 4096, 0n, 200), 0);
+            const used = view.getUint32(200, true);
+            const names = [];
+            for (let ptr = 1000; ptr < 1000 + used;) {
+                const len = view.getUint32(ptr + 16, true);
+                names.push([new TextDecoder().decode(this.bytes.subarray(ptr + 24, ptr + 24 + len)), view.getUint8(ptr + 20)]);
+                ptr += 24 + len;
+            }
+            assert.deepEqual(names.sort(), [['a', 3], ['b', 4]]);
+
+            assert.strictEqual(api.path_open(PreopenFd, 0, ...this.str(100, "a"), 2, Rights, 0n, 0, 200), 0);
+            const dirFd = view.getUint32(200, true);
+            assert.strictEqual(api.path_open(dirFd, 0, ...this.str(100, "../b"), 0, Rights, 0n, 0, 200), 0, "paths resolve relative to the directory fd");
+            assert.strictEqual(api.path_open(PreopenFd, 0, ...this.str(100, "b"), 2, Rights, 0n, 0, 200), Errno.NOTDIR);
+
+            assert.strictEqual(api.path_rename(PreopenFd, ...this.str(100, "b"), dirFd, ...this.str(200, "c")), 0);
+            assert.ok(this.fs.exists(this.fs.lookup(0, 'a'), 'c'));
+            assert.strictEqual(api.path_remove_directory(PreopenFd, ...this.str(100, "a")), Errno.NOTEMPTY);
+            assert.strictEqual(api.path_unlink_file(dirFd, ...this.str(100, "c")), 0);
+            assert.strictEqual(api.path_remove_directory(PreopenFd, ...this.str(100, "a")), 0);
+            assert.strictEqual(api.path_filestat_get(PreopenFd, 0, ...this.str(100, "a"), 600), Errno.NOENT);
+        });
+
+        QUnit.test("args, stdio and exit", function (assert) {
+            const { api, view } = this;
+            assert.strictEqual(api.args_sizes_get(0, 4), 0);
+            assert.strictEqual(view.getUint32(0, true), 2);
+            assert.strictEqual(view.getUint32(4, true), 7);
+            api.args_get(100, 200);
+            assert.strictEqual(new TextDecoder().decode(this.bytes.subarray(view.getUint32(104, true), 206)), "x");
+
+            api.environ_sizes_get(0, 4);
+            assert.strictEqual(view.getUint32(4, true), 4);
+
+            this.str(300, "out\n");
+            api.fd_write(1, this.iov(400, 300, 4), 1, 204);
+            assert.strictEqual(new TextDecoder().decode(new Uint8Array(this.stdout)), "out\n");
+
+            const memory = new WebAssembly.Memory({ initial: 1 });
+            const code = this.wasi.start({ exports: { memory, _start: () => api.proc_exit(3) } });
+            assert.strictEqual(code, 3);
+        });
+    });
+
+    QUnit.module("emscripten backend", function (hooks) {
+        // just enough of Emscripten's FS object for the backend
+        class ErrnoError extends Error {
+            constructor(errno) {
+                super(`errno ${errno}`);
+                this.errno = errno;
+            }
+        }
+        const FS = {
+            ErrnoError,
+            isDir: (mode) => (mode & 0o170000) === 0o40000,
+            isFile: (mode) => (mode & 0o170000) === 0o100000,
+            createNode(parent, name, mode) {
+                const node = { parent, name, mode };
+                if (!parent) node.parent = node;
+                return node;
+            },
+            lookupNode() { throw new ErrnoError(Errno.NOENT); },
+            hashRemoveNode() {},
+        };
+
+        hooks.beforeEach(function () {
+            this.backend = createZigFsBackend(FS);
+            this.root = this.backend.mount({ opts: { fs: this.fs } });
+        });
+
+        QUnit.test("nodes", function (assert) {
+            const { root } = this;
+            assert.strictEqual(root.id, 0);
+            assert.throws(() => root.node_ops.lookup(root, 'nope'), (err) => err instanceof ErrnoError && err.errno === Errno.NOENT);
+
+            const dir = root.node_ops.mknod(root, 'dir', 0o40755, 0);
+            const file = root.node_ops.mknod(dir, 'f', 0o100755, 0);
+            assert.strictEqual(file.id, this.fs.lookup(dir.id, 'f'), "node ids are inode pointers");
+            assert.ok(this.fs.stat(file.id).isExecutable);
+            assert.deepEqual(root.node_ops.readdir(dir), ['.', '..', 'f']);
+            assert.ok(root.node_ops.lookup(root, 'dir').node_ops);
+
+            assert.throws(() => root.node_ops.rmdir(root, 'dir'), (err) => err.errno === Errno.NOTEMPTY);
+            root.node_ops.rename(file, root, 'g');
+            assert.strictEqual(file.parent, root);
+            assert.strictEqual(this.fs.lookup(0, 'g'), file.id);
+            root.node_ops.unlink(root, 'g');
+            root.node_ops.rmdir(root, 'dir');
+            assert.deepEqual(root.node_ops.readdir(root), ['.', '..']);
+        });
+
+        QUnit.test("streams", function (assert) {
+            const { root } = this;
+            const file = root.node_ops.mknod(root, 'f', 0o100644, 0);
+            const stream = { node: file, flags: 0o2, position: 0 };
+            file.stream_ops.open(stream);
+
+            const data = new TextEncoder().encode("hello");
+            assert.strictEqual(file.stream_ops.write(stream, data, 0, 5, 0), 5);
+            assert.strictEqual(file.stream_ops.write(stream, data, 0, 5, 10), 5, "writes past the end fill with zeros");
+            assert.strictEqual(file.node_ops.getattr(file).size, 15);
+            assert.strictEqual(file.stream_ops.llseek(stream, -5, 2), 10);
+
+            const buf = new Uint8Array(20);
+            assert.strictEqual(file.stream_ops.read(stream, buf, 0, 20, 3), 12);
+            assert.deepEqual(Array.from(buf.subarray(0, 12)), [108, 111, 0, 0, 0, 0, 0, 104, 101, 108, 108, 111]);
+            assert.strictEqual(file.stream_ops.read(stream, buf, 0, 20, 15), 0);
+            file.stream_ops.close(stream);
+
+            // the access mode decides the open flags
+            const opened = [];
+            const fs = new Proxy(this.fs, {
+                get(target, prop) {
+                    if (prop === 'open') return (inode, flags) => { opened.push(flags); return target.open(inode, flags); };
+                    const value = target[prop];
+                    return (typeof value === 'function') ? value.bind(target) : value;
+                }
+            });
+            const proxiedRoot = this.backend.mount({ opts: { fs } });
+            const proxied = proxiedRoot.node_ops.lookup(proxiedRoot, 'f');
+            for (const flags of [0o0, 0o1, 0o2, 0o1 | 0o100 | 0o1000]) {
+                const s = { node: proxied, flags, position: 0 };
+                proxied.stream_ops.open(s);
+                proxied.stream_ops.close(s);
+            }
+            assert.deepEqual(opened, [OpenFlags.READ, OpenFlags.WRITE, OpenFlags.READ | OpenFlags.WRITE, OpenFlags.WRITE]);
+
+            file.node_ops.setattr(file, { size: 0, mode: 0o100755 });
+            assert.strictEqual(this.fs.stat(file.id).size, 0);
+            assert.ok(this.fs.stat(file.id).isExecutable);
+            assert.throws(() => file.node_ops.setattr(file, { size: 3 }), (err) => err.errno === Errno.NOTSUP);
+        });
+    });
+
+    QUnit.module("git", function () {
+        QUnit.test("long names", async function (assert) {
+            const gitFs = createGitFs(this.fs).promises;
+            const name = "0123456789abcdef0123456789abcdef01234567";
+            assert.ok(encodeName(name).length > 1);
+            assert.deepEqual(encodeName("short"), ["short"]);
+
+            await gitFs.mkdir('/objects');
+            await gitFs.writeFile(`/objects/${name}`, "data");
+            await gitFs.writeFile('/objects/x', "");
+            assert.deepEqual((await gitFs.readdir('/objects')).sort(), [name, 'x']);
+            assert.strictEqual(await gitFs.readFile(`/objects/${name}`, 'utf8'), "data");
+            assert.ok((await gitFs.stat(`/objects/${name}`)).isFile());
+
+            await gitFs.unlink(`/objects/${name}`);
+            await gitFs.unlink('/objects/x');
+            assert.deepEqual(await gitFs.readdir('/objects'), [], "directory chain is removed");
+            await gitFs.rmdir('/objects');
+
+            await assert.rejects(gitFs.readFile(`/nope/${name}`), (err) => err.code === 'ENOENT' && err.path === `/nope/${name}`);
+            await assert.rejects(gitFs.writeFile(`/nope/${name}`, ""), (err) => err.code === 'ENOENT');
+            await gitFs.mkdir('/d');
+            await assert.rejects(gitFs.mkdir('/d'), (err) => err.code === 'EEXIST');
+        });
+
+        QUnit.test("init, add and commit", async function (assert) {
+            // isomorphic-git is vendored in browser/ and loaded by test.htm
+            const { git } = globalThis;
+            const gitFs = createGitFs(this.fs);
+            const dir = '/repo';
+
+            // copy the fixture working tree in
+            for (const [path, mode] of Object.entries(GitFixture)) {
+                const res = await fetch(new URL(`fixtures/git-repo/${path}`, import.meta.url));
+                const data = new Uint8Array(await res.arrayBuffer());
+                await gitFs.promises.mkdir(`${dir}/${path}`.replace(/\/[^/]+$/, ''), { recursive: true });
+                await gitFs.promises.writeFile(`${dir}/${path}`, data, { mode });
+            }
+            const src = new PathFileSystem(this.fs).resolve('/repo/src');
+
+            await git.init({ fs: gitFs, dir, defaultBranch: 'main' });
+            await git.add({ fs: gitFs, dir, filepath: '.' });
+            const oid = await git.commit({
+                fs: gitFs,
+                dir,
+                message: "initial commit",
+                author: { name: "Test", email: "test@example.com", timestamp: 1700000000, timezoneOffset: 0 },
+            });
+
+            const log = await git.log({ fs: gitFs, dir });
+            assert.strictEqual(log.length, 1);
+            assert.strictEqual(log[0].oid, oid);
+            assert.strictEqual(log[0].commit.message, "initial commit\n");
+
+            const files = await git.listFiles({ fs: gitFs, dir });
+            assert.deepEqual(files.sort(), ['README.md', 'src/main.lua', 'src/run.sh']);
+
+            const status = await git.statusMatrix({ fs: gitFs, dir });
+            assert.ok(status.every(([, head, workdir, stage]) => head === 1 && workdir === 1 && stage === 1), "working tree is clean");
+
+            const { tree } = await git.readTree({ fs: gitFs, dir, oid, filepath: 'src' });
+            assert.strictEqual(tree.find((e) => e.path === 'run.sh').mode, '100755');
+
+            this.fs.writeText(src, 'main.lua', "print('bye')\n");
+            assert.strictEqual(await git.status({ fs: gitFs, dir, filepath: 'src/main.lua' }), '*modified');
+        });
+    });
+
+    QUnit.module("path operations", function (hooks) {
+        hooks.beforeEach(function () {
+            this.pfs = new PathFileSystem(this.fs);
+        });
+
+        QUnit.test("normalizePath", function (assert) {
+            assert.strictEqual(normalizePath(""), "/");
+            assert.strictEqual(normalizePath("/"), "/");
+            assert.strictEqual(normalizePath("a//b/./c/"), "/a/b/c");
+            assert.strictEqual(normalizePath("/a/b/../c"), "/a/c");
+            assert.strictEqual(normalizePath("/../../a"), "/a");
+        });
+
+        QUnit.test("mkdir (recursive) / stat / readdir", function (assert) {
+            const pfs = this.pfs;
+
+            const inode = pfs.mkdir("/a/b/c", { recursive: true });
+            assert.strictEqual(pfs.resolve("/a//b/./c"), inode);
+            assert.strictEqual(pfs.mkdir("/a/b/c", { recursive: true }), inode, "recursive mkdir of existing dir is a no-op");
+            assert.ok(pfs.stat("/a/b/../b/c").isDir);
+
+            pfs.mkdir("/a/d");
+            assert.deepEqual(pfs.readdir("/a").map((e) => e.name).sort(), ["b", "d"]);
+            assert.deepEqual(pfs.readdir("/a/b/c"), []);
+        });
+
+        QUnit.test("open", function (assert) {
+            const pfs = this.pfs;
+            pfs.mkdir("/dir");
+
+            const fd = pfs.open("/dir/file", OpenFlags.CREATE);
+            this.fs.write(fd, stringBytes("hello"));
+            this.fs.close(fd);
+
+            assert.strictEqual(pfs.stat("/dir/file").size, 5);
+            assert.strictEqual(dumpFileToString(this.fs, pfs.resolve("dir/file")), "hello");
+        });
+
+        QUnit.test("unlink / rmdir", function (assert) {
+            const pfs = this.pfs;
+            pfs.mkdir("/a/b", { recursive: true });
+            this.fs.close(pfs.open("/a/b/file", OpenFlags.CREATE));
+
+            pfs.unlink("/a/b/file");
+            assert.notOk(pfs.exists("/a/b/file"));
+            pfs.rmdir("/a/b");
+            assert.notOk(pfs.exists("/a/b"));
+            assert.ok(pfs.exists("/a"));
+        });
+
+        QUnit.test("errors report full path", function (assert) {
+            const pfs = this.pfs;
+            pfs.mkdir("/a");
+            this.fs.close(pfs.open("/a/file", OpenFlags.CREATE));
+
+            const expectError = (code, op, path, fn) => {
+                assert.throws(fn, (err) => err instanceof FsError && err.code === code && err.op === op && err.args.path === path, `${op} ${path} raises ${code}`);
+            };
+
+            expectError(E.NOENT, 'stat', '/a/missing/x', () => pfs.stat("a/missing//x"));
+            expectError(E.NOTDIR, 'stat', '/a/file/x', () => pfs.stat("/a/file/x"));
+            expectError(E.NOTDIR, 'mkdir', '/a/file/x', () => pfs.mkdir("/a/file/x", { recursive: true }));
+            expectError(E.NOENT, 'mkdir', '/b/c', () => pfs.mkdir("/b/c"));
+            expectError(E.EXIST, 'mkdir', '/a', () => pfs.mkdir("/a"));
+            expectError(E.NOENT, 'open', '/a/nope', () => pfs.open("/a/nope"));
+            expectError(E.NOENT, 'unlink', '/a/nope', () => pfs.unlink("/a/nope"));
+        });
+    });
 }
 
 // tests that only apply to the real filesystem implementation
@@ -445,4 +1694,594 @@ function runZigTests() {
 
         this.fs.close(fh);
     });
+    QUnit.test("export and import image", async function (assert) {
+        const bridge = this.bridge;
+        this.fs.writeText(0, 'f', "hello");
+
+        const image = bridge.exportImage(this.blockDeviceId);
+        assert.strictEqual(image.length, DiskSize);
+
+        const chunks = [];
+        for await (const chunk of bridge.exportImageStream(this.blockDeviceId, { blocksPerChunk: 1000 })) {
+            chunks.push(chunk);
+        }
+        assert.strictEqual(chunks.length, Math.ceil(BlockCount / 1000));
+        assert.ok(chunks.every((chunk, i) => chunk.every((b, j) => b === image[i * 1000 * BlockSize + j])), "stream matches image");
+
+        const deviceId = bridge.importImage(image, BlockSize);
+        assert.deepEqual(bridge.blockDeviceInfo(deviceId), { blockSize: BlockSize, blockCount: BlockCount });
+        const fsId = bridge.initFS(deviceId, this.config);
+        const copy = new FileSystem(bridge, fsId);
+        assert.strictEqual(copy.readText(copy.lookup(0, 'f')), "hello");
+        bridge.destroyFS(fsId);
+        bridge.destroyBlockDevice(deviceId);
+
+        assert.throws(() => bridge.importImage(image.subarray(1), BlockSize), (err) => err.code === E.ARG);
+
+        // a failed import doesn't leave the device behind
+        const created = [];
+        bridge.createBlockDevice = (...args) => {
+            created.push(fs.Bridge.prototype.createBlockDevice.apply(bridge, args));
+            return created.at(-1);
+        };
+        bridge.writeBlock = () => {
+            throw new FsError(E.INTERNAL, 'writeBlock');
+        };
+        try {
+            assert.throws(() => bridge.importImage(image, BlockSize), (err) => err.code === E.INTERNAL);
+        } finally {
+            delete bridge.createBlockDevice;
+            delete bridge.writeBlock;
+        }
+        assert.strictEqual(created.length, 1);
+        assert.throws(() => bridge.blockDeviceInfo(created[0]), "the device was destroyed");
+    });
+    QUnit.test("mkfs and mount", function (assert) {
+        const bridge = this.bridge;
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+
+        const sb = bridge.mkfs(deviceId, { label: "scratch" });
+        assert.strictEqual(sb.blockSize, BlockSize);
+        assert.strictEqual(sb.blockCount, BlockCount);
+        assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(sb.uuid));
+
+        const fsId = bridge.mount(deviceId);
+        const fs = new FileSystem(bridge, fsId);
+        fs.writeText(0, 'f', "hello");
+        bridge.destroyFS(fsId);
+
+        // the superblock survives a round trip through an image
+        const copyId = bridge.importImage(bridge.exportImage(deviceId), BlockSize);
+        const copySb = bridge.readSuperblock(copyId);
+        assert.strictEqual(copySb.label, "scratch");
+        assert.strictEqual(copySb.uuid, sb.uuid);
+        const copyFsId = bridge.mount(copyId);
+        const copy = new FileSystem(bridge, copyFsId);
+        assert.strictEqual(copy.readText(copy.lookup(0, 'f')), "hello");
+        bridge.destroyFS(copyFsId);
+
+        assert.throws(() => bridge.mkfs(copyId, { label: "x".repeat(33) }), (err) => err.code === E.NAMETOOLONG);
+        assert.strictEqual(bridge.readSuperblock(copyId).label, "scratch", "failed mkfs leaves the device untouched");
+
+        bridge.destroyBlockDevice(copyId);
+        bridge.destroyBlockDevice(deviceId);
+    });
+    QUnit.test("mkfs without crypto.randomUUID", function (assert) {
+        const bridge = this.bridge;
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+
+        // as in pages that aren't a secure context
+        crypto.randomUUID = undefined;
+        try {
+            const { uuid } = bridge.mkfs(deviceId);
+            assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(uuid));
+            assert.strictEqual(bridge.readSuperblock(deviceId).uuid, uuid);
+        } finally {
+            delete crypto.randomUUID;
+        }
+
+        bridge.destroyBlockDevice(deviceId);
+    });
+    QUnit.test("volume image round trip", async function (assert) {
+        const bridge = this.bridge;
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+        bridge.mkfs(deviceId, { label: "vol" });
+        const fsId = bridge.mount(deviceId);
+        const fs = new FileSystem(bridge, fsId);
+        fs.writeText(0, 'f', "hello");
+        bridge.destroyFS(fsId);
+
+        const created = new Date(2024, 0, 1);
+        const container = new Uint8Array(await new Response(writeVolumeImage(bridge, deviceId, { created })).arrayBuffer());
+        assert.ok(container.length < DiskSize / 10, "container is sparse and compressed");
+
+        // stream the container in small pieces
+        const source = new Blob([container]).stream().pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                for (let i = 0; i < chunk.length; i += 7) controller.enqueue(chunk.subarray(i, i + 7));
+            }
+        }));
+        const image = await readVolumeImage(bridge, source);
+        assert.strictEqual(image.blockSize, BlockSize);
+        assert.strictEqual(image.blockCount, BlockCount);
+        assert.strictEqual(image.label, "vol");
+        assert.strictEqual(image.created.getTime(), created.getTime());
+        assert.deepEqual(bridge.exportImage(image.deviceId), bridge.exportImage(deviceId));
+
+        const copyId = bridge.initFS(image.deviceId, image.config);
+        const copy = new FileSystem(bridge, copyId);
+        assert.strictEqual(copy.readText(copy.lookup(0, 'f')), "hello");
+        bridge.destroyFS(copyId);
+
+        for (const blocksPerChunk of [0, -1, 1.5, NaN]) {
+            assert.throws(() => writeVolumeImage(bridge, deviceId, { blocksPerChunk }), (err) => err.code === E.ARG);
+        }
+
+        bridge.destroyBlockDevice(image.deviceId);
+        bridge.destroyBlockDevice(deviceId);
+    });
+    QUnit.test("volume image corruption is detected", async function (assert) {
+        const bridge = this.bridge;
+        const pipe = async (bytes, transform) => new Uint8Array(
+            await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+        );
+        const compress = (bytes) => pipe(bytes, new CompressionStream('gzip'));
+        const container = await new Response(writeVolumeImage(bridge, this.blockDeviceId, { config: this.config })).arrayBuffer();
+        const raw = await pipe(container, new DecompressionStream('gzip'));
+
+        const flipped = raw.slice();
+        flipped[100] ^= 1;
+        await assert.rejects(readVolumeImage(bridge, await compress(flipped)), (err) => err.code === E.CORRUPT, "block contents");
+
+        const digest = raw.slice();
+        digest[digest.length - 1] ^= 1;
+        await assert.rejects(readVolumeImage(bridge, await compress(digest)), (err) => err.code === E.CORRUPT, "digest");
+
+        await assert.rejects(readVolumeImage(bridge, await compress(raw.subarray(0, raw.length - 1))), (err) => err.code === E.CORRUPT, "truncated");
+    });
+    QUnit.test("persistent device", async function (assert) {
+        const bridge = this.bridge;
+        const storage = new MemoryStorage();
+
+        const dev = await PersistentDevice.open(bridge, storage, 'vol', { blockSize: BlockSize, blockCount: BlockCount });
+        assert.ok(dev.created);
+        bridge.mkfs(dev.deviceId);
+        let fsId = bridge.mount(dev.deviceId);
+        let fs = new FileSystem(bridge, fsId);
+        fs.writeText(0, 'f', "hello");
+        assert.ok(dev.dirty);
+        await dev.flush();
+        assert.notOk(dev.dirty);
+        assert.ok(storage.blockCount('vol') > 0);
+
+        fs.writeText(0, 'g', "world");
+        bridge.destroyFS(fsId);
+        await dev.close();
+        const image = bridge.exportImage(dev.deviceId);
+        bridge.destroyBlockDevice(dev.deviceId);
+
+        // geometry comes from storage
+        const reopened = await PersistentDevice.open(bridge, storage, 'vol');
+        assert.notOk(reopened.created);
+        assert.deepEqual(bridge.blockDeviceInfo(reopened.deviceId), { blockSize: BlockSize, blockCount: BlockCount });
+        assert.notOk(reopened.dirty, "rehydrating doesn't mark blocks dirty");
+        assert.deepEqual(bridge.exportImage(reopened.deviceId), image);
+
+        fsId = bridge.mount(reopened.deviceId);
+        fs = new FileSystem(bridge, fsId);
+        assert.strictEqual(fs.readText(fs.lookup(0, 'f')), "hello");
+        assert.strictEqual(fs.readText(fs.lookup(0, 'g')), "world");
+        bridge.destroyFS(fsId);
+        await reopened.close();
+        bridge.destroyBlockDevice(reopened.deviceId);
+    });
+    QUnit.test("persistent device batches writes", async function (assert) {
+        const bridge = this.bridge;
+        const writes = [];
+        const storage = new MemoryStorage();
+        const writeBlocks = storage.writeBlocks.bind(storage);
+        storage.writeBlocks = (volume, entries) => {
+            writes.push(entries.map(([block]) => block));
+            return writeBlocks(volume, entries);
+        };
+
+        const dev = await PersistentDevice.open(bridge, storage, 'vol', { blockSize: BlockSize, blockCount: 16, delay: 10 });
+        const block = new Uint8Array(BlockSize).fill(1);
+        bridge.writeBlock(dev.deviceId, 1, block);
+        bridge.writeBlock(dev.deviceId, 2, block);
+        bridge.writeBlock(dev.deviceId, 1, block);
+        assert.deepEqual(writes, [], "writes are debounced");
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        assert.deepEqual(writes, [[1, 2]]);
+
+        // zeroed blocks are removed from storage
+        bridge.zeroBlock(dev.deviceId, 2);
+        await dev.close();
+        assert.strictEqual(storage.blockCount('vol'), 1);
+
+        bridge.destroyBlockDevice(dev.deviceId);
+    });
+    QUnit.test("persistent device on IndexedDB", async function (assert) {
+        if (!globalThis.indexedDB) {
+            assert.expect(0);
+            return;
+        }
+        const bridge = this.bridge;
+        const idb = await IndexedDbStorage.open(TestDbName);
+        const calls = [];
+        const storage = new Proxy(idb, {
+            get(target, prop) {
+                const value = target[prop];
+                if (typeof value !== 'function') return value;
+                return (...args) => { calls.push(prop); return value.apply(target, args); };
+            }
+        });
+
+        try {
+            const dev = await PersistentDevice.open(bridge, storage, 'vol', { blockSize: BlockSize, blockCount: BlockCount });
+            bridge.mkfs(dev.deviceId);
+            const fsId = bridge.mount(dev.deviceId);
+            new FileSystem(bridge, fsId).writeText(0, 'f', "hello");
+            bridge.destroyFS(fsId);
+            await dev.close();
+            assert.deepEqual(calls.filter((op) => op !== 'getMeta').slice(0, 2), ['putMeta', 'writeBlocks'], "meta is stored before any blocks");
+            const image = bridge.exportImage(dev.deviceId);
+            bridge.destroyBlockDevice(dev.deviceId);
+
+            const reopened = await PersistentDevice.open(bridge, idb, 'vol');
+            assert.notOk(reopened.created);
+            assert.deepEqual(bridge.exportImage(reopened.deviceId), image);
+            await reopened.close();
+            bridge.destroyBlockDevice(reopened.deviceId);
+
+            await idb.deleteVolume('vol');
+            assert.strictEqual(await idb.getMeta('vol'), undefined);
+        } finally {
+            idb.close();
+            await deleteTestDb();
+        }
+    });
+    QUnit.test("persistent device retries failed writes", async function (assert) {
+        const bridge = this.bridge;
+        const storage = new MemoryStorage();
+        const writeBlocks = storage.writeBlocks.bind(storage);
+        let failures = 2;
+        storage.writeBlocks = (volume, entries) => {
+            if (failures > 0) {
+                failures--;
+                return Promise.reject(new Error("quota exceeded"));
+            }
+            return writeBlocks(volume, entries);
+        };
+
+        const errors = [];
+        const dev = await PersistentDevice.open(bridge, storage, 'vol', {
+            blockSize: BlockSize, blockCount: 16, delay: 5, onError: (err) => errors.push(err),
+        });
+        bridge.writeBlock(dev.deviceId, 1, new Uint8Array(BlockSize).fill(1));
+
+        // fails after 5ms, then 10ms later, then succeeds 20ms after that
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.strictEqual(errors.length, 2);
+        assert.notOk(dev.dirty);
+        assert.strictEqual(storage.blockCount('vol'), 1);
+
+        await dev.close();
+        bridge.destroyBlockDevice(dev.deviceId);
+    });
+    QUnit.test("persistent device needs a geometry to create a volume", async function (assert) {
+        const bridge = this.bridge;
+        const storage = new MemoryStorage();
+
+        await assert.rejects(PersistentDevice.open(bridge, storage, 'vol'), (err) => err.code === E.ARG);
+        await assert.rejects(PersistentDevice.open(bridge, storage, 'vol', { blockSize: BlockSize }), (err) => err.code === E.ARG);
+        assert.strictEqual(await storage.getMeta('vol'), undefined, "nothing is stored");
+
+        const dev = await PersistentDevice.open(bridge, storage, 'vol', { blockSize: BlockSize, blockCount: 16 });
+        assert.ok(dev.created);
+        await dev.close();
+        bridge.destroyBlockDevice(dev.deviceId);
+    });
+    QUnit.test("lazy device", async function (assert) {
+        const bridge = this.bridge;
+
+        // build an image to serve
+        const srcId = bridge.createBlockDevice(BlockSize, BlockCount);
+        bridge.mkfs(srcId);
+        const srcFsId = bridge.mount(srcId);
+        const srcFs = new FileSystem(bridge, srcFsId);
+        const big = "0123456789".repeat(1000);
+        srcFs.writeText(srcFs.mkdir(0, 'dir'), 'big', big);
+        srcFs.writeText(0, 'small', "hello");
+        bridge.destroyFS(srcFsId);
+        const image = bridge.exportImage(srcId);
+        bridge.destroyBlockDevice(srcId);
+
+        const zeroBlocks = [];
+        for (let blk = 0; blk < BlockCount; blk++) {
+            if (image.subarray(blk * BlockSize, (blk + 1) * BlockSize).every((b) => b === 0)) zeroBlocks.push(blk);
+        }
+
+        // stand-in for an HTTP server supporting range requests
+        const fetched = [];
+        const fetch = async (url, { headers }) => {
+            const [, first, last] = headers.Range.match(/^bytes=(\d+)-(\d+)$/).map(Number);
+            for (let b = first / BlockSize; b <= last / BlockSize; b++) fetched.push(Math.floor(b));
+            return new Response(image.slice(first, last + 1), { status: 206 });
+        };
+        const source = new HttpRangeSource("https://example.com/disk.img", { blockSize: BlockSize, fetch });
+
+        const dev = new LazyDevice(bridge, source, { blockSize: BlockSize, blockCount: BlockCount, zeroBlocks, readahead: 4 });
+        const lazy = await dev.mount();
+
+        assert.strictEqual(await lazy.readText(await lazy.lookup(0, 'small')), "hello");
+        const dir = await lazy.lookup(0, 'dir');
+        assert.deepEqual((await lazy.readdir(dir)).map((s) => s.name), ['big']);
+        assert.strictEqual(await lazy.readText(await lazy.lookup(dir, 'big')), big);
+        assert.notOk(fetched.some((blk) => zeroBlocks.includes(blk)), "zero blocks are never fetched");
+        assert.ok(dev.missingCount > 0, "only the blocks needed were fetched");
+
+        await lazy.mutate((fs) => fs.writeText(0, 'new', "world"));
+        assert.strictEqual(dev.missingCount, 0);
+        assert.strictEqual(await lazy.readText(await lazy.lookup(0, 'new')), "world");
+
+        bridge.destroyFS(lazy.fsId);
+        dev.close();
+        bridge.destroyBlockDevice(dev.deviceId);
+
+        // seeking past the indirect threshold leaves the indirect block to
+        // be read on the next read, which must fail cleanly and then succeed
+        const dev2 = new LazyDevice(bridge, source, { blockSize: BlockSize, blockCount: BlockCount, zeroBlocks, readahead: 1 });
+        const lazy2 = await dev2.mount();
+        const bigPtr = await lazy2.lookup(await lazy2.lookup(0, 'dir'), 'big');
+        const fd = await lazy2.run((fs) => fs.open(bigPtr, OpenFlags.READ));
+        const offset = IndirectThreshold + 100;
+        lazy2.fs.seek(fd, offset, 0);
+        const buf = new Uint8Array(20);
+        assert.throws(() => lazy2.fs.read(buf, fd), (err) => err.code === E.NOTREADY, "read fails until the indirect block is loaded");
+        assert.strictEqual(await lazy2.run((fs) => fs.read(buf, fd)), 20);
+        assert.strictEqual(new TextDecoder().decode(buf), big.slice(offset, offset + 20));
+        lazy2.fs.close(fd);
+
+        bridge.destroyFS(lazy2.fsId);
+        dev2.close();
+        bridge.destroyBlockDevice(dev2.deviceId);
+    });
+    QUnit.test("sync client", async function (assert) {
+        const bridge = this.bridge;
+
+        // the reference server's handler stands in for the network
+        const handler = createSyncHandler(new MemoryBlockStore());
+        let online = true;
+        const fetch = async (url, init) => {
+            if (!online) throw new TypeError("Failed to fetch");
+            return handler(new Request(url, init));
+        };
+        const url = "https://example.com/volumes/home";
+        const options = { fetch, delay: 10000, onError: () => {} };
+
+        const aId = bridge.createBlockDevice(BlockSize, BlockCount);
+        const a = new SyncClient(bridge, aId, url, options);
+        await a.connect();
+        bridge.mkfs(aId);
+        const aFsId = bridge.mount(aId);
+        const aFs = new FileSystem(bridge, aFsId);
+        aFs.writeText(0, 'f', "hello");
+        assert.ok(a.pending > 0);
+        await a.push();
+        assert.strictEqual(a.pending, 0);
+
+        // changes made while offline are queued
+        online = false;
+        aFs.writeText(0, 'g', "offline");
+        await assert.rejects(a.push(), (err) => err.code === E.NOTREADY);
+        assert.ok(a.offline);
+        assert.ok(a.pending > 0);
+        bridge.destroyFS(aFsId);
+        await assert.rejects(a.close(), (err) => err.code === E.NOTREADY);
+
+        // and pushed on resuming from the saved state
+        online = true;
+        const resumed = new SyncClient(bridge, aId, url, { ...options, state: JSON.parse(JSON.stringify(a.state)) });
+        await resumed.push();
+        assert.notOk(resumed.offline);
+        assert.strictEqual(resumed.pending, 0);
+        await resumed.close();
+
+        const bId = bridge.createBlockDevice(BlockSize, BlockCount);
+        const b = new SyncClient(bridge, bId, url, options);
+        await b.connect();
+        assert.strictEqual(b.pending, 0, "pulled blocks aren't pushed back");
+        assert.deepEqual(bridge.exportImage(bId), bridge.exportImage(aId));
+        const bFsId = bridge.mount(bId);
+        const bFs = new FileSystem(bridge, bFsId);
+        assert.strictEqual(bFs.readText(bFs.lookup(0, 'f')), "hello");
+        assert.strictEqual(bFs.readText(bFs.lookup(0, 'g')), "offline");
+        bridge.destroyFS(bFsId);
+        await b.close();
+
+        // the volume's geometry is fixed
+        const otherId = bridge.createBlockDevice(BlockSize, BlockCount / 2);
+        await assert.rejects(new SyncClient(bridge, otherId, url, options).connect(), (err) => err.code === E.EXIST);
+
+        bridge.destroyBlockDevice(otherId);
+        bridge.destroyBlockDevice(bId);
+        bridge.destroyBlockDevice(aId);
+    });
+    QUnit.test("sync conflicts", async function (assert) {
+        const bridge = this.bridge;
+        const handler = createSyncHandler(new MemoryBlockStore());
+        const fetch = async (url, init) => handler(new Request(url, init));
+        const url = "https://example.com/volumes/blocks";
+        const read = (deviceId, blk) => {
+            const block = new Uint8Array(BlockSize);
+            bridge.readBlock(block, deviceId, blk);
+            return block[0];
+        };
+
+        const aId = bridge.createBlockDevice(BlockSize, 8);
+        const bId = bridge.createBlockDevice(BlockSize, 8);
+        const a = new SyncClient(bridge, aId, url, { fetch, delay: 10000 });
+        const b = new SyncClient(bridge, bId, url, { fetch, delay: 10000, conflicts: 'local' });
+        await a.connect();
+        await b.connect();
+
+        // remote changes win for a
+        bridge.writeBlock(bId, 1, new Uint8Array(BlockSize).fill(2));
+        await b.push();
+        bridge.writeBlock(aId, 1, new Uint8Array(BlockSize).fill(1));
+        await a.push();
+        assert.strictEqual(read(aId, 1), 2);
+        assert.strictEqual(a.pending, 0);
+
+        // but not over a block changed again while the push was in flight
+        bridge.writeBlock(bId, 3, new Uint8Array(BlockSize).fill(2));
+        await b.push();
+        bridge.writeBlock(aId, 3, new Uint8Array(BlockSize).fill(1));
+        const pushing = a.push();
+        bridge.writeBlock(aId, 3, new Uint8Array(BlockSize).fill(3));
+        await pushing;
+        assert.strictEqual(read(aId, 3), 3);
+        assert.strictEqual(a.pending, 1);
+        await a.push();
+        assert.strictEqual(read(aId, 3), 2, "settled by the next push");
+        assert.strictEqual(a.pending, 0);
+
+        // local changes win for b
+        bridge.writeBlock(aId, 2, new Uint8Array(BlockSize).fill(1));
+        await a.push();
+        bridge.writeBlock(bId, 2, new Uint8Array(BlockSize).fill(2));
+        await b.push();
+        assert.strictEqual(b.pending, 1, "requeued with the remote version as base");
+        await b.push();
+        await a.pull();
+        assert.strictEqual(read(aId, 2), 2);
+
+        await a.close();
+        await b.close();
+        bridge.destroyBlockDevice(bId);
+        bridge.destroyBlockDevice(aId);
+    });
+    QUnit.test("replication", async function (assert) {
+        const bridge = this.bridge;
+        const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+        const [writerSocket, replicaSocket] = socketPair();
+
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+        bridge.mkfs(deviceId);
+        const fsId = bridge.mount(deviceId);
+        const fs = new FileSystem(bridge, fsId);
+        fs.writeText(0, 'f', "hello");
+
+        const errors = [];
+        const updates = [];
+        const source = new ReplicationSource(bridge, deviceId, writerSocket);
+        const replica = new Replica(bridge, replicaSocket, { onError: (err) => errors.push(err), onChange: (seq) => updates.push(seq) });
+        await settle();
+        assert.ok(replica.synced);
+        assert.deepEqual(bridge.exportImage(replica.deviceId), bridge.exportImage(deviceId));
+        assert.strictEqual(replica.readText(replica.lookup(0, 'f')), "hello");
+
+        // each run of changes arrives as one frame, and is then visible
+        fs.writeText(0, 'g', "world");
+        fs.mkdir(0, 'dir');
+        await settle();
+        assert.strictEqual(replica.seq, 1);
+        assert.strictEqual(updates.at(-1), 1);
+        assert.deepEqual(replica.readdir(0).map((s) => s.name).sort(), ['dir', 'f', 'g']);
+
+        // a lost frame is noticed at the next one, and resynced
+        writerSocket.drop = true;
+        fs.writeText(0, 'lost', "1");
+        await settle();
+        writerSocket.drop = false;
+        fs.writeText(0, 'after', "2");
+        await settle();
+        assert.ok(replica.synced);
+        assert.strictEqual(replica.seq, source.seq);
+        assert.strictEqual(replica.readText(replica.lookup(0, 'lost')), "1");
+        assert.strictEqual(replica.readText(replica.lookup(0, 'after')), "2");
+
+        // as is a frame meant for a device of another size
+        writerSocket.send(encodeFrame(FrameType.Blocks, {
+            seq: replica.seq + 1, blockSize: BlockSize, blockCount: BlockCount / 2,
+            blocks: [[1, new Uint8Array(BlockSize).fill(0xee)]],
+        }));
+        await settle();
+        assert.ok(replica.synced);
+        assert.deepEqual(bridge.exportImage(replica.deviceId), bridge.exportImage(deviceId));
+
+        // the replica is read-only; changes are refused up front
+        const isAccess = (err) => err.code === E.ACCESS;
+        assert.throws(() => replica.run((fs) => fs.writeText(0, 'local', "x")), isAccess);
+        assert.throws(() => replica.run((fs) => fs.mkdir(0, 'local')), isAccess);
+        assert.throws(() => replica.run((fs) => fs.openFile(replica.lookup(0, 'f'), OpenFlags.WRITE)), isAccess);
+        assert.strictEqual(replica.run((fs) => fs.readText(fs.lookup(0, 'f'))), "hello", "reading still works");
+        assert.strictEqual(errors.length, 0);
+
+        // and changes made to the device directly are reported and undone
+        bridge.writeBlock(replica.deviceId, 1, new Uint8Array(BlockSize).fill(0xff));
+        await settle();
+        assert.ok(errors.length > 0 && errors.every(isAccess));
+        assert.deepEqual(bridge.exportImage(replica.deviceId), bridge.exportImage(deviceId));
+
+        source.close();
+        replica.close();
+        assert.strictEqual(replica.deviceId, null);
+        bridge.destroyFS(fsId);
+        bridge.destroyBlockDevice(deviceId);
+    });
+    QUnit.test("replica re-requests lost snapshots", async function (assert) {
+        const bridge = this.bridge;
+        const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+        const [writerSocket, replicaSocket] = socketPair();
+
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+        bridge.mkfs(deviceId);
+        const fsId = bridge.mount(deviceId);
+        const fs = new FileSystem(bridge, fsId);
+
+        // the first snapshot is lost
+        writerSocket.drop = true;
+        const source = new ReplicationSource(bridge, deviceId, writerSocket);
+        const replica = new Replica(bridge, replicaSocket, { resyncTimeout: 50 });
+        await settle();
+        assert.notOk(replica.synced);
+
+        writerSocket.drop = false;
+        fs.writeText(0, 'f', "hello");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.ok(replica.synced);
+        assert.strictEqual(replica.readText(replica.lookup(0, 'f')), "hello");
+
+        source.close();
+        replica.close();
+        bridge.destroyFS(fsId);
+        bridge.destroyBlockDevice(deviceId);
+    });
+    QUnit.test("mount rejects invalid superblocks", function (assert) {
+        const bridge = this.bridge;
+        const isNoFs = (err) => err.code === E.NOFS;
+
+        // formatted without a superblock
+        assert.throws(() => bridge.mount(this.blockDeviceId), isNoFs);
+
+        // geometry doesn't match the device
+        const deviceId = bridge.createBlockDevice(BlockSize, BlockCount);
+        bridge.mkfs(deviceId);
+        const image = bridge.exportImage(deviceId);
+        const shortId = bridge.importImage(image.subarray(0, DiskSize / 2), BlockSize);
+        assert.throws(() => bridge.mount(shortId), isNoFs);
+
+        // corrupt magic
+        const block = new Uint8Array(BlockSize);
+        bridge.readBlock(block, deviceId, 0);
+        block[0] ^= 0xff;
+        bridge.writeBlock(deviceId, 0, block);
+        assert.throws(() => bridge.mount(deviceId), isNoFs);
+
+        bridge.destroyBlockDevice(shortId);
+        bridge.destroyBlockDevice(deviceId);
+    });
 }
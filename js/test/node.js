@@ -0,0 +1,613 @@
+// Tests for the Node-only parts of the library, run with scripts/test-node
+// (node --test). Everything else is covered by mock-fs.js in the browser.
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as http from 'node:http';
+import * as net from 'node:net';
+import { randomBytes } from 'node:crypto';
+import * as nodeFs from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { spawnSync } from 'node:child_process';
+import { load, Bridge } from '../bridge.js';
+import { FileDevice } from '../file-device.js';
+import { DiskBlockStore, listen as listenSync } from '../sync-server-node.js';
+import { createSyncHandler } from '../sync-server.js';
+import { listen as listenRelay } from '../replication-relay-node.js';
+import { encodeFrame, decodeFrame, FrameType } from '../replication.js';
+import { encodeRecords, decodeRecords, VersionHeader, BaseVersionHeader, BinaryType } from '../sync-protocol.js';
+import * as E from '../errors.js';
+
+// Smallest module the Bridge accepts: the imports load() provides, a
+// memory, and the buffer accessors
+function minimalWasm() {
+    const name = (s) => [s.length, ...new TextEncoder().encode(s)];
+    const section = (id, ...entries) => {
+        const body = [entries.length, ...entries.flat()];
+        return [id, body.length, ...body];
+    };
+    const code = (...instrs) => [instrs.length + 2, 0, ...instrs, 0x0b];
+    const i32 = (n) => [0x41, n & 0x7f | 0x80, n >> 7];
+    return new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        // types: () -> (), () -> i32, (i32, i32) -> (), () -> i64
+        ...section(1, [0x60, 0, 0], [0x60, 0, 1, 0x7f], [0x60, 2, 0x7f, 0x7f, 0], [0x60, 0, 1, 0x7e]),
+        ...section(2,
+            [...name('env'), ...name('notifyBlockChanged'), 0, 2],
+            [...name('env'), ...name('notifyBlockNotReady'), 0, 2],
+            [...name('env'), ...name('now'), 0, 3]),
+        ...section(3, 0, 1, 1, 1, 1),
+        ...section(5, [0, 1]),
+        ...section(7,
+            [...name('memory'), 2, 0],
+            [...name('init'), 0, 3],
+            [...name('getShuttleBufferPtr'), 0, 4],
+            [...name('getShuttleBufferSize'), 0, 5],
+            [...name('getStringBufferPtr'), 0, 6],
+            [...name('getStringBufferSize'), 0, 7]),
+        ...section(10, code(), code(...i32(0)), code(...i32(1024)), code(...i32(1024)), code(...i32(1024))),
+    ]);
+}
+
+// serve on an ephemeral port, resolving to the base URL
+async function serve(server) {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function close(server) {
+    server.closeAllConnections?.();
+    return new Promise((resolve) => server.close(resolve));
+}
+
+// Stand-in for the block device side of a Bridge, keeping devices in
+// memory
+function memoryBridge() {
+    const devices = new Map();
+    const listeners = new Set();
+    let nextId = 1;
+    return {
+        createBlockDevice(blockSize, blockCount) {
+            devices.set(nextId, { blockSize, blockCount, data: new Uint8Array(blockSize * blockCount) });
+            return nextId++;
+        },
+        destroyBlockDevice(id) {
+            devices.delete(id);
+        },
+        blockDeviceInfo(id) {
+            const { blockSize, blockCount } = devices.get(id);
+            return { blockSize, blockCount };
+        },
+        readBlock(dst, id, block) {
+            const { blockSize, data } = devices.get(id);
+            dst.set(data.subarray(block * blockSize, (block + 1) * blockSize));
+        },
+        writeBlock(id, block, src) {
+            const { blockSize, data } = devices.get(id);
+            data.set(src, block * blockSize);
+            for (const fn of listeners) fn(id, block);
+        },
+        onBlockChanged(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+    };
+}
+
+// let deferred block writes run
+function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Minimal WebSocket client for the relay. send() writes data as one masked
+// binary frame, in pieces of at most chunkSize bytes, and sendFragments()
+// writes each of pieces as a fragment of one message, left unfinished if
+// fin is false. A first message can be written along with the handshake.
+// messages holds the payloads received, and closeCode the code of a close
+// frame.
+function wsConnect(port, path, { first } = {}) {
+    const socket = net.connect(port, '127.0.0.1');
+    const client = {
+        messages: [],
+        closeCode: null,
+        send(data, chunkSize = Infinity) {
+            const frame = maskedFrame(data);
+            for (let i = 0; i < frame.length; i += chunkSize) socket.write(frame.subarray(i, i + chunkSize));
+        },
+        sendFragments(pieces, { fin = true } = {}) {
+            pieces.forEach((piece, i) => {
+                const last = (fin && i === pieces.length - 1) ? 0x80 : 0;
+                socket.write(maskedFrame(piece, last | (i === 0 ? 0x2 : 0x0)));
+            });
+        },
+        close() {
+            socket.destroy();
+        },
+        // resolves once n messages have been received
+        received(n) {
+            return until(() => client.messages.length >= n);
+        },
+    };
+
+    let input = Buffer.alloc(0);
+    let upgraded = false;
+    socket.on('data', (chunk) => {
+        input = Buffer.concat([input, chunk]);
+        if (!upgraded) {
+            const end = input.indexOf('\r\n\r\n');
+            if (end < 0) return;
+            assert.match(input.subarray(0, end).toString(), /^HTTP\/1.1 101 /);
+            input = input.subarray(end + 4);
+            upgraded = true;
+        }
+        // server frames are unmasked
+        while (input.length >= 2) {
+            let len = input[1] & 0x7f;
+            let offset = 2;
+            if (len === 126) {
+                if (input.length < 4) return;
+                len = input.readUInt16BE(2);
+                offset = 4;
+            } else if (len === 127) {
+                if (input.length < 10) return;
+                len = Number(input.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (input.length < offset + len) return;
+            const payload = input.subarray(offset, offset + len);
+            if ((input[0] & 0x0f) === 0x8) {
+                client.closeCode = payload.readUInt16BE(0);
+            } else {
+                client.messages.push(new Uint8Array(payload));
+            }
+            input = input.subarray(offset + len);
+        }
+    });
+
+    const handshake = Buffer.from([
+        `GET ${path} HTTP/1.1`,
+        'Host: relay',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+        'Sec-WebSocket-Version: 13',
+        '', '',
+    ].join('\r\n'));
+    socket.write(first ? Buffer.concat([handshake, maskedFrame(first)]) : handshake);
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(client));
+        socket.once('error', reject);
+    });
+}
+
+function maskedFrame(data, head = 0x82) {
+    const len = data.length;
+    const header = (len < 126) ? Buffer.from([head, 0x80 | len])
+        : (len < 65536) ? Buffer.from([head, 0x80 | 126, len >> 8, len & 0xff])
+        : Buffer.concat([Buffer.from([head, 0x80 | 127]), Buffer.alloc(8)]);
+    if (len >= 65536) header.writeBigUInt64BE(BigInt(len), 2);
+    const mask = randomBytes(4);
+    const payload = Buffer.from(data);
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    return Buffer.concat([header, mask, payload]);
+}
+
+// poll until check() is true
+async function until(check, timeout = 2000) {
+    const end = Date.now() + timeout;
+    while (!check()) {
+        if (Date.now() > end) throw new Error('timed out');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+}
+
+function tempDir() {
+    return nodeFs.mkdtempSync(join(tmpdir(), 'zigfs-'));
+}
+
+describe('load', () => {
+    const wasm = minimalWasm();
+    let dir;
+    let server;
+    let base;
+
+    before(async () => {
+        dir = tempDir();
+        nodeFs.writeFileSync(join(dir, 'fs.wasm'), wasm);
+        server = http.createServer((req, res) => {
+            if (req.url === '/fs.wasm') {
+                res.writeHead(200, { 'Content-Type': 'application/wasm' });
+            } else if (req.url === '/untyped.wasm') {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+            } else {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.end(wasm);
+        });
+        base = await serve(server);
+    });
+
+    after(async () => {
+        await close(server);
+        nodeFs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('module', async () => {
+        assert.ok(await load(new WebAssembly.Module(wasm)) instanceof Bridge);
+    });
+
+    test('bytes', async () => {
+        assert.ok(await load(wasm) instanceof Bridge);
+        assert.ok(await load(wasm.buffer) instanceof Bridge);
+    });
+
+    test('path', async () => {
+        assert.ok(await load(join(dir, 'fs.wasm')) instanceof Bridge);
+    });
+
+    test('file: URL', async () => {
+        const url = pathToFileURL(join(dir, 'fs.wasm'));
+        assert.ok(await load(url) instanceof Bridge);
+        assert.ok(await load(url.href) instanceof Bridge);
+    });
+
+    test('fetched', async () => {
+        assert.ok(await load(`${base}/fs.wasm`) instanceof Bridge);
+        assert.ok(await load(new URL('/fs.wasm', base)) instanceof Bridge);
+    });
+
+    test('fetched without streaming', async () => {
+        // streaming compilation rejects the content type
+        assert.ok(await load(`${base}/untyped.wasm`) instanceof Bridge);
+
+        const { instantiateStreaming } = WebAssembly;
+        WebAssembly.instantiateStreaming = undefined;
+        try {
+            assert.ok(await load(`${base}/fs.wasm`) instanceof Bridge);
+        } finally {
+            WebAssembly.instantiateStreaming = instantiateStreaming;
+        }
+    });
+
+    test('errors', async () => {
+        await assert.rejects(load(`${base}/missing.wasm`), (err) => err.code === E.NOTREADY && err.args.status === 404);
+        for (const source of [42, null, {}, [1, 2, 3]]) {
+            await assert.rejects(load(source), (err) => err.code === E.ARG);
+        }
+    });
+});
+
+describe('FileDevice', () => {
+    const blockSize = 512;
+    const blockCount = 8;
+    const filled = (value) => new Uint8Array(blockSize).fill(value);
+    let dir;
+    let path;
+
+    before(() => {
+        dir = tempDir();
+    });
+
+    after(() => {
+        nodeFs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    let n = 0;
+    beforeEach(() => {
+        path = join(dir, `disk${n++}.img`);
+    });
+
+    test('create and reopen', () => {
+        const bridge = memoryBridge();
+        const dev = FileDevice.open(bridge, path, { blockSize, blockCount });
+        assert.ok(dev.created);
+        assert.equal(nodeFs.statSync(path).size, blockSize * blockCount);
+        bridge.writeBlock(dev.deviceId, 2, filled(7));
+        dev.close();
+        assert.ok(!nodeFs.existsSync(`${path}.lock`), "the lock is released");
+
+        const reopened = FileDevice.open(bridge, path, { blockSize });
+        assert.ok(!reopened.created);
+        assert.deepEqual(bridge.blockDeviceInfo(reopened.deviceId), { blockSize, blockCount });
+        const block = new Uint8Array(blockSize);
+        bridge.readBlock(block, reopened.deviceId, 2);
+        assert.deepEqual(block, filled(7));
+        reopened.close();
+    });
+
+    test('dirty blocks are written in place', async () => {
+        const bridge = memoryBridge();
+        const dev = FileDevice.open(bridge, path, { blockSize, blockCount });
+        bridge.writeBlock(dev.deviceId, 3, filled(1));
+        bridge.writeBlock(dev.deviceId, 5, filled(2));
+        await settle();
+
+        const image = nodeFs.readFileSync(path);
+        assert.deepEqual(image.subarray(3 * blockSize, 4 * blockSize), Buffer.from(filled(1)));
+        assert.deepEqual(image.subarray(5 * blockSize, 6 * blockSize), Buffer.from(filled(2)));
+        assert.equal(image.subarray(0, 3 * blockSize).some((b) => b !== 0), false);
+        dev.close();
+    });
+
+    test('locking', () => {
+        const dev = FileDevice.open(memoryBridge(), path, { blockSize, blockCount });
+        assert.equal(nodeFs.readFileSync(`${path}.lock`, 'utf8'), `${process.pid}\n`);
+        assert.throws(() => FileDevice.open(memoryBridge(), path, { blockSize }), (err) => err.code === E.BUSY);
+
+        // read-only opens don't take the lock
+        FileDevice.open(memoryBridge(), path, { blockSize, readOnly: true }).close();
+        dev.close();
+
+        // the pid of a process that has exited
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        nodeFs.writeFileSync(`${path}.lock`, `${pid}\n`);
+        const takeover = FileDevice.open(memoryBridge(), path, { blockSize });
+        assert.equal(nodeFs.readFileSync(`${path}.lock`, 'utf8'), `${process.pid}\n`);
+        takeover.close();
+
+        // a lock that can't be read is held, and left as it was
+        for (const contents of ['', 'garbage', `${process.pid}\n`]) {
+            nodeFs.writeFileSync(`${path}.lock`, contents);
+            assert.throws(() => FileDevice.open(memoryBridge(), path, { blockSize }), (err) => err.code === E.BUSY);
+            assert.equal(nodeFs.readFileSync(`${path}.lock`, 'utf8'), contents);
+        }
+        nodeFs.rmSync(`${path}.lock`);
+        assert.deepEqual(nodeFs.readdirSync(dir).filter((name) => name.includes('.lock')), [], "no temporary files are left");
+    });
+
+    test('failed create', () => {
+        const bridge = memoryBridge();
+        bridge.createBlockDevice = () => {
+            throw new Error("no memory");
+        };
+        assert.throws(() => FileDevice.open(bridge, path, { blockSize, blockCount }), /no memory/);
+        assert.ok(!nodeFs.existsSync(path), "the new image is removed");
+        assert.ok(!nodeFs.existsSync(`${path}.lock`));
+
+        // existing images are kept
+        nodeFs.writeFileSync(path, new Uint8Array(blockSize * blockCount));
+        assert.throws(() => FileDevice.open(bridge, path, { blockSize }), /no memory/);
+        assert.ok(nodeFs.existsSync(path));
+    });
+
+    test('read-only', async () => {
+        nodeFs.writeFileSync(path, new Uint8Array(blockSize * blockCount));
+        const before = nodeFs.statSync(path);
+
+        const bridge = memoryBridge();
+        const dev = FileDevice.open(bridge, path, { blockSize, readOnly: true });
+        bridge.writeBlock(dev.deviceId, 1, filled(9));
+        await settle();
+        dev.flush();
+        dev.close();
+
+        assert.equal(nodeFs.readFileSync(path).some((b) => b !== 0), false);
+        assert.equal(nodeFs.statSync(path).mtimeMs, before.mtimeMs);
+        assert.ok(!nodeFs.existsSync(`${path}.lock`));
+        assert.throws(() => FileDevice.open(bridge, join(dir, 'missing.img'), { blockSize, blockCount, readOnly: true }), (err) => err.code === 'ENOENT');
+    });
+});
+
+describe('sync server', () => {
+    const blockSize = 64;
+    const filled = (value) => new Uint8Array(blockSize).fill(value);
+    let dir;
+    let server;
+    let base;
+
+    before(async () => {
+        dir = tempDir();
+        server = await listenSync({ dir, port: 0 });
+        base = `http://127.0.0.1:${server.address().port}/volumes`;
+    });
+
+    after(async () => {
+        await close(server);
+        nodeFs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('DiskBlockStore', async () => {
+        const store = new DiskBlockStore(join(dir, 'store'));
+        assert.equal(await store.getMeta('v'), undefined);
+        assert.equal(await store.readBlock('v', 0, blockSize), undefined);
+
+        const meta = { blockSize, blockCount: 16, version: 1, versions: { 3: 1 } };
+        await store.putMeta('v', meta);
+        assert.deepEqual(await store.getMeta('v'), meta);
+        assert.deepEqual(nodeFs.readdirSync(join(dir, 'store', 'v')), ['meta.json']);
+
+        await store.writeBlock('v', 3, filled(5));
+        assert.deepEqual(await store.readBlock('v', 3, blockSize), filled(5));
+        assert.deepEqual(await store.readBlock('v', 1, blockSize), new Uint8Array(blockSize), "holes read as zeros");
+        assert.equal(await store.readBlock('v', 4, blockSize), undefined, "past the end");
+
+        const image = nodeFs.readFileSync(join(dir, 'store', 'v', 'blocks.img'));
+        assert.deepEqual(image.subarray(3 * blockSize), Buffer.from(filled(5)));
+    });
+
+    test('serves the protocol', async () => {
+        const url = `${base}/vol`;
+        const create = (geometry) => fetch(url, { method: 'PUT', body: JSON.stringify(geometry) });
+        assert.equal((await create({ blockSize, blockCount: 16 })).status, 201);
+        assert.equal((await create({ blockSize, blockCount: 16 })).status, 200);
+        assert.equal((await create({ blockSize, blockCount: 8 })).status, 409);
+
+        const written = await fetch(`${url}/write`, {
+            method: 'POST',
+            headers: { 'Content-Type': BinaryType },
+            body: encodeRecords([{ index: 2, version: 0, data: filled(1) }, { index: 7, version: 0, data: filled(2) }], blockSize),
+        });
+        assert.deepEqual(await written.json(), { applied: [[2, 1], [7, 2]], conflicts: [] });
+
+        const put = await fetch(`${url}/blocks/2`, { method: 'PUT', headers: { [BaseVersionHeader]: '1' }, body: filled(3) });
+        assert.equal(put.status, 204);
+        assert.equal(put.headers.get(VersionHeader), '3');
+        const stale = await fetch(`${url}/blocks/2`, { method: 'PUT', headers: { [BaseVersionHeader]: '1' }, body: filled(4) });
+        assert.equal(stale.status, 409);
+
+        const manifest = await (await fetch(`${url}?since=1`)).json();
+        assert.deepEqual(manifest, { blockSize, blockCount: 16, version: 3, blocks: [[2, 3], [7, 2]] });
+
+        const read = await fetch(`${url}/read`, { method: 'POST', body: JSON.stringify({ blocks: [2, 5] }) });
+        const records = decodeRecords(new Uint8Array(await read.arrayBuffer()), blockSize);
+        assert.deepEqual(records.map(({ index, version }) => [index, version]), [[2, 3], [5, 0]]);
+        assert.deepEqual(records[0].data, filled(3));
+
+        // stored on disk, and served by a new server over the same directory
+        assert.deepEqual(JSON.parse(nodeFs.readFileSync(join(dir, 'vol', 'meta.json'), 'utf8')).versions, { 2: 3, 7: 2 });
+        const other = await listenSync({ dir, port: 0 });
+        try {
+            const block = await fetch(`http://127.0.0.1:${other.address().port}/volumes/vol/blocks/7`);
+            assert.equal(block.headers.get(VersionHeader), '2');
+            assert.deepEqual(new Uint8Array(await block.arrayBuffer()), filled(2));
+        } finally {
+            await close(other);
+        }
+    });
+
+    test('meta is saved before blocks', async () => {
+        const store = new DiskBlockStore(join(dir, 'failing'));
+        store.writeBlock = async () => {
+            throw new Error("disk full");
+        };
+        const handler = createSyncHandler(store);
+        const url = 'http://sync/volumes/v';
+        await handler(new Request(url, { method: 'PUT', body: JSON.stringify({ blockSize, blockCount: 4 }) }));
+
+        const put = new Request(`${url}/blocks/1`, { method: 'PUT', body: filled(1) });
+        await assert.rejects(handler(put), /disk full/);
+
+        // the interrupted write shows as a new version, so the writer's
+        // retry conflicts instead of silently diverging
+        assert.deepEqual((await store.getMeta('v')).versions, { 1: 1 });
+        const retry = await handler(new Request(`${url}/blocks/1`, { method: 'PUT', body: filled(1) }));
+        assert.equal(retry.status, 409);
+    });
+
+    test('CORS and errors', async () => {
+        const preflight = await fetch(`${base}/vol`, { method: 'OPTIONS' });
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('Access-Control-Allow-Origin'), '*');
+        assert.equal((await fetch(`${base}/missing`)).status, 404);
+        assert.equal((await fetch(`${base}/.hidden`)).status, 404);
+    });
+});
+
+describe('replication relay', () => {
+    const blockSize = 64;
+    const frame = (type, seq, blocks = []) => encodeFrame(type, { seq, blockSize, blockCount: 4096, blocks });
+    let server;
+    let port;
+
+    before(async () => {
+        server = await listenRelay({ port: 0 });
+        ({ port } = server.address());
+    });
+
+    after(async () => {
+        await close(server);
+    });
+
+    test('forwards frames', async () => {
+        const writer = await wsConnect(port, '/replicate/forward?role=writer');
+        const replicas = [await wsConnect(port, '/replicate/forward'), await wsConnect(port, '/replicate/forward')];
+        const other = await wsConnect(port, '/replicate/other');
+
+        // let the relay register everyone before sending
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        const resync = frame(FrameType.Resync, 0);
+        replicas[0].send(resync);
+        await writer.received(1);
+        assert.deepEqual(writer.messages[0], resync);
+
+        const blocks = frame(FrameType.Blocks, 1, [[3, new Uint8Array(blockSize).fill(1)]]);
+        writer.send(blocks);
+        for (const replica of replicas) {
+            await replica.received(1);
+            assert.deepEqual(replica.messages[0], blocks);
+        }
+        assert.equal(other.messages.length, 0, "other channels don't see it");
+
+        // a second writer is refused
+        const second = await wsConnect(port, '/replicate/forward?role=writer');
+        await until(() => second.closeCode !== null);
+        assert.equal(second.closeCode, 4000);
+
+        for (const client of [writer, ...replicas, other, second]) client.close();
+    });
+
+    test('frames split and joined', async () => {
+        const writer = await wsConnect(port, '/replicate/split?role=writer');
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        // a frame written along with the handshake
+        const early = frame(FrameType.Resync, 0);
+        const replica = await wsConnect(port, '/replicate/split', { first: early });
+        await writer.received(1);
+        assert.deepEqual(writer.messages[0], early);
+
+        // a large frame in many small pieces, and two frames in one piece
+        const big = frame(FrameType.Resync, 1, Array.from({ length: 2000 }, (_, i) => [i, new Uint8Array(blockSize).fill(i)]));
+        replica.send(big, 1000);
+        await writer.received(2);
+        assert.deepEqual(writer.messages[1], big);
+        assert.equal(decodeFrame(writer.messages[1]).blocks.length, 2000);
+
+        replica.send(frame(FrameType.Resync, 2), 3);
+        replica.send(frame(FrameType.Resync, 3));
+        await writer.received(4);
+        assert.deepEqual(writer.messages.slice(2).map((m) => decodeFrame(m).seq), [2, 3]);
+
+        writer.close();
+        replica.close();
+    });
+
+    test('fragmented messages are limited as they arrive', async () => {
+        const small = await listenRelay({ port: 0, maxFrameSize: 1000 });
+        const smallPort = small.address().port;
+        try {
+            const writer = await wsConnect(smallPort, '/replicate/limit?role=writer');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            const piece = new Uint8Array(400);
+            writer.sendFragments([piece, piece]);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            assert.equal(writer.closeCode, null, "a message within the limit is fine");
+
+            // the final fragment never arrives, so only a running total catches it
+            writer.sendFragments([piece, piece, piece], { fin: false });
+            await until(() => writer.closeCode !== null);
+            assert.equal(writer.closeCode, 1009);
+
+            writer.close();
+        } finally {
+            await close(small);
+        }
+    });
+
+    test('snapshots are never dropped', async () => {
+        // drops every Blocks frame
+        const strict = await listenRelay({ port: 0, maxBuffered: -1 });
+        const strictPort = strict.address().port;
+        try {
+            const writer = await wsConnect(strictPort, '/replicate/drop?role=writer');
+            const replica = await wsConnect(strictPort, '/replicate/drop');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            writer.send(frame(FrameType.Blocks, 1));
+            const snapshot = frame(FrameType.Snapshot, 1);
+            writer.send(snapshot);
+            await replica.received(1);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            assert.deepEqual(replica.messages, [snapshot]);
+
+            writer.close();
+            replica.close();
+        } finally {
+            await close(strict);
+        }
+    });
+});
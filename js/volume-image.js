@@ -0,0 +1,270 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { crc32, Sha256 } from './checksum.js';
+import { MaxLabelLen } from './superblock.js';
+
+export { writeVolumeImage, readVolumeImage, VolumeImageExtension };
+
+const VolumeImageExtension = '.zfsimg';
+
+// "ZFSI"
+const Magic = 0x5a465349;
+const Version = 1;
+
+const HeaderLen = 72;
+const RecordHeaderLen = 8;
+const ConfigLen = 16;
+const DigestLen = 32;
+
+// block index marking the end of the block records
+const EndMarker = 0xffffffff;
+
+// A .zfsimg container holds a block device's contents, gzip compressed.
+// Decompressed, it consists of a header, one record per non-zero block
+// and a trailer. All integers are big-endian.
+//
+// Header:
+//    0  magic (u32)
+//    4  version (u16)
+//    6  reserved (u16)
+//    8  block size (u32)
+//   12  block count (u32)
+//   16  creation time, ms since the Unix epoch (u64)
+//   24  FS config (16 bytes)
+//   40  label (32 bytes, UTF-8, zero padded)
+//
+// Block record:
+//    0  block index (u32), in ascending order
+//    4  CRC-32 of the block (u32)
+//    8  block contents
+//
+// Trailer:
+//    0  EndMarker (u32)
+//    4  SHA-256 of the full raw image, including zero blocks
+
+// Return a ReadableStream producing a .zfsimg container for a device.
+// Blocks are read as the consumer pulls, each chunk (before compression)
+// holding up to blocksPerChunk block records; blocksPerChunk must be a
+// positive integer.
+//
+// config and label default to those in the device's superblock, so a
+// device that wasn't formatted with mkfs() must be given a config.
+function writeVolumeImage(bridge, deviceId, { config, label, created = new Date(), blocksPerChunk = 64 } = {}) {
+    if (!Number.isSafeInteger(blocksPerChunk) || blocksPerChunk <= 0) {
+        throw new FsError(E.ARG, 'writeVolumeImage', {deviceId, blocksPerChunk});
+    }
+    const { blockSize, blockCount } = bridge.blockDeviceInfo(deviceId);
+    if (config === undefined) {
+        const sb = bridge.readSuperblock(deviceId);
+        config = sb.config;
+        label ??= sb.label;
+    }
+    const header = encodeHeader({ blockSize, blockCount, created, config, label: label ?? '' });
+
+    const hash = new Sha256();
+    let next = 0;
+    const raw = new ReadableStream({
+        start(controller) {
+            controller.enqueue(header);
+        },
+        // keep reading until there's something to enqueue; a pull that
+        // enqueues nothing wouldn't be followed by another
+        pull(controller) {
+            const records = [];
+            while (records.length < blocksPerChunk && next < blockCount) {
+                const record = new Uint8Array(RecordHeaderLen + blockSize);
+                const data = record.subarray(RecordHeaderLen);
+                bridge.readBlock(data, deviceId, next);
+                hash.update(data);
+                if (data.some((b) => b !== 0)) {
+                    const dv = new DataView(record.buffer);
+                    dv.setUint32(0, next, false);
+                    dv.setUint32(4, crc32(data), false);
+                    records.push(record);
+                }
+                next++;
+            }
+            if (next >= blockCount) {
+                const trailer = new Uint8Array(4 + DigestLen);
+                new DataView(trailer.buffer).setUint32(0, EndMarker, false);
+                trailer.set(hash.digest(), 4);
+                records.push(trailer);
+            }
+            controller.enqueue(concat(records));
+            if (next >= blockCount) controller.close();
+        }
+    });
+    return raw.pipeThrough(new CompressionStream('gzip'));
+}
+
+// Create a new block device from a .zfsimg container, returning
+// {deviceId, blockSize, blockCount, created, config, label}. source may be
+// a ReadableStream, Blob, ArrayBuffer or typed array.
+//
+// Blocks are written to the device as they're decompressed, so the image
+// is never held in memory. If the container is truncated or fails a
+// checksum, the device is destroyed and an E.CORRUPT error thrown; errors
+// from the source or from decompression are passed through as is.
+async function readVolumeImage(bridge, source) {
+    const input = new ByteReader(toStream(source).pipeThrough(new DecompressionStream('gzip')));
+    let deviceId = null;
+    try {
+        const header = decodeHeader(await input.read(HeaderLen));
+        const { blockSize, blockCount } = header;
+        deviceId = bridge.createBlockDevice(blockSize, blockCount);
+
+        const hash = new Sha256();
+        const zero = new Uint8Array(blockSize);
+        let next = 0;
+        while (true) {
+            const index = uint32(await input.read(4));
+            if (index === EndMarker) break;
+            if (index < next || index >= blockCount) {
+                throw new FsError(E.CORRUPT, 'readVolumeImage', {block: index});
+            }
+
+            const crc = uint32(await input.read(4));
+            const data = await input.read(blockSize);
+            if (crc32(data) !== crc) {
+                throw new FsError(E.CORRUPT, 'readVolumeImage', {block: index});
+            }
+            for (; next < index; next++) hash.update(zero);
+            hash.update(data);
+            next = index + 1;
+            bridge.writeBlock(deviceId, index, data);
+        }
+        for (; next < blockCount; next++) hash.update(zero);
+
+        const digest = await input.read(DigestLen);
+        if (!equal(digest, hash.digest())) {
+            throw new FsError(E.CORRUPT, 'readVolumeImage', {digest: 'mismatch'});
+        }
+        if (!(await input.atEnd())) {
+            throw new FsError(E.CORRUPT, 'readVolumeImage', {trailingData: true});
+        }
+        return { deviceId, ...header };
+    } catch (err) {
+        await input.cancel();
+        if (deviceId !== null) bridge.destroyBlockDevice(deviceId);
+        throw err;
+    }
+}
+
+//
+// Internals
+
+function encodeHeader({ blockSize, blockCount, created, config, label }) {
+    if (config.length !== ConfigLen) {
+        throw new FsError(E.ARG, 'writeVolumeImage', {configLength: config.length});
+    }
+    const labelBytes = new TextEncoder().encode(label);
+    if (labelBytes.length > MaxLabelLen) {
+        throw new FsError(E.NAMETOOLONG, 'writeVolumeImage', {label});
+    }
+
+    const out = new Uint8Array(HeaderLen);
+    const dv = new DataView(out.buffer);
+    dv.setUint32(0, Magic, false);
+    dv.setUint16(4, Version, false);
+    dv.setUint32(8, blockSize, false);
+    dv.setUint32(12, blockCount, false);
+    dv.setBigUint64(16, BigInt(created.getTime()), false);
+    out.set(config, 24);
+    out.set(labelBytes, 40);
+    return out;
+}
+
+function decodeHeader(bytes) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = dv.getUint32(0, false);
+    const version = dv.getUint16(4, false);
+    if (magic !== Magic || version !== Version) {
+        throw new FsError(E.CORRUPT, 'readVolumeImage', {magic, version});
+    }
+
+    const label = bytes.subarray(40, 40 + MaxLabelLen);
+    const labelEnd = label.indexOf(0);
+    return {
+        blockSize: dv.getUint32(8, false),
+        blockCount: dv.getUint32(12, false),
+        created: new Date(Number(dv.getBigUint64(16, false))),
+        config: bytes.slice(24, 24 + ConfigLen),
+        label: new TextDecoder().decode(labelEnd < 0 ? label : label.subarray(0, labelEnd)),
+    };
+}
+
+function toStream(source) {
+    if (source instanceof ReadableStream) return source;
+    if (source instanceof Blob) return source.stream();
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return new Blob([source]).stream();
+    throw new FsError(E.ARG, 'readVolumeImage', {source: typeof source});
+}
+
+function concat(chunks) {
+    const out = new Uint8Array(chunks.reduce((n, chunk) => n + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+function uint32(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, false);
+}
+
+function equal(a, b) {
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+// Reads exact byte counts from a stream of arbitrarily sized chunks
+class ByteReader {
+    #reader;
+    #chunk = new Uint8Array(0);
+
+    constructor(stream) {
+        this.#reader = stream.getReader();
+    }
+
+    // Read exactly n bytes, throwing E.CORRUPT if the stream ends first
+    async read(n) {
+        if (this.#chunk.length >= n) {
+            const out = this.#chunk.slice(0, n);
+            this.#chunk = this.#chunk.subarray(n);
+            return out;
+        }
+
+        const out = new Uint8Array(n);
+        let len = 0;
+        while (len < n) {
+            if (this.#chunk.length === 0 && !(await this.#fill())) {
+                throw new FsError(E.CORRUPT, 'readVolumeImage', {truncated: true});
+            }
+            const take = Math.min(n - len, this.#chunk.length);
+            out.set(this.#chunk.subarray(0, take), len);
+            this.#chunk = this.#chunk.subarray(take);
+            len += take;
+        }
+        return out;
+    }
+
+    async atEnd() {
+        return this.#chunk.length === 0 && !(await this.#fill());
+    }
+
+    async cancel() {
+        await this.#reader.cancel().catch(() => {});
+    }
+
+    async #fill() {
+        while (true) {
+            const { done, value } = await this.#reader.read();
+            if (done) return false;
+            if (value.length > 0) {
+                this.#chunk = value;
+                return true;
+            }
+        }
+    }
+}
@@ -0,0 +1,75 @@
+export { walk };
+
+// Lazily walk the directory tree beneath rootInode, yielding an object
+// {path, parentInode, stat} for each entry. path is relative to rootInode,
+// and the root itself is not yielded.
+//
+// Options:
+//   depthFirst - if true (the default), each directory's contents are
+//                yielded immediately after the directory itself (pre-order).
+//                Otherwise the tree is walked breadth first.
+//   filter     - predicate called with each entry; entries for which it
+//                returns false are skipped, along with their subtrees.
+//   maxDepth   - maximum depth to descend to; entries directly beneath
+//                rootInode are at depth 1.
+//
+// Directory handles are read one entry at a time and are always closed,
+// including when the consumer stops iterating early.
+function walk(fs, rootInode, { depthFirst = true, filter = null, maxDepth = Infinity } = {}) {
+    const accept = filter || (() => true);
+    return depthFirst
+        ? walkDepthFirst(fs, rootInode, '', 1, accept, maxDepth)
+        : walkBreadthFirst(fs, rootInode, accept, maxDepth);
+}
+
+function* walkDepthFirst(fs, dirInode, dirPath, depth, accept, maxDepth) {
+    if (depth > maxDepth) return;
+
+    const dh = fs.opendir(dirInode);
+    try {
+        while (true) {
+            const stat = fs.readdir(dh);
+            if (!stat) break;
+
+            const entry = { path: joinPath(dirPath, stat.name), parentInode: dirInode, stat };
+            if (!accept(entry)) continue;
+
+            yield entry;
+            if (stat.isDir) {
+                yield* walkDepthFirst(fs, stat.inode, entry.path, depth + 1, accept, maxDepth);
+            }
+        }
+    } finally {
+        fs.closedir(dh);
+    }
+}
+
+function* walkBreadthFirst(fs, rootInode, accept, maxDepth) {
+    const queue = [{ inode: rootInode, path: '', depth: 1 }];
+    while (queue.length > 0) {
+        const { inode, path, depth } = queue.shift();
+        if (depth > maxDepth) continue;
+
+        const dh = fs.opendir(inode);
+        try {
+            while (true) {
+                const stat = fs.readdir(dh);
+                if (!stat) break;
+
+                const entry = { path: joinPath(path, stat.name), parentInode: inode, stat };
+                if (!accept(entry)) continue;
+
+                yield entry;
+                if (stat.isDir) {
+                    queue.push({ inode: stat.inode, path: entry.path, depth: depth + 1 });
+                }
+            }
+        } finally {
+            fs.closedir(dh);
+        }
+    }
+}
+
+function joinPath(dir, name) {
+    return dir === '' ? name : `${dir}/${name}`;
+}
@@ -0,0 +1,646 @@
+import * as E from './errors.js';
+import { FsError } from './errors.js';
+import { OpenFlags, MaxTransferSize, MtimeEpoch, Abs, RelCurr, RelEnd } from './constants.js';
+import { PathFileSystem, splitPath } from './path-fs.js';
+import { writeAll } from './file-io.js';
+
+export { Wasi, WasiExit, Errno, errnoForCode };
+
+// WASI errno values (subset)
+const Errno = {
+    SUCCESS: 0,
+    ACCES: 2,
+    AGAIN: 6,
+    BADF: 8,
+    BUSY: 10,
+    EXIST: 20,
+    INVAL: 28,
+    IO: 29,
+    ISDIR: 31,
+    NAMETOOLONG: 37,
+    NODEV: 43,
+    NOENT: 44,
+    NOSPC: 51,
+    NOSYS: 52,
+    NOTDIR: 54,
+    NOTEMPTY: 55,
+    NOTSUP: 58,
+    SPIPE: 70,
+};
+
+// errors.js codes to WASI errno
+const ErrnoForCode = new Map([
+    [E.NOENT, Errno.NOENT],
+    [E.NOTDIR, Errno.NOTDIR],
+    [E.ISDIR, Errno.ISDIR],
+    [E.BADFD, Errno.BADF],
+    [E.BADOFFSET, Errno.INVAL],
+    [E.EXIST, Errno.EXIST],
+    [E.BUSY, Errno.BUSY],
+    [E.ACCESS, Errno.ACCES],
+    [E.ARG, Errno.INVAL],
+    [E.NOSPC, Errno.NOSPC],
+    [E.NAMETOOLONG, Errno.NAMETOOLONG],
+    [E.NODEV, Errno.NODEV],
+    [E.NOFS, Errno.NODEV],
+    [E.NOTREADY, Errno.AGAIN],
+    [E.INTERNAL, Errno.IO],
+    [E.NOTEMPTY, Errno.NOTEMPTY],
+]);
+
+// Return the WASI errno for an errors.js code
+function errnoForCode(code) {
+    return ErrnoForCode.get(code) ?? Errno.IO;
+}
+
+const FileType = { UNKNOWN: 0, CHARACTER_DEVICE: 2, DIRECTORY: 3, REGULAR_FILE: 4 };
+
+const OFlags = { CREAT: 1, DIRECTORY: 2, EXCL: 4, TRUNC: 8 };
+const FdFlags = { APPEND: 1 };
+const FstFlags = { MTIM: 4, MTIM_NOW: 8 };
+const Rights = { FD_READ: 1n << 1n, FD_WRITE: 1n << 6n, ALL: (1n << 30n) - 1n };
+
+const Clock = { REALTIME: 0, MONOTONIC: 1, PROCESS_CPUTIME: 2, THREAD_CPUTIME: 3 };
+
+const FirstPreopenFd = 3;
+
+// Thrown by proc_exit to unwind the guest; start() returns its code
+class WasiExit extends Error {
+    constructor(code) {
+        super(`exit with code ${code}`);
+        this.name = 'WasiExit';
+        this.code = code;
+    }
+}
+
+// wasi_snapshot_preview1 implementation that exposes a FileSystem (or
+// MockFs) to a guest WASM program as its single preopened directory.
+//
+// Usage:
+//   const wasi = new Wasi(fs, { args: ['prog'], stdout: (bytes) => ... });
+//   const { instance } = await WebAssembly.instantiate(module, wasi.imports);
+//   const exitCode = wasi.start(instance);
+//
+// Options:
+//   args    - argv, including the program name
+//   env     - object of environment variables
+//   preopen - name under which the filesystem root is preopened
+//   stdin   - function(length) returning a Uint8Array; defaults to EOF
+//   stdout  - function(bytes) called with each write to fd 1
+//   stderr  - function(bytes) called with each write to fd 2
+//
+// Symlinks, hard links, polling and sockets aren't supported. Files opened
+// with the APPEND flag seek to the end before each write.
+class Wasi {
+    #fs;
+    #paths;
+    #memory = null;
+    #args;
+    #env;
+    #preopen;
+    #stdin;
+    #stdout;
+    #stderr;
+
+    // guest fd -> {kind: 'stdio'|'dir'|'file', ...}
+    #fds = new Map();
+    #nextFd;
+
+    constructor(fs, { args = [], env = {}, preopen = '/', stdin = null, stdout = null, stderr = null } = {}) {
+        this.#fs = fs;
+        this.#paths = new PathFileSystem(fs);
+        this.#args = args;
+        this.#env = Object.entries(env).map(([k, v]) => `${k}=${v}`);
+        this.#preopen = preopen;
+        this.#stdin = stdin || (() => new Uint8Array(0));
+        this.#stdout = stdout || consoleWriter(console.log);
+        this.#stderr = stderr || consoleWriter(console.error);
+
+        this.#fds.set(0, { kind: 'stdio' });
+        this.#fds.set(1, { kind: 'stdio' });
+        this.#fds.set(2, { kind: 'stdio' });
+        this.#fds.set(FirstPreopenFd, { kind: 'dir', path: '/', inode: 0, preopen: true });
+        this.#nextFd = FirstPreopenFd + 1;
+    }
+
+    get imports() {
+        return { wasi_snapshot_preview1: this.#makeImports() };
+    }
+
+    // Run a command module's _start export, returning its exit code
+    start(instance) {
+        this.#memory = instance.exports.memory;
+        try {
+            instance.exports._start();
+            return 0;
+        } catch (err) {
+            if (err instanceof WasiExit) return err.code;
+            throw err;
+        }
+    }
+
+    // Prepare a reactor module, calling its _initialize export if present
+    initialize(instance) {
+        this.#memory = instance.exports.memory;
+        instance.exports._initialize?.();
+    }
+
+    #makeImports() {
+        const call = (fn) => (...args) => this.#call(fn, args);
+        return {
+            args_get: call(this.#argsGet),
+            args_sizes_get: call(this.#argsSizesGet),
+            environ_get: call(this.#environGet),
+            environ_sizes_get: call(this.#environSizesGet),
+            clock_res_get: call(this.#clockResGet),
+            clock_time_get: call(this.#clockTimeGet),
+            random_get: call(this.#randomGet),
+            proc_exit: (code) => { throw new WasiExit(code); },
+            sched_yield: () => Errno.SUCCESS,
+            poll_oneoff: () => Errno.NOSYS,
+
+            fd_advise: call(this.#fdNoop),
+            fd_allocate: () => Errno.NOTSUP,
+            fd_close: call(this.#fdClose),
+            fd_datasync: call(this.#fdNoop),
+            fd_sync: call(this.#fdNoop),
+            fd_fdstat_get: call(this.#fdFdstatGet),
+            fd_fdstat_set_flags: call(this.#fdFdstatSetFlags),
+            fd_fdstat_set_rights: call(this.#fdNoop),
+            fd_filestat_get: call(this.#fdFilestatGet),
+            fd_filestat_set_size: call(this.#fdFilestatSetSize),
+            fd_filestat_set_times: call(this.#fdFilestatSetTimes),
+            fd_pread: call(this.#fdPread),
+            fd_prestat_get: call(this.#fdPrestatGet),
+            fd_prestat_dir_name: call(this.#fdPrestatDirName),
+            fd_pwrite: call(this.#fdPwrite),
+            fd_read: call(this.#fdRead),
+            fd_readdir: call(this.#fdReaddir),
+            fd_renumber: call(this.#fdRenumber),
+            fd_seek: call(this.#fdSeek),
+            fd_tell: call(this.#fdTell),
+            fd_write: call(this.#fdWrite),
+
+            path_create_directory: call(this.#pathCreateDirectory),
+            path_filestat_get: call(this.#pathFilestatGet),
+            path_filestat_set_times: call(this.#pathFilestatSetTimes),
+            path_link: () => Errno.NOTSUP,
+            path_open: call(this.#pathOpen),
+            path_readlink: () => Errno.NOTSUP,
+            path_remove_directory: call(this.#pathRemoveDirectory),
+            path_rename: call(this.#pathRename),
+            path_symlink: () => Errno.NOTSUP,
+            path_unlink_file: call(this.#pathUnlinkFile),
+
+            sock_accept: () => Errno.NOTSUP,
+            sock_recv: () => Errno.NOTSUP,
+            sock_send: () => Errno.NOTSUP,
+            sock_shutdown: () => Errno.NOTSUP,
+        };
+    }
+
+    // Run an import, mapping FsErrors to errno values
+    #call(fn, args) {
+        try {
+            return fn.apply(this, args) ?? Errno.SUCCESS;
+        } catch (err) {
+            if (err instanceof FsError) return errnoForCode(err.code);
+            throw err;
+        }
+    }
+
+    //
+    // Args, environment, clocks
+
+    #argsGet(argvPtr, bufPtr) {
+        this.#writeStrings(this.#args, argvPtr, bufPtr);
+    }
+
+    #argsSizesGet(countPtr, sizePtr) {
+        this.#writeStringSizes(this.#args, countPtr, sizePtr);
+    }
+
+    #environGet(environPtr, bufPtr) {
+        this.#writeStrings(this.#env, environPtr, bufPtr);
+    }
+
+    #environSizesGet(countPtr, sizePtr) {
+        this.#writeStringSizes(this.#env, countPtr, sizePtr);
+    }
+
+    #clockResGet(id, resPtr) {
+        if (!Object.values(Clock).includes(id)) return Errno.INVAL;
+        this.#view().setBigUint64(resPtr, (id === Clock.REALTIME) ? 1000000n : 1000n, true);
+    }
+
+    #clockTimeGet(id, precision, timePtr) {
+        let ns;
+        if (id === Clock.REALTIME) {
+            ns = BigInt(Date.now()) * 1000000n;
+        } else if (Object.values(Clock).includes(id)) {
+            ns = BigInt(Math.round(performance.now() * 1000000));
+        } else {
+            return Errno.INVAL;
+        }
+        this.#view().setBigUint64(timePtr, ns, true);
+    }
+
+    #randomGet(bufPtr, bufLen) {
+        const buf = this.#bytes(bufPtr, bufLen);
+        for (let i = 0; i < buf.length; i += 65536) {
+            crypto.getRandomValues(buf.subarray(i, i + 65536));
+        }
+    }
+
+    //
+    // File descriptors
+
+    #fdNoop(fd) {
+        this.#getFd(fd);
+    }
+
+    #fdClose(fd) {
+        const entry = this.#getFd(fd);
+        if (entry.kind === 'file') {
+            this.#fs.close(entry.fd);
+        }
+        this.#fds.delete(fd);
+    }
+
+    #fdFdstatGet(fd, statPtr) {
+        const entry = this.#getFd(fd);
+        const view = this.#view();
+        view.setUint8(statPtr, fileTypeOf(entry));
+        view.setUint16(statPtr + 2, entry.append ? FdFlags.APPEND : 0, true);
+        view.setBigUint64(statPtr + 8, Rights.ALL, true);
+        view.setBigUint64(statPtr + 16, Rights.ALL, true);
+    }
+
+    #fdFdstatSetFlags(fd, flags) {
+        const entry = this.#getFile(fd);
+        entry.append = (flags & FdFlags.APPEND) !== 0;
+    }
+
+    #fdFilestatGet(fd, bufPtr) {
+        const entry = this.#getFd(fd);
+        if (entry.kind === 'stdio') {
+            this.#writeFilestat(bufPtr, null);
+        } else if (entry.kind === 'dir') {
+            this.#writeFilestat(bufPtr, this.#fs.stat(entry.inode));
+        } else {
+            this.#writeFilestat(bufPtr, this.#fs.statFd(entry.fd));
+        }
+    }
+
+    // only truncation to zero length is supported
+    #fdFilestatSetSize(fd, size) {
+        const entry = this.#getFile(fd);
+        if (size !== 0n) return Errno.NOTSUP;
+        this.#fs.truncate(entry.fd);
+    }
+
+    #fdFilestatSetTimes(fd, atim, mtim, fstFlags) {
+        const entry = this.#getFd(fd);
+        if (entry.kind === 'stdio') return Errno.BADF;
+        this.#setTimes(entry.inode, mtim, fstFlags);
+    }
+
+    #fdPrestatGet(fd, bufPtr) {
+        const entry = this.#fds.get(fd);
+        if (!entry || !entry.preopen) return Errno.BADF;
+        const view = this.#view();
+        view.setUint8(bufPtr, 0);
+        view.setUint32(bufPtr + 4, encode(this.#preopen).length, true);
+    }
+
+    #fdPrestatDirName(fd, pathPtr, pathLen) {
+        const entry = this.#fds.get(fd);
+        if (!entry || !entry.preopen) return Errno.BADF;
+        const name = encode(this.#preopen);
+        this.#bytes(pathPtr, pathLen).set(name.subarray(0, pathLen));
+    }
+
+    #fdRead(fd, iovsPtr, iovsLen, nreadPtr) {
+        const entry = this.#getFd(fd);
+        let total = 0;
+        for (const buf of this.#iovecs(iovsPtr, iovsLen)) {
+            const n = (entry.kind === 'stdio')
+                ? this.#readStdin(fd, buf)
+                : this.#readFile(this.#getFile(fd), buf);
+            total += n;
+            if (n < buf.length) break;
+        }
+        this.#view().setUint32(nreadPtr, total, true);
+    }
+
+    #fdPread(fd, iovsPtr, iovsLen, offset, nreadPtr) {
+        const entry = this.#getFile(fd);
+        const total = this.#atOffset(entry, offset, () => {
+            let total = 0;
+            for (const buf of this.#iovecs(iovsPtr, iovsLen)) {
+                const n = this.#readFile(entry, buf);
+                total += n;
+                if (n < buf.length) break;
+            }
+            return total;
+        });
+        this.#view().setUint32(nreadPtr, total, true);
+    }
+
+    #fdWrite(fd, iovsPtr, iovsLen, nwrittenPtr) {
+        const entry = this.#getFd(fd);
+        let total = 0;
+        for (const buf of this.#iovecs(iovsPtr, iovsLen)) {
+            if (entry.kind === 'stdio') {
+                this.#writeStdout(fd, buf);
+            } else {
+                const file = this.#getFile(fd);
+                if (file.append) this.#fs.seek(file.fd, 0, RelEnd);
+                this.#writeFile(file, buf);
+            }
+            total += buf.length;
+        }
+        this.#view().setUint32(nwrittenPtr, total, true);
+    }
+
+    #fdPwrite(fd, iovsPtr, iovsLen, offset, nwrittenPtr) {
+        const entry = this.#getFile(fd);
+        const total = this.#atOffset(entry, offset, () => {
+            let total = 0;
+            for (const buf of this.#iovecs(iovsPtr, iovsLen)) {
+                this.#writeFile(entry, buf);
+                total += buf.length;
+            }
+            return total;
+        }, { extend: true });
+        this.#view().setUint32(nwrittenPtr, total, true);
+    }
+
+    // cookies are entry indexes. entries are written until the buffer is
+    // full; the final entry may be truncated, as permitted by the spec.
+    #fdReaddir(fd, bufPtr, bufLen, cookie, bufusedPtr) {
+        const entry = this.#getFd(fd);
+        if (entry.kind !== 'dir') return Errno.NOTDIR;
+
+        const out = this.#bytes(bufPtr, bufLen);
+        const entries = Array.from(this.#fs.readdirIter(entry.inode));
+        let used = 0;
+        for (let i = Number(cookie); i < entries.length && used < bufLen; i++) {
+            const stat = entries[i];
+            const name = encode(stat.name);
+            const dirent = new Uint8Array(24 + name.length);
+            const view = new DataView(dirent.buffer);
+            view.setBigUint64(0, BigInt(i + 1), true);
+            view.setBigUint64(8, BigInt(stat.inode), true);
+            view.setUint32(16, name.length, true);
+            view.setUint8(20, stat.isDir ? FileType.DIRECTORY : FileType.REGULAR_FILE);
+            dirent.set(name, 24);
+
+            const n = Math.min(dirent.length, bufLen - used);
+            out.set(dirent.subarray(0, n), used);
+            used += n;
+        }
+        this.#view().setUint32(bufusedPtr, used, true);
+    }
+
+    #fdRenumber(from, to) {
+        const entry = this.#getFd(from);
+        this.#getFd(to);
+        if (from === to) return;
+        this.#fdClose(to);
+        this.#fds.set(to, entry);
+        this.#fds.delete(from);
+    }
+
+    #fdSeek(fd, offset, whence, newOffsetPtr) {
+        const entry = this.#getFd(fd);
+        if (entry.kind !== 'file') return Errno.SPIPE;
+        if (whence !== Abs && whence !== RelCurr && whence !== RelEnd) return Errno.INVAL;
+        this.#fs.seek(entry.fd, Number(offset), whence);
+        this.#view().setBigUint64(newOffsetPtr, BigInt(this.#fs.tell(entry.fd)), true);
+    }
+
+    #fdTell(fd, offsetPtr) {
+        const entry = this.#getFd(fd);
+        if (entry.kind !== 'file') return Errno.SPIPE;
+        this.#view().setBigUint64(offsetPtr, BigInt(this.#fs.tell(entry.fd)), true);
+    }
+
+    //
+    // Paths
+
+    #pathCreateDirectory(fd, pathPtr, pathLen) {
+        this.#paths.mkdir(this.#resolvePath(fd, pathPtr, pathLen));
+    }
+
+    #pathFilestatGet(fd, flags, pathPtr, pathLen, bufPtr) {
+        this.#writeFilestat(bufPtr, this.#paths.stat(this.#resolvePath(fd, pathPtr, pathLen)));
+    }
+
+    #pathFilestatSetTimes(fd, flags, pathPtr, pathLen, atim, mtim, fstFlags) {
+        const inode = this.#paths.resolve(this.#resolvePath(fd, pathPtr, pathLen));
+        this.#setTimes(inode, mtim, fstFlags);
+    }
+
+    #pathOpen(fd, dirflags, pathPtr, pathLen, oflags, rightsBase, rightsInheriting, fdflags, fdPtr) {
+        const path = this.#resolvePath(fd, pathPtr, pathLen);
+        const exists = this.#paths.exists(path);
+
+        if (exists && (oflags & OFlags.EXCL)) {
+            return Errno.EXIST;
+        } else if (!exists && !(oflags & OFlags.CREAT)) {
+            return Errno.NOENT;
+        }
+
+        let entry;
+        if (exists && this.#paths.stat(path).isDir) {
+            if (oflags & OFlags.TRUNC) return Errno.ISDIR;
+            entry = { kind: 'dir', path, inode: this.#paths.resolve(path) };
+        } else if (oflags & OFlags.DIRECTORY) {
+            return exists ? Errno.NOTDIR : Errno.NOENT;
+        } else {
+            let flags = OpenFlags.CREATE;
+            if (rightsBase & Rights.FD_READ) flags |= OpenFlags.READ;
+            if (rightsBase & Rights.FD_WRITE) flags |= OpenFlags.WRITE;
+            if (oflags & OFlags.TRUNC) flags |= OpenFlags.TRUNCATE;
+            const fileFd = this.#paths.open(path, flags);
+            entry = {
+                kind: 'file',
+                path,
+                inode: this.#fs.statFd(fileFd).inode,
+                fd: fileFd,
+                append: (fdflags & FdFlags.APPEND) !== 0,
+            };
+        }
+
+        const guestFd = this.#nextFd++;
+        this.#fds.set(guestFd, entry);
+        this.#view().setUint32(fdPtr, guestFd, true);
+    }
+
+    #pathRemoveDirectory(fd, pathPtr, pathLen) {
+        const path = this.#resolvePath(fd, pathPtr, pathLen);
+        if (path === '/') return Errno.BUSY;
+        this.#paths.rmdir(path);
+    }
+
+    #pathRename(fd, oldPathPtr, oldPathLen, newFd, newPathPtr, newPathLen) {
+        this.#paths.rename(
+            this.#resolvePath(fd, oldPathPtr, oldPathLen),
+            this.#resolvePath(newFd, newPathPtr, newPathLen),
+        );
+    }
+
+    #pathUnlinkFile(fd, pathPtr, pathLen) {
+        this.#paths.unlink(this.#resolvePath(fd, pathPtr, pathLen));
+    }
+
+    //
+    // Internals
+
+    #getFd(fd) {
+        const entry = this.#fds.get(fd);
+        if (!entry) throw new FsError(E.BADFD);
+        return entry;
+    }
+
+    #getFile(fd) {
+        const entry = this.#getFd(fd);
+        if (entry.kind === 'dir') throw new FsError(E.ISDIR);
+        if (entry.kind !== 'file') throw new FsError(E.BADFD);
+        return entry;
+    }
+
+    // Resolve a guest path relative to the directory fd to an absolute
+    // path within the filesystem. '..' can't escape the preopened root.
+    #resolvePath(fd, pathPtr, pathLen) {
+        const dir = this.#getFd(fd);
+        if (dir.kind !== 'dir') throw new FsError(E.NOTDIR);
+        const path = new TextDecoder().decode(this.#bytes(pathPtr, pathLen));
+        return '/' + splitPath(`${dir.path}/${path}`).join('/');
+    }
+
+    // Run fn with the file positioned at offset, restoring the position
+    // afterwards. Offsets past the end of the file read nothing, or with
+    // extend, have the gap filled with zeros first.
+    #atOffset(entry, offset, fn, { extend = false } = {}) {
+        const saved = this.#fs.tell(entry.fd);
+        const size = this.#fs.statFd(entry.fd).size;
+        if (Number(offset) > size && !extend) return 0;
+        try {
+            if (Number(offset) > size) {
+                this.#fs.seek(entry.fd, 0, RelEnd);
+                this.#writeFile(entry, new Uint8Array(Number(offset) - size));
+            } else {
+                this.#fs.seek(entry.fd, Number(offset), Abs);
+            }
+            return fn();
+        } finally {
+            this.#fs.seek(entry.fd, saved, Abs);
+        }
+    }
+
+    #readFile(entry, buf) {
+        let total = 0;
+        while (total < buf.length) {
+            const n = this.#fs.read(buf.subarray(total, total + MaxTransferSize), entry.fd);
+            if (n === 0) break;
+            total += n;
+        }
+        return total;
+    }
+
+    #writeFile(entry, buf) {
+        writeAll(this.#fs, entry.fd, buf);
+    }
+
+    #readStdin(fd, buf) {
+        if (fd !== 0) return 0;
+        const data = this.#stdin(buf.length).subarray(0, buf.length);
+        buf.set(data);
+        return data.length;
+    }
+
+    #writeStdout(fd, buf) {
+        if (fd === 1) {
+            this.#stdout(buf.slice());
+        } else if (fd === 2) {
+            this.#stderr(buf.slice());
+        }
+    }
+
+    #setTimes(inode, mtim, fstFlags) {
+        if (fstFlags & FstFlags.MTIM_NOW) {
+            this.#fs.setMtime(inode, Math.floor(Date.now() / 1000) - MtimeEpoch);
+        } else if (fstFlags & FstFlags.MTIM) {
+            this.#fs.setMtime(inode, Number(mtim / 1000000000n) - MtimeEpoch);
+        }
+    }
+
+    // stat may be null for stdio
+    #writeFilestat(ptr, stat) {
+        const view = this.#view();
+        const mtim = stat ? BigInt(stat.mtime + MtimeEpoch) * 1000000000n : 0n;
+        view.setBigUint64(ptr, 0n, true);
+        view.setBigUint64(ptr + 8, BigInt(stat ? stat.inode : 0), true);
+        view.setUint8(ptr + 16, !stat ? FileType.CHARACTER_DEVICE : stat.isDir ? FileType.DIRECTORY : FileType.REGULAR_FILE);
+        view.setBigUint64(ptr + 24, 1n, true);
+        view.setBigUint64(ptr + 32, BigInt(stat ? stat.size : 0), true);
+        view.setBigUint64(ptr + 40, mtim, true);
+        view.setBigUint64(ptr + 48, mtim, true);
+        view.setBigUint64(ptr + 56, mtim, true);
+    }
+
+    #writeStrings(strings, ptrsPtr, bufPtr) {
+        const view = this.#view();
+        for (const str of strings) {
+            const bytes = encode(str);
+            view.setUint32(ptrsPtr, bufPtr, true);
+            this.#bytes(bufPtr, bytes.length + 1).set([...bytes, 0]);
+            ptrsPtr += 4;
+            bufPtr += bytes.length + 1;
+        }
+    }
+
+    #writeStringSizes(strings, countPtr, sizePtr) {
+        const view = this.#view();
+        view.setUint32(countPtr, strings.length, true);
+        view.setUint32(sizePtr, strings.reduce((n, s) => n + encode(s).length + 1, 0), true);
+    }
+
+    // yield a Uint8Array view of guest memory for each iovec
+    *#iovecs(iovsPtr, iovsLen) {
+        const view = this.#view();
+        for (let i = 0; i < iovsLen; i++) {
+            const ptr = view.getUint32(iovsPtr + i * 8, true);
+            const len = view.getUint32(iovsPtr + i * 8 + 4, true);
+            yield this.#bytes(ptr, len);
+        }
+    }
+
+    // views are recreated on each use since guest memory may grow
+    #view() {
+        return new DataView(this.#memory.buffer);
+    }
+
+    #bytes(ptr, len) {
+        return new Uint8Array(this.#memory.buffer, ptr, len);
+    }
+}
+
+function fileTypeOf(entry) {
+    switch (entry.kind) {
+        case 'dir': return FileType.DIRECTORY;
+        case 'file': return FileType.REGULAR_FILE;
+        default: return FileType.CHARACTER_DEVICE;
+    }
+}
+
+function encode(str) {
+    return new TextEncoder().encode(str);
+}
+
+function consoleWriter(log) {
+    const decoder = new TextDecoder();
+    return (bytes) => log(decoder.decode(bytes).replace(/\n$/, ''));
+}
@@ -19,6 +19,7 @@ const math = std.math;
 const Allocator = std.mem.Allocator;
 
 const notifyBlockChanged = @import("./wasm.zig").notifyBlockChanged;
+const notifyBlockNotReady = @import("./wasm.zig").notifyBlockNotReady;
 
 pub const BlockDeviceInitError = error{InvalidBlockDeviceParams};
 pub const BlockDeviceAccessError = error{BlockNotReady};
@@ -45,6 +46,10 @@ pub const BlockDevice = struct {
     id: i32, // for external use; if > 0, notification is enabled
     ref_count: u32, // for external use
 
+    // blocks whose contents are present, for partially loaded devices.
+    // null if the device is fully loaded.
+    ready: ?std.DynamicBitSetUnmanaged,
+
     pub fn init(allocator: Allocator, blk_size: u32, blk_count: u32) (BlockDeviceInitError || error{OutOfMemory})!BlockDevice {
         if (!math.isPowerOfTwo(blk_size)) {
             return error.InvalidBlockDeviceParams;
@@ -62,17 +67,53 @@ pub const BlockDevice = struct {
 
             .ref_count = 0,
             .id = 0,
+            .ready = null,
         };
     }
 
     pub fn deinit(self: *@This()) void {
+        if (self.ready) |*ready| {
+            ready.deinit(self.allocator);
+        }
         self.allocator.free(self.data);
     }
 
+    // Mark every block as not present, so reads fail with BlockNotReady
+    // until the block is written or marked ready.
+    pub fn setLazy(self: *BlockDevice) error{OutOfMemory}!void {
+        if (self.ready) |*ready| {
+            ready.unsetAll();
+        } else {
+            self.ready = try std.DynamicBitSetUnmanaged.initEmpty(self.allocator, self.blk_count);
+        }
+    }
+
+    // Mark a block as present without changing its contents
+    pub fn markReady(self: *BlockDevice, block: u32) void {
+        self.validateBlock(block);
+        if (self.ready) |*ready| {
+            ready.set(block);
+        }
+    }
+
+    pub fn isReady(self: *BlockDevice, block: u32) bool {
+        if (self.ready) |ready| {
+            return ready.isSet(block);
+        }
+        return true;
+    }
+
     pub fn readBlock(self: *BlockDevice, dst: []u8, block: u32) BlockDeviceAccessError!void {
         self.validateBlock(block);
         self.validateSlice(dst);
 
+        if (!self.isReady(block)) {
+            if (self.id > 0) {
+                notifyBlockNotReady(self.id, block);
+            }
+            return error.BlockNotReady;
+        }
+
         const start = block * self.blk_size;
         @memcpy(dst, self.data[start .. start + self.blk_size]);
     }
@@ -84,6 +125,7 @@ pub const BlockDevice = struct {
         const start = block * self.blk_size;
         @memcpy(self.data[start .. start + self.blk_size], src);
 
+        self.markReady(block);
         self.notify(block);
     }
 
@@ -93,6 +135,7 @@ pub const BlockDevice = struct {
         const start = block * self.blk_size;
         @memset(self.data[start .. start + self.blk_size], 0);
 
+        self.markReady(block);
         self.notify(block);
     }
 
@@ -156,3 +199,29 @@ test "block device" {
         try expect(b == 0);
     }
 }
+
+test "lazy block device" {
+    const expect = std.testing.expect;
+    const expectError = std.testing.expectError;
+
+    const bd = try create(std.testing.allocator, 64, 128);
+    defer destroy(std.testing.allocator, bd);
+
+    try bd.setLazy();
+
+    var buf = [_]u8{0} ** 64;
+    try expectError(error.BlockNotReady, bd.readBlock(&buf, 5));
+
+    @memset(&buf, 7);
+    bd.writeBlock(5, &buf);
+    try bd.readBlock(&buf, 5);
+    try expect(buf[0] == 7);
+
+    bd.zeroBlock(6);
+    try bd.readBlock(&buf, 6);
+    try expect(buf[0] == 0);
+
+    bd.markReady(7);
+    try bd.readBlock(&buf, 7);
+    try expectError(error.BlockNotReady, bd.readBlock(&buf, 8));
+}
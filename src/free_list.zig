@@ -77,6 +77,7 @@ pub const FreeList = struct {
             .scratch = try allocator.alloc(u8, block_dev.*.blk_size),
             .list = std.ArrayList(u32).init(allocator),
         };
+        errdefer fl.deinit();
 
         try fl.loadFromBlockDevice();
 
@@ -96,24 +97,23 @@ pub const FreeList = struct {
         return self.start_blk + calculateFreeListSize(self.blk_dev.blk_size, self.blk_dev.blk_count);
     }
 
-    pub fn alloc(self: *FreeList) error{NoFreeBlocks}!u32 {
-        const opt_blk = self.list.pop();
-        if (opt_blk) |blk| {
-            self.markBlock(blk, false);
-            return blk;
-        } else {
-            return FreeListErrors.NoFreeBlocks;
-        }
+    // the list is only changed once the block's bitmap entry has been
+    // updated, so a BlockNotReady error leaves everything as it was.
+    pub fn alloc(self: *FreeList) (FreeListErrors || blkdev.BlockDeviceAccessError)!u32 {
+        const blk = self.list.getLastOrNull() orelse return FreeListErrors.NoFreeBlocks;
+        try self.markBlock(blk, false);
+        _ = self.list.pop();
+        return blk;
     }
 
-    pub fn free(self: *FreeList, block: u32) void {
+    pub fn free(self: *FreeList, block: u32) blkdev.BlockDeviceAccessError!void {
+        try self.markBlock(block, true);
         self.list.append(block) catch @panic("OOM");
-        self.markBlock(block, true);
     }
 
-    fn markBlock(self: *FreeList, block: u32, isFree: bool) void {
+    fn markBlock(self: *FreeList, block: u32, isFree: bool) blkdev.BlockDeviceAccessError!void {
         const pos = self.getBlockPos(block);
-        self.blk_dev.readBlock(self.scratch, pos.block) catch @panic("NO BLOCK");
+        try self.blk_dev.readBlock(self.scratch, pos.block);
         if (isFree) {
             self.scratch[pos.byte_offset] |= (@as(u8, 1) << pos.bit_offset);
         } else {
@@ -108,7 +108,7 @@ pub const FileSystem = struct {
 
         // finally, allocate an inode, ensure it's zero, because the root directory is
         // always pointed to by inode zero.
-        const root_inode = inodes.create(true, @truncate(root_index_blk)) orelse @panic("failed to create root inode");
+        const root_inode = (try inodes.create(true, @truncate(root_index_blk))) orelse @panic("failed to create root inode");
         std.debug.assert(root_inode == 0);
 
         // Store the FS config in the output slice
@@ -116,8 +116,8 @@ pub const FileSystem = struct {
         // This data is in fact stored at the end of block 0, but because we also
         // store disk geometry, label, and version check there, direct access
         // to its contents is not permitted. Instead, we write the metadata to
-        // an auxiliary slice and a higher level OOB process takes care of
-        // writing the data to the block device.
+        // an auxiliary slice and the host (Bridge.mkfs() in js/bridge.js)
+        // takes care of writing the data to the block device.
         @memset(config_out, 0);
         config_out[0] = P.FS_TYPE_ID;
         config_out[1] = 1; // version
@@ -199,6 +199,26 @@ pub const FileSystem = struct {
         dst.setFromInode(&inode);
     }
 
+    pub fn setExecutable(self: *@This(), inode_ptr: P.InodePtr, executable: bool) !void {
+        const ptr = I.publicInodePtrToInternal(inode_ptr);
+        var inode = I.Inode{};
+        if (!self.inodes.read(&inode, ptr)) {
+            return P.Error.NoEnt;
+        } else if (inode.isDir()) {
+            return P.Error.IsDir;
+        }
+        try self.inodes.setExecutable(ptr, executable);
+    }
+
+    pub fn setMtime(self: *@This(), inode_ptr: P.InodePtr, mtime: u32) !void {
+        const ptr = I.publicInodePtrToInternal(inode_ptr);
+        var inode = I.Inode{};
+        if (!self.inodes.read(&inode, ptr)) {
+            return P.Error.NoEnt;
+        }
+        try self.inodes.update(ptr, null, mtime);
+    }
+
     pub fn open(self: *@This(), inode_ptr: P.InodePtr, flags: u32) !P.Fd {
         const file = self.allocator.create(I.FileFd) catch |err| I.oom(err);
         errdefer self.allocator.destroy(file);
@@ -224,7 +244,8 @@ pub const FileSystem = struct {
         }
 
         const inode_ptr = try self.createFile(false);
-        errdefer self.purgeInode(inode_ptr);
+        // the new file's blocks were written by createFile(), so they're present
+        errdefer self.purgeInode(inode_ptr) catch unreachable;
         try self.insertDirEntry(&dir_fd, filename, inode_ptr, res.free_offset);
 
         return I.internalInodePtrToPublic(inode_ptr);
@@ -263,7 +284,7 @@ pub const FileSystem = struct {
         if (self.open_inode_state.get(inode_ptr)) |of| {
             of.deleted = true;
         } else {
-            self.purgeInode(inode_ptr);
+            try self.purgeInode(inode_ptr);
         }
     }
 
@@ -331,6 +352,23 @@ pub const FileSystem = struct {
         try self.seekInternal(file, @intCast(targetOffset));
     }
 
+    // truncate the open file to zero length and rewind fd.
+    // as with opening with TRUNCATE, fails if the file is open elsewhere.
+    pub fn truncate(self: *@This(), fd: P.Fd) !void {
+        const file = try self.get_open_file(fd);
+        const of = file.of;
+        if (of.ref_count > 1) {
+            return P.Error.Busy;
+        }
+
+        _ = try self.truncateFileContents(of.root_blk);
+        try self.inodes.update(of.inode_ptr, 0, null);
+        of.size = 0;
+
+        file.abs_offset = 0;
+        file.refs_invalid = true;
+    }
+
     pub fn opendir(self: *@This(), inode_ptr: P.InodePtr) !P.Fd {
         const dir = self.allocator.create(I.FileFd) catch |err| I.oom(err);
         errdefer self.allocator.destroy(dir);
@@ -396,35 +434,104 @@ pub const FileSystem = struct {
         try self.openInternal(I.publicInodePtrToInternal(dir), &fd, true, 0);
         defer self.closeInternal(&fd);
 
-        // Find entry in dir
+        const res = try self.findInode(&fd, filename);
+        const inode_ptr = res.inode orelse return P.Error.NoEnt;
 
-        var found = false;
-        var ent = I.DirEnt{};
-        while (try self.readDirInternal(&ent, &fd, false)) {
-            if (ent.isName(filename)) {
-                found = true;
-                break;
-            }
+        // findInode() leaves the file pointer immediately after the entry
+        const ent_offset = fd.abs_offset - I.DirEntSize;
+
+        var inode = I.Inode{};
+        if (!self.inodes.read(&inode, inode_ptr)) {
+            @panic("failed to read inode in rmdir() - this is a bug");
+        } else if (!inode.isDir()) {
+            return P.Error.NotDir;
+        } else if (!try self.isEmptyDir(inode_ptr)) {
+            return P.Error.NotEmpty;
         }
 
-        if (!found) {
-            return P.Error.NoEnt;
+        try self.clearDirEntry(&fd, ent_offset);
+
+        // if the directory is still open its contents are purged on final close
+        if (self.open_inode_state.get(inode_ptr)) |of| {
+            of.deleted = true;
+        } else {
+            try self.purgeInode(inode_ptr);
         }
+    }
 
-        // Free inode and delete file contents
+    // Move the entry src_name in src_dir to dst_name in dst_dir.
+    //
+    // The inode is preserved, so any open handles remain valid. If dst_name
+    // already exists it is replaced: files may only replace files, and
+    // directories may only replace empty directories. The replaced inode is
+    // released, or marked as deleted if it's currently open.
+    //
+    // The destination entry is written before the source entry is cleared,
+    // so a failure part way through never leaves the file unreachable.
+    pub fn rename(self: *@This(), src_dir: P.InodePtr, src_name: []const u8, dst_dir: P.InodePtr, dst_name: []const u8) !void {
+        try self.checkFilename(src_name);
+        try self.checkFilename(dst_name);
 
-        // TODO: this needs to take account of open state etc.
+        var src_fd = I.FileFd{};
+        try self.openInternal(I.publicInodePtrToInternal(src_dir), &src_fd, true, 0);
+        defer self.closeInternal(&src_fd);
 
-        const content_ptrs = self.inodes.mustFree(ent.inode);
-        _ = self.purgeFileContents(content_ptrs[0]);
+        const src_res = try self.findInode(&src_fd, src_name);
+        const src_ptr = src_res.inode orelse return P.Error.NoEnt;
 
-        // Clear directory entry
+        // findInode() leaves the file pointer immediately after the entry
+        const src_ent_offset = src_fd.abs_offset - I.DirEntSize;
 
-        self.seekInternal(&fd, fd.abs_offset - I.DirEntSize) catch {
-            @panic("internal error - seek failed when clearing directory entry");
-        };
-        var zeroes = [_]u8{0} ** I.DirEntSize;
-        _ = try self.writeInternal(&fd, &zeroes);
+        var src_inode = I.Inode{};
+        if (!self.inodes.read(&src_inode, src_ptr)) {
+            @panic("failed to read inode in rename() - this is a bug");
+        }
+
+        // a directory can't be moved inside itself
+        if (src_inode.isDir() and try self.isInSubtree(I.publicInodePtrToInternal(dst_dir), src_ptr)) {
+            return P.Error.InvalidMove;
+        }
+
+        var dst_fd = I.FileFd{};
+        try self.openInternal(I.publicInodePtrToInternal(dst_dir), &dst_fd, true, 0);
+        defer self.closeInternal(&dst_fd);
+
+        const dst_res = try self.findInode(&dst_fd, dst_name);
+        if (dst_res.inode) |dst_ptr| {
+            if (dst_ptr == src_ptr) {
+                return;
+            }
+
+            var dst_inode = I.Inode{};
+            if (!self.inodes.read(&dst_inode, dst_ptr)) {
+                @panic("failed to read inode in rename() - this is a bug");
+            }
+
+            if (src_inode.isDir() and !dst_inode.isDir()) {
+                return P.Error.NotDir;
+            } else if (!src_inode.isDir() and dst_inode.isDir()) {
+                return P.Error.IsDir;
+            } else if (dst_inode.isDir() and !try self.isEmptyDir(dst_ptr)) {
+                return P.Error.NotEmpty;
+            }
+
+            // repoint the existing entry at the source inode
+            self.seekInternal(&dst_fd, dst_fd.abs_offset - I.InodePtrSize) catch @panic("seek failed in rename() - this is a bug");
+            var ptr_buf = [_]u8{0} ** I.InodePtrSize;
+            writeBE(I.InodePtr, &ptr_buf, src_ptr);
+            _ = try self.writeInternal(&dst_fd, &ptr_buf);
+
+            try self.clearDirEntry(&src_fd, src_ent_offset);
+
+            if (self.open_inode_state.get(dst_ptr)) |of| {
+                of.deleted = true;
+            } else {
+                try self.purgeInode(dst_ptr);
+            }
+        } else {
+            try self.insertDirEntry(&dst_fd, dst_name, src_ptr, dst_res.free_offset);
+            try self.clearDirEntry(&src_fd, src_ent_offset);
+        }
     }
 
     //
@@ -471,20 +578,63 @@ pub const FileSystem = struct {
         _ = try self.writeInternal(dir, &buffer);
     }
 
+    // Zero the directory entry at the given offset
+    fn clearDirEntry(self: *@This(), dir: *I.FileFd, offset: u32) !void {
+        try self.seekInternal(dir, offset);
+        const zeroes = [_]u8{0} ** I.DirEntSize;
+        _ = try self.writeInternal(dir, &zeroes);
+    }
+
+    // Returns true if the directory has no entries
+    fn isEmptyDir(self: *@This(), dir_ptr: I.InodePtr) !bool {
+        var fd = I.FileFd{};
+        try self.openInternal(dir_ptr, &fd, true, 0);
+        defer self.closeInternal(&fd);
+
+        var ent = I.DirEnt{};
+        return !(try self.readDirInternal(&ent, &fd, false));
+    }
+
+    // Returns true if target is the directory root, or any directory beneath it.
+    // Error set is explicit because the function is recursive.
+    fn isInSubtree(self: *@This(), target: I.InodePtr, root: I.InodePtr) anyerror!bool {
+        if (target == root) {
+            return true;
+        }
+
+        var fd = I.FileFd{};
+        try self.openInternal(root, &fd, true, 0);
+        defer self.closeInternal(&fd);
+
+        var ent = I.DirEnt{};
+        var inode = I.Inode{};
+        while (try self.readDirInternal(&ent, &fd, false)) {
+            if (!self.inodes.read(&inode, ent.inode)) {
+                return P.Error.FatalInternalError;
+            }
+            if (inode.isDir() and try self.isInSubtree(target, ent.inode)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     // Create an empty file with index/data blocks, returning the inode.
-    fn createFile(self: *@This(), is_dir: bool) error{ NoFreeBlocks, NoFreeInodes }!I.InodePtr {
+    fn createFile(self: *@This(), is_dir: bool) error{ NoFreeBlocks, NoFreeInodes, BlockNotReady }!I.InodePtr {
         const blocks = try self.alloc2();
         const index_ptr = blocks[0];
         const data_ptr = blocks[1];
 
+        // alloc2() has just updated the same bitmap blocks
         errdefer {
-            self.freelist.free(index_ptr);
-            self.freelist.free(data_ptr);
+            self.freelist.free(index_ptr) catch unreachable;
+            self.freelist.free(data_ptr) catch unreachable;
         }
 
-        self.patchBlockBE(u16, index_ptr, 0, @truncate(data_ptr));
+        try self.patchBlockBE(u16, index_ptr, 0, @truncate(data_ptr));
 
-        const inode = self.inodes.create(is_dir, @truncate(index_ptr));
+        const inode = try self.inodes.create(is_dir, @truncate(index_ptr));
         if (inode) |i| {
             return i;
         } else {
@@ -506,7 +656,9 @@ pub const FileSystem = struct {
 
         const index_dat = self.blk_pool.take();
         defer self.blk_pool.give(index_dat);
-        self.blk_dev.readBlock(index_dat, inode.data_blk) catch |err| I.noBlock(err);
+        // nothing has been changed yet, so the open can simply be abandoned
+        // if the index block isn't loaded
+        try self.blk_dev.readBlock(index_dat, inode.data_blk);
 
         const open_file = if (self.open_inode_state.get(ptr)) |ex| block: {
             // can't truncate file if it's already open
@@ -529,6 +681,7 @@ pub const FileSystem = struct {
             self.open_inode_state.put(ptr, of) catch |err| I.oom(err);
             break :block of;
         };
+        errdefer self.unref(open_file);
 
         fd.* = I.FileFd{
             .of = open_file,
@@ -542,8 +695,8 @@ pub const FileSystem = struct {
         };
 
         if ((flags & P.TRUNCATE) != 0) {
-            _ = self.truncateFileContents(open_file.root_blk);
-            self.inodes.update(ptr, 0, null);
+            _ = try self.truncateFileContents(open_file.root_blk);
+            try self.inodes.update(ptr, 0, null);
             open_file.size = 0;
         }
 
@@ -569,7 +722,10 @@ pub const FileSystem = struct {
         of.ref_count -= 1;
         if (of.ref_count == 0) {
             if (of.deleted) {
-                self.purgeInode(of.inode_ptr);
+                // there's nobody to report a failure to here. mutating
+                // operations on a lazily loaded device need every block
+                // present, so a missing block can only leak the inode.
+                self.purgeInode(of.inode_ptr) catch {};
             }
             std.debug.assert(self.open_inode_state.remove(of.inode_ptr));
             self.allocator.destroy(of);
@@ -587,7 +743,7 @@ pub const FileSystem = struct {
         if (fd.refs_invalid) {
             // this is always safe to do because the fact there's data to read
             // means the block refs must be valid.
-            self.updateRefs(fd);
+            try self.updateRefs(fd);
             std.debug.assert(!fd.refs_invalid);
         }
 
@@ -644,7 +800,7 @@ pub const FileSystem = struct {
         }
 
         if (fd.refs_invalid) {
-            self.updateRefs(fd);
+            try self.updateRefs(fd);
             std.debug.assert(!fd.refs_invalid);
         }
 
@@ -671,7 +827,7 @@ pub const FileSystem = struct {
 
         if (fd.abs_offset > fd.of.size) {
             fd.of.size = fd.abs_offset;
-            self.inodes.update(fd.of.inode_ptr, fd.of.size, null);
+            try self.inodes.update(fd.of.inode_ptr, fd.of.size, null);
         }
 
         return bytes_written;
@@ -803,7 +959,9 @@ pub const FileSystem = struct {
         fd.abs_offset = new_abs_offset;
     }
 
-    fn updateRefs(self: *@This(), fd: *I.FileFd) void {
+    // fd is left untouched, with its refs still invalid, if a block on the
+    // way to the data isn't loaded.
+    fn updateRefs(self: *@This(), fd: *I.FileFd) bd.BlockDeviceAccessError!void {
         // if we're at the end of the last block in the file we need to prime the read/write
         // routines to call advanceFilePointer(). we do this by seeking one block back from
         // the target and then setting the data offset to match the block size - a condition
@@ -812,9 +970,9 @@ pub const FileSystem = struct {
         const seek_offset = if (hack) fd.abs_offset - self.blk_size else fd.abs_offset;
 
         if (seek_offset < self.indirect_offset_threshold) {
-            self.updateRefsShallow(fd.of, fd, seek_offset);
+            try self.updateRefsShallow(fd.of, fd, seek_offset);
         } else {
-            self.updateRefsDeep(fd.of, fd, seek_offset);
+            try self.updateRefsDeep(fd.of, fd, seek_offset);
         }
 
         if (hack) {
@@ -825,7 +983,7 @@ pub const FileSystem = struct {
         fd.refs_invalid = false;
     }
 
-    fn updateRefsShallow(self: *@This(), of: *I.OpenFile, fd: *I.FileFd, abs_offset: u32) void {
+    fn updateRefsShallow(self: *@This(), of: *I.OpenFile, fd: *I.FileFd, abs_offset: u32) bd.BlockDeviceAccessError!void {
         const scratch = self.blk_pool.take();
         defer self.blk_pool.give(scratch);
 
@@ -836,7 +994,7 @@ pub const FileSystem = struct {
             .offset = offsets[0],
         };
 
-        self.blk_dev.readBlock(scratch, root.blk) catch |err| I.noBlock(err);
+        try self.blk_dev.readBlock(scratch, root.blk);
 
         fd.deep = false;
         fd.root = root;
@@ -846,7 +1004,7 @@ pub const FileSystem = struct {
         };
     }
 
-    fn updateRefsDeep(self: *@This(), of: *I.OpenFile, fd: *I.FileFd, abs_offset: u32) void {
+    fn updateRefsDeep(self: *@This(), of: *I.OpenFile, fd: *I.FileFd, abs_offset: u32) bd.BlockDeviceAccessError!void {
         const scratch = self.blk_pool.take();
         defer self.blk_pool.give(scratch);
 
@@ -857,14 +1015,14 @@ pub const FileSystem = struct {
             .offset = offsets[0],
         };
 
-        self.blk_dev.readBlock(scratch, root.blk) catch |err| I.noBlock(err);
+        try self.blk_dev.readBlock(scratch, root.blk);
 
         const indirect = I.Ref{
             .blk = readBE(u16, scratch[root.offset .. root.offset + I.BlockPtrSize]),
             .offset = offsets[1],
         };
 
-        self.blk_dev.readBlock(scratch, indirect.blk) catch |err| I.noBlock(err);
+        try self.blk_dev.readBlock(scratch, indirect.blk);
 
         fd.*.deep = true;
         fd.*.root = root;
@@ -897,13 +1055,15 @@ pub const FileSystem = struct {
 
     // truncate file to zero length, leaving first index block and first data block.
     // note: this does not update the inode or any open files
-    fn truncateFileContents(self: *@This(), index_blk: u32) u32 {
+    // fails before anything is freed if the index or indirect blocks aren't loaded.
+    fn truncateFileContents(self: *@This(), index_blk: u32) !u32 {
         const index_dat = self.blk_pool.take();
         defer self.blk_pool.give(index_dat);
 
-        self.blk_dev.readBlock(index_dat, index_blk) catch |err| return I.noBlock(err);
-        var freed = self.freeReferencedBlocks(index_dat[2..(self.blk_size / 2)]);
-        freed += self.freeIndirectReferencedBlocks(index_dat[(self.blk_size / 2)..]);
+        try self.blk_dev.readBlock(index_dat, index_blk);
+        try self.checkIndirectBlocks(index_dat[(self.blk_size / 2)..]);
+        var freed = try self.freeReferencedBlocks(index_dat[2..(self.blk_size / 2)]);
+        freed += try self.freeIndirectReferencedBlocks(index_dat[(self.blk_size / 2)..]);
 
         // zero out the index block except for the first entry
         @memset(index_dat[2..], 0);
@@ -915,22 +1075,26 @@ pub const FileSystem = struct {
         return freed;
     }
 
-    // free the inode and all of the data it points to
-    fn purgeInode(self: *@This(), inode_ptr: I.InodePtr) void {
-        const ptrs = self.inodes.mustFree(inode_ptr);
-        _ = self.purgeFileContents(ptrs[0]);
+    // free the inode and all of the data it points to.
+    // the contents are freed first, so the inode is kept if they can't be read.
+    fn purgeInode(self: *@This(), inode_ptr: I.InodePtr) !void {
+        var inode = I.Inode{};
+        self.inodes.mustRead(&inode, inode_ptr);
+        _ = try self.purgeFileContents(inode.data_blk);
+        _ = try self.inodes.mustFree(inode_ptr);
     }
 
     // free all blocks used by the file whose index is rooted at index_blk.
     // returns the number of blocks freed.
-    fn purgeFileContents(self: *@This(), index_blk: u32) u32 {
+    fn purgeFileContents(self: *@This(), index_blk: u32) !u32 {
         const index_dat = self.blk_pool.take();
         defer self.blk_pool.give(index_dat);
 
-        self.blk_dev.readBlock(index_dat, index_blk) catch @panic("no block");
-        var freed = self.freeReferencedBlocks(index_dat[0..(self.blk_size / 2)]);
-        freed += self.freeIndirectReferencedBlocks(index_dat[(self.blk_size / 2)..]);
-        self.freelist.free(index_blk);
+        try self.blk_dev.readBlock(index_dat, index_blk);
+        try self.checkIndirectBlocks(index_dat[(self.blk_size / 2)..]);
+        var freed = try self.freeReferencedBlocks(index_dat[0..(self.blk_size / 2)]);
+        freed += try self.freeIndirectReferencedBlocks(index_dat[(self.blk_size / 2)..]);
+        try self.freelist.free(index_blk);
         freed += 1;
 
         return freed;
@@ -939,7 +1103,7 @@ pub const FileSystem = struct {
     // free all blocks referenced from blk_data, assuming blk_data is a
     // tightly-packed slice of block references.
     // returns the number of blocks freed.
-    fn freeReferencedBlocks(self: *@This(), blk_data: []const u8) u32 {
+    fn freeReferencedBlocks(self: *@This(), blk_data: []const u8) !u32 {
         var freed: u32 = 0;
         var i: u32 = 0;
         while (i < blk_data.len) : (i += 2) {
@@ -947,13 +1111,13 @@ pub const FileSystem = struct {
             if (pointee_blk == 0) {
                 continue;
             }
-            self.freelist.free(pointee_blk);
+            try self.freelist.free(pointee_blk);
             freed += 1;
         }
         return freed;
     }
 
-    fn freeIndirectReferencedBlocks(self: *@This(), pointers: []u8) u32 {
+    fn freeIndirectReferencedBlocks(self: *@This(), pointers: []u8) !u32 {
         const l2_dat = self.blk_pool.take();
         defer self.blk_pool.give(l2_dat);
 
@@ -965,16 +1129,31 @@ pub const FileSystem = struct {
                 continue;
             }
 
-            self.blk_dev.readBlock(l2_dat, pointee) catch |err| return I.noBlock(err);
-            freed += self.freeReferencedBlocks(l2_dat);
+            try self.blk_dev.readBlock(l2_dat, pointee);
+            freed += try self.freeReferencedBlocks(l2_dat);
 
-            self.freelist.free(pointee);
+            try self.freelist.free(pointee);
             freed += 1;
         }
 
         return freed;
     }
 
+    // fail with BlockNotReady if any of the indirect blocks listed in
+    // pointers isn't loaded, so callers can check before freeing anything.
+    fn checkIndirectBlocks(self: *@This(), pointers: []const u8) bd.BlockDeviceAccessError!void {
+        const l2_dat = self.blk_pool.take();
+        defer self.blk_pool.give(l2_dat);
+
+        var i: u32 = 0;
+        while (i < pointers.len) : (i += 2) {
+            const pointee = readBE(u16, pointers[i .. i + 2]);
+            if (pointee != 0) {
+                try self.blk_dev.readBlock(l2_dat, pointee);
+            }
+        }
+    }
+
     //
     // Misc helpers
 
@@ -994,7 +1173,8 @@ pub const FileSystem = struct {
     // allocate two blocks and zero them
     fn alloc2(self: *@This()) !struct { u32, u32 } {
         const b1 = try self.freelist.alloc();
-        errdefer self.freelist.free(b1);
+        // alloc() has just updated the same bitmap block
+        errdefer self.freelist.free(b1) catch unreachable;
         const b2 = try self.freelist.alloc();
         self.blk_dev.zeroBlock(b1);
         self.blk_dev.zeroBlock(b2);
@@ -1002,10 +1182,10 @@ pub const FileSystem = struct {
     }
 
     // patch a single integer value into a target block at the given offset
-    fn patchBlockBE(self: *@This(), comptime T: type, block: u32, offset: u32, value: T) void {
+    fn patchBlockBE(self: *@This(), comptime T: type, block: u32, offset: u32, value: T) bd.BlockDeviceAccessError!void {
         const data = self.blk_pool.take();
         defer self.blk_pool.give(data);
-        self.blk_dev.readBlock(data, block) catch |err| I.noBlock(err);
+        try self.blk_dev.readBlock(data, block);
         writeBE(T, data[offset..(offset + @sizeOf(T))], value);
         self.blk_dev.writeBlock(block, data);
     }
@@ -130,3 +130,88 @@ test "deleting file releases blocks" {
     try fs.unlink(@enumFromInt(0), "test");
     try std.testing.expect(fs.freelist.freeBlockCount() == free_blocks_before);
 }
+
+test "rename moves entry and preserves inode" {
+    var fs = createFileSystem(128, 4096, 32);
+    defer cleanup(&fs);
+
+    const root: P.InodePtr = @enumFromInt(0);
+    const dir = try fs.mkdir(root, "dir");
+    const inode = try fs.create(root, "file");
+
+    try fs.rename(root, "file", dir, "moved");
+
+    try expect(!try fs.exists(root, "file"));
+    try expect((try fs.lookup(dir, "moved")).? == inode);
+
+    // directory can't be moved inside itself
+    try std.testing.expectError(error.InvalidMove, fs.rename(root, "dir", dir, "sub"));
+}
+
+test "rmdir refuses non-empty directory" {
+    var fs = createFileSystem(128, 4096, 32);
+    defer cleanup(&fs);
+
+    const root: P.InodePtr = @enumFromInt(0);
+    const dir = try fs.mkdir(root, "dir");
+    _ = try fs.create(dir, "file");
+    _ = try fs.create(root, "file");
+
+    try std.testing.expectError(error.NotEmpty, fs.rmdir(root, "dir"));
+    try std.testing.expectError(error.NotDir, fs.rmdir(root, "file"));
+
+    try fs.unlink(dir, "file");
+    try fs.rmdir(root, "dir");
+    try expect(!try fs.exists(root, "dir"));
+}
+
+test "set executable and mtime" {
+    var fs = createFileSystem(128, 4096, 32);
+    defer cleanup(&fs);
+
+    const root: P.InodePtr = @enumFromInt(0);
+    const inode = try fs.create(root, "file");
+
+    try fs.setExecutable(inode, true);
+    try fs.setMtime(inode, 12345);
+
+    var stat = P.Stat{};
+    try fs.stat(&stat, inode);
+    try expect(stat.executable);
+    try expect(stat.mtime == 12345);
+
+    try std.testing.expectError(error.IsDir, fs.setExecutable(root, true));
+}
+
+test "truncate open file" {
+    var fs = createFileSystem(128, 4096, 32);
+    defer cleanup(&fs);
+
+    const free_blocks_before = fs.freelist.freeBlockCount();
+    const fd = writeMaxSizeFile(&fs, "test");
+
+    try fs.truncate(fd);
+    try expect(try fs.tell(fd) == 0);
+    try expect(try fs.eof(fd));
+
+    var stat = P.Stat{};
+    try fs.statfd(&stat, fd);
+    try expect(stat.size == 0);
+
+    var data: [3]u8 = .{ 1, 2, 3 };
+    try expect(try fs.write(fd, data[0..]) == 3);
+    try fs.seek(fd, 0, P.Whence.Abs);
+    var out: [3]u8 = undefined;
+    const read = try fs.read(out[0..], fd);
+    try expect(read[0] == 3);
+    try expect(std.mem.eql(u8, out[0..], data[0..]));
+
+    // can't truncate while the file is open elsewhere
+    const fd2 = try fs.open((try fs.lookup(@enumFromInt(0), "test")).?, 0);
+    try std.testing.expectError(error.Busy, fs.truncate(fd));
+    try fs.close(fd2);
+
+    try fs.close(fd);
+    try fs.unlink(@enumFromInt(0), "test");
+    try expect(fs.freelist.freeBlockCount() == free_blocks_before);
+}
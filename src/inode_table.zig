@@ -109,7 +109,7 @@ pub const InodeTable = struct {
         self.free.deinit();
     }
 
-    pub fn create(self: *@This(), is_dir: bool, data_blk_ptr: u16) ?u16 {
+    pub fn create(self: *@This(), is_dir: bool, data_blk_ptr: u16) bd.BlockDeviceAccessError!?u16 {
         var inode = I.Inode{
             .flags = if (is_dir) I.Dir else I.File,
             .data_blk = data_blk_ptr,
@@ -120,13 +120,13 @@ pub const InodeTable = struct {
 
         std.debug.assert(inode.isPresent());
 
-        const ptr = self.free.pop() orelse return null;
-        self.table[ptr] = inode;
-        self.writeBack(ptr);
+        const ptr = self.free.getLastOrNull() orelse return null;
+        try self.writeBack(ptr, &inode);
+        _ = self.free.pop();
         return ptr;
     }
 
-    pub fn update(self: *@This(), ptr: InodePtr, size: ?u32, mtime: ?u32) void {
+    pub fn update(self: *@This(), ptr: InodePtr, size: ?u32, mtime: ?u32) bd.BlockDeviceAccessError!void {
         var inode = Inode{};
         self.mustRead(&inode, ptr);
         if (size) |sz| {
@@ -135,7 +135,18 @@ pub const InodeTable = struct {
         if (mtime) |mt| {
             inode.mtime = mt;
         }
-        self.write(ptr, &inode);
+        try self.write(ptr, &inode);
+    }
+
+    pub fn setExecutable(self: *@This(), ptr: InodePtr, executable: bool) bd.BlockDeviceAccessError!void {
+        var inode = Inode{};
+        self.mustRead(&inode, ptr);
+        if (executable) {
+            inode.flags |= I.Executable;
+        } else {
+            inode.flags &= ~@as(u16, I.Executable);
+        }
+        try self.write(ptr, &inode);
     }
 
     pub fn read(self: *@This(), dst: *Inode, ptr: InodePtr) bool {
@@ -159,33 +170,35 @@ pub const InodeTable = struct {
 
     // free the given inode, asserting that it is currently active.
     // returns the data and meta pointers.
-    pub fn mustFree(self: *@This(), ptr: InodePtr) struct { u16, u16 } {
+    pub fn mustFree(self: *@This(), ptr: InodePtr) bd.BlockDeviceAccessError!struct { u16, u16 } {
         std.debug.assert(ptr < self.size);
         std.debug.assert(self.table[ptr].isPresent());
 
         const data = self.table[ptr].data_blk;
         const meta = self.table[ptr].meta_blk;
 
-        self.table[ptr] = Inode{};
-        self.writeBack(ptr);
+        const empty = Inode{};
+        try self.writeBack(ptr, &empty);
         self.free.append(ptr) catch |err| I.oom(err);
 
         return .{ data, meta };
     }
 
-    fn write(self: *@This(), ptr: InodePtr, src: *const Inode) void {
+    fn write(self: *@This(), ptr: InodePtr, src: *const Inode) bd.BlockDeviceAccessError!void {
         std.debug.assert(ptr < self.size);
         std.debug.assert(src.isPresent());
 
-        self.table[ptr] = src.*;
-        self.writeBack(ptr);
+        try self.writeBack(ptr, src);
     }
 
-    fn writeBack(self: *@This(), ptr: InodePtr) void {
+    // store src in the table and on the block device. the table is left
+    // unchanged if the block holding the entry can't be read.
+    fn writeBack(self: *@This(), ptr: InodePtr, src: *const Inode) bd.BlockDeviceAccessError!void {
         const rel_blk = ptr / self.inodes_per_blk;
         const abs_blk = self.start_blk + rel_blk;
 
-        self.blk_dev.readBlock(self.scratch, abs_blk) catch @panic("no block");
+        try self.blk_dev.readBlock(self.scratch, abs_blk);
+        self.table[ptr] = src.*;
 
         const offset = (ptr % self.inodes_per_blk) * InodeSize;
         writeEntry(self.scratch[offset .. offset + InodeSize], &self.table[ptr]);
@@ -247,7 +260,7 @@ test "InodeTable" {
         .size = 50_000_000,
     };
 
-    t1.write(12, &inode);
+    try t1.write(12, &inode);
 
     {
         // should be able to read back the entry we just wrote
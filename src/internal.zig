@@ -59,6 +59,10 @@ pub const Inode = struct {
     pub fn isFile(self: *const @This()) bool {
         return (self.flags & File) > 0;
     }
+
+    pub fn isExecutable(self: *const @This()) bool {
+        return (self.flags & Executable) > 0;
+    }
 };
 
 // Represents the shared global state for an open file.
@@ -154,10 +158,6 @@ test "isName" {
     try expect(!ent.isName("this is a very long filename far longer than the longest we allow"));
 }
 
-pub fn noBlock(_: error{BlockNotReady}) noreturn {
-    @panic("NO BLOCK");
-}
-
 pub fn oom(_: error{OutOfMemory}) noreturn {
     @panic("OOM");
 }
@@ -20,8 +20,9 @@ pub const InodePtr = enum(i32) { _ };
 // unique ID that identifies this filesystem type
 pub const FS_TYPE_ID = 1;
 
-pub const SEEK_END = 1;
-pub const TRUNCATE = 2;
+// open flags - must match OpenFlags in js/constants.js
+pub const SEEK_END = 2;
+pub const TRUNCATE = 4;
 
 pub const Whence = enum(u8) { Abs = 0, RelCurr = 1, RelEnd = 2 };
 
@@ -39,6 +40,8 @@ pub const Error = error{
     NotWritable,
     NoFreeInodes,
     InvalidFileHandle,
+    NotEmpty,
+    InvalidMove,
 
     FatalInternalError,
 };
@@ -58,7 +61,7 @@ pub const Stat = struct {
 
     pub fn setFromInode(self: *Stat, inode: *I.Inode) void {
         self.typ = if (inode.isDir()) FILE_TYPE_DIR else FILE_TYPE_FILE;
-        self.executable = false;
+        self.executable = inode.isExecutable();
         self.mtime = inode.mtime;
         self.size = inode.size;
     }
@@ -61,13 +61,28 @@ const bd = @import("./block_device.zig");
 var devices = std.AutoArrayHashMap(i32, *bd.BlockDevice).init(gpa.allocator());
 var next_blk_dev_id: i32 = 1;
 
+// status codes returned to JS - these must be kept in sync with
+// the StatusCodes table in js/errors.js
 const E_NODEV = -1;
 const E_DEVICEBUSY = -2;
 const E_NOTREADY = -3;
-const E_INTERNAL = -100;
 const E_NOFS = -5;
 const E_PARAM = -6;
 const E_NOENT = -7;
+const E_NAMETOOLONG = -8;
+const E_INVALIDOFFSET = -9;
+const E_ISDIR = -10;
+const E_NOTDIR = -11;
+const E_EXISTS = -12;
+const E_NOSPACE = -13;
+const E_INVALIDFSPARAMS = -14;
+const E_BUSY = -15;
+const E_NOTREADABLE = -16;
+const E_NOTWRITABLE = -17;
+const E_NOFREEINODES = -18;
+const E_BADFD = -19;
+const E_NOTEMPTY = -20;
+const E_INTERNAL = -100;
 
 pub export fn init() void {}
 
@@ -136,6 +151,28 @@ pub export fn zeroBlock(device_id: i32, blk: u32) i32 {
     return 0;
 }
 
+// Mark every block of a device as not present. Reads of such blocks fail
+// with E_NOTREADY (after calling notifyBlockNotReady()) until the block is
+// written, zeroed or marked ready.
+pub export fn setBlockDeviceLazy(device_id: i32) i32 {
+    const dev = devices.get(device_id) orelse return E_NODEV;
+    if (dev.ref_count > 0) {
+        return E_DEVICEBUSY;
+    }
+    dev.setLazy() catch |err| return mapError(err);
+    return 0;
+}
+
+// Mark a block as present without changing its contents
+pub export fn markBlockReady(device_id: i32, blk: u32) i32 {
+    const dev = devices.get(device_id) orelse return E_NODEV;
+    if (blk >= dev.blk_count) {
+        return E_PARAM;
+    }
+    dev.markReady(blk);
+    return 0;
+}
+
 //
 // Filesystem init
 
@@ -169,17 +206,24 @@ pub export fn fileSystemInit(device_id: i32) i32 {
         return E_DEVICEBUSY;
     }
 
+    return initFileSystem(dev) catch |err| return mapError(err);
+}
+
+// errdefer only runs when an error is returned, so initialisation lives
+// here rather than in the export, ensuring a failed init (e.g. because a
+// block isn't loaded yet) leaves the device free to try again.
+fn initFileSystem(dev: *bd.BlockDevice) !i32 {
     dev.ref_count = 1;
     errdefer dev.ref_count = 0;
 
-    const instance = allocator.create(fs.FileSystem) catch |err| return mapError(err);
+    const instance = try allocator.create(fs.FileSystem);
     errdefer allocator.destroy(instance);
 
-    instance.* = fs.FileSystem.init(allocator, dev, shuttle_buffer[0..16]) catch |err| return mapError(err);
+    instance.* = try fs.FileSystem.init(allocator, dev, shuttle_buffer[0..16]);
     errdefer instance.*.deinit();
 
     const id = next_fs_id;
-    file_systems.put(id, instance) catch |err| return mapError(err);
+    try file_systems.put(id, instance);
     next_fs_id += 1;
 
     return id;
@@ -225,6 +269,18 @@ pub export fn fsExists(fs_id: i32, inode: i32, name: [*]u8, name_len: usize) i32
     }
 }
 
+pub export fn fsSetExecutable(fs_id: i32, inode: i32, executable: u32) i32 {
+    const f = file_systems.get(fs_id) orelse return E_NOFS;
+    f.setExecutable(inodeFromJS(inode), executable > 0) catch |err| return mapError(err);
+    return 0;
+}
+
+pub export fn fsSetMtime(fs_id: i32, inode: i32, mtime: u32) i32 {
+    const f = file_systems.get(fs_id) orelse return E_NOFS;
+    f.setMtime(inodeFromJS(inode), mtime) catch |err| return mapError(err);
+    return 0;
+}
+
 //
 // File
 
@@ -280,6 +336,12 @@ pub export fn fsSeek(fs_id: i32, fd: i32, offset: i32, whence: u8) i32 {
     return 0;
 }
 
+pub export fn fsTruncate(fs_id: i32, fd: i32) i32 {
+    const f = file_systems.get(fs_id) orelse return E_NOFS;
+    f.truncate(fdFromJS(fd)) catch |err| return mapError(err);
+    return 0;
+}
+
 pub export fn fsRead(fs_id: i32, fd: i32, len: u32) i32 {
     const f = file_systems.get(fs_id) orelse return E_NOFS;
     const read = f.read(shuttle_buffer[0..len], fdFromJS(fd)) catch |err| return mapError(err);
@@ -292,6 +354,17 @@ pub export fn fsWrite(fs_id: i32, fd: i32, len: u32) i32 {
     return @intCast(written);
 }
 
+pub export fn fsRename(fs_id: i32, src_dir: i32, src_name: [*]u8, src_name_len: usize, dst_dir: i32, dst_name: [*]u8, dst_name_len: usize) i32 {
+    const f = file_systems.get(fs_id) orelse return E_NOFS;
+    f.rename(
+        inodeFromJS(src_dir),
+        src_name[0..src_name_len],
+        inodeFromJS(dst_dir),
+        dst_name[0..dst_name_len],
+    ) catch |err| return mapError(err);
+    return 0;
+}
+
 //
 // Directory
 
@@ -352,20 +425,22 @@ fn shuttleStat(s: *P.Stat) usize {
 
 fn mapError(err: anyerror) i32 {
     return switch (err) {
-        error.NameTooLong => -1,
-        error.InvalidOffset => -2,
-        error.IsDir => -3,
-        error.NotDir => -4,
+        error.NameTooLong, error.InvalidFileName => E_NAMETOOLONG,
+        error.InvalidOffset => E_INVALIDOFFSET,
+        error.IsDir => E_ISDIR,
+        error.NotDir => E_NOTDIR,
         error.NoEnt => E_NOENT,
-        error.Exists => -5,
-        error.NoSpace => -6,
-        error.InvalidFSParams => -7,
-        error.Busy => -8,
-        error.NotReadable => -9,
-        error.NotWritable => -10,
-        error.NoFreeInodes => -11,
-        error.InvalidFileHandle => -12,
-        error.FatalInternalError => -13,
+        error.Exists => E_EXISTS,
+        error.NoSpace, error.NoFreeBlocks => E_NOSPACE,
+        error.InvalidFSParams, error.LimitsExceeded => E_INVALIDFSPARAMS,
+        error.Busy => E_BUSY,
+        error.NotReadable => E_NOTREADABLE,
+        error.NotWritable => E_NOTWRITABLE,
+        error.NoFreeInodes => E_NOFREEINODES,
+        error.InvalidFileHandle => E_BADFD,
+        error.NotEmpty => E_NOTEMPTY,
+        error.InvalidMove => E_PARAM,
+        error.BlockNotReady => E_NOTREADY,
         else => E_INTERNAL,
     };
 }
@@ -24,11 +24,16 @@ const NotifyImpl = if (builtin.is_test) struct {
     pub fn notifyBlockChanged(device_id: i32, block: u32) void {
         std.debug.print("Block changed {}:{}\n", .{ device_id, block });
     }
+    pub fn notifyBlockNotReady(device_id: i32, block: u32) void {
+        std.debug.print("Block not ready {}:{}\n", .{ device_id, block });
+    }
 } else struct {
     pub extern fn notifyBlockChanged(device_id: i32, block: u32) void;
+    pub extern fn notifyBlockNotReady(device_id: i32, block: u32) void;
 };
 
 pub const notifyBlockChanged = NotifyImpl.notifyBlockChanged;
+pub const notifyBlockNotReady = NotifyImpl.notifyBlockNotReady;
 
 //
 // Time